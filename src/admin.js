@@ -0,0 +1,66 @@
+// Operator endpoints, authenticated with the ADMIN_TOKEN secret
+import { getMigrationStatus, applyMigrations } from './db.js';
+import { buildRefreshTokenReencryption } from './services/tokenStore.js';
+import { setPlanOverride, getEntitlements } from './services/entitlements.js';
+import { APIError, ValidationError, createCorsHeaders, withErrorHandling } from './utils/errors.js';
+
+// GET /admin/migrations - applied and pending schema migrations
+export const getMigrations = withErrorHandling(async (request, env) => {
+    const headers = createCorsHeaders(env.FRONTEND_URL);
+    const status = await getMigrationStatus(env);
+
+    return new Response(JSON.stringify({ success: true, ...status }), { headers });
+});
+
+// POST /admin/migrations/apply - apply pending migrations, safe to call repeatedly
+export const runMigrations = withErrorHandling(async (request, env) => {
+    const headers = createCorsHeaders(env.FRONTEND_URL);
+    const result = await applyMigrations(env);
+
+    if (result.error) {
+        throw new APIError(
+            `Migration ${result.error.version}_${result.error.name} failed`,
+            500,
+            'MIGRATION_FAILED',
+            { applied: result.applied, error: result.error.message }
+        );
+    }
+
+    const status = await getMigrationStatus(env);
+
+    return new Response(JSON.stringify({
+        success: true,
+        applied: result.applied,
+        currentVersion: status.currentVersion
+    }), { headers });
+});
+
+// POST /admin/tokens/reencrypt - re-encrypt refresh tokens with the active key after a key rotation
+export const reencryptTokens = withErrorHandling(async (request, env) => {
+    const headers = createCorsHeaders(env.FRONTEND_URL);
+    const statements = await buildRefreshTokenReencryption(env);
+
+    if (statements.length > 0) {
+        await env.DB.batch(statements);
+    }
+
+    return new Response(JSON.stringify({ success: true, reencrypted: statements.length }), { headers });
+});
+
+// POST /admin/users/:id/plan - put a user on a plan whatever their subscriptions, e.g. for trials, or clear that with null; takes effect on their next request
+export const updateUserPlan = withErrorHandling(async (request, env) => {
+    const headers = createCorsHeaders(env.FRONTEND_URL);
+    const userId = parseInt(request.params.id, 10);
+
+    if (!Number.isInteger(userId)) {
+        throw new ValidationError('Invalid user id');
+    }
+
+    await setPlanOverride(env, userId, request.validated.plan);
+
+    return new Response(JSON.stringify({
+        success: true,
+        userId,
+        entitlements: await getEntitlements(env, userId)
+    }), { headers });
+});
@@ -0,0 +1,52 @@
+// Personal API keys: create, list and revoke
+import { createApiKey, listApiKeys, revokeApiKey, API_KEY_SCOPES } from './services/apiKeys.js';
+import { getMembership } from './services/organizations.js';
+import { ValidationError, createCorsHeaders, withErrorHandling } from './utils/errors.js';
+
+// Create a key; the response is the only time the key itself is shown
+export const createKey = withErrorHandling(async (request, env) => {
+    const headers = createCorsHeaders(env.FRONTEND_URL);
+    const { name, scopes, expiresInDays } = request.validated;
+
+    // The key acts in the organization the user is working in now
+    const orgId = request.user.org_id && await getMembership(env, request.user.org_id, request.user.user_id)
+        ? request.user.org_id
+        : null;
+
+    const { key, apiKey } = await createApiKey(env, request.user.user_id, { name, scopes, orgId, expiresInDays });
+
+    return new Response(JSON.stringify({
+        success: true,
+        key,
+        apiKey,
+        message: 'Store this key now, it will not be shown again'
+    }), { status: 201, headers });
+});
+
+// List the user's keys without their secrets
+export const listKeys = withErrorHandling(async (request, env) => {
+    const headers = createCorsHeaders(env.FRONTEND_URL);
+
+    return new Response(JSON.stringify({
+        success: true,
+        apiKeys: await listApiKeys(env, request.user.user_id),
+        availableScopes: API_KEY_SCOPES
+    }), { headers });
+});
+
+// Revoke a key
+export const revokeKey = withErrorHandling(async (request, env) => {
+    const headers = createCorsHeaders(env.FRONTEND_URL);
+    const id = parseInt(request.params.id, 10);
+
+    if (!Number.isInteger(id)) {
+        throw new ValidationError('Invalid API key id');
+    }
+
+    await revokeApiKey(env, request.user.user_id, id);
+
+    return new Response(JSON.stringify({
+        success: true,
+        message: 'API key revoked'
+    }), { headers });
+});
@@ -1,42 +1,23 @@
-import { verify, sign } from '@tsndr/cloudflare-worker-jwt';
-
-// Web Crypto API for hashing
-function sha256Hash(message) {
-  const encoder = new TextEncoder();
-  const data = encoder.encode(message);
-  return crypto.subtle.digest('SHA-256', data)
-    .then(buffer => {
-      return Array.from(new Uint8Array(buffer))
-          .map(b => b.toString(16).padStart(2, '0'))
-          .join('');
-    });
-}
-
-// Handle authentication middleware
-export async function handleAuth(request, env) {
-  try {
-    const authHeader = request.headers.get('Authorization');
-    
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return new Response('Unauthorized', { status: 401 });
-    }
-    
-    const token = authHeader.split(' ')[1];
-    const verified = await verify(token, env.JWT_SECRET);
-    
-    if (!verified) {
-      return new Response('Invalid token', { status: 403 });
-    }
-    
-    // Add user info to request for downstream handlers
-    request.user = verified.payload;
-    
-    // Continue to next handler
-    return null;
-  } catch (error) {
-    return new Response('Authentication error', { status: 403 });
-  }
-}
+import { hashPassword, verifyPassword, DUMMY_PASSWORD_HASH } from './utils/password.js';
+import {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  switchSessionOrganization
+} from './services/sessions.js';
+import { getDefaultMembership, requireMembership } from './services/organizations.js';
+import { createAuthorizationRequest, consumeAuthorizationState, getRedirectUri } from './services/googleOAuth.js';
+import { cacheAccessToken, encryptRefreshToken } from './services/tokenStore.js';
+import { refreshAccessToken } from './services/gscClient.js';
+import {
+  sendVerificationEmail,
+  confirmEmailVerification,
+  sendPasswordResetEmail,
+  resetPassword
+} from './services/accountEmails.js';
+import { SIGNUP_CREDITS, buildSignupGrant } from './services/credits.js';
+import { AuthError, ValidationError, NotFoundError, createCorsHeaders, withErrorHandling } from './utils/errors.js';
 
 // Handle registration
 export async function handleRegister(request, env) {
@@ -64,32 +45,32 @@ export async function handleRegister(request, env) {
       );
     }
     
-    // Check for required environment variables
-    if (!env.PASSWORD_SALT) {
-      console.error('Missing PASSWORD_SALT environment variable');
-      return new Response(
-        JSON.stringify({
-          success: false,
-          error: 'Server configuration error'
-        }),
-        { status: 500, headers }
-      );
-    }
-    
     try {
-      // Hash the password
-      const salt = env.PASSWORD_SALT;
-      const hash = await sha256Hash(password + salt);
+      // Hash the password with a per-user salt
+      const hash = await hashPassword(password);
+      
+      // Create the user in the database along with the ledger entry for their starting credits
+      const [result] = await env.DB.batch([
+        env.DB.prepare(
+          'INSERT INTO users (name, email, password_hash, credits, created_at) VALUES (?, ?, ?, ?, datetime())'
+        ).bind(name || 'User', email, hash, SIGNUP_CREDITS),
+        buildSignupGrant(env)
+      ]);
       
-      // Create the user in the database
-      await env.DB.prepare(
-        'INSERT INTO users (name, email, password_hash, created_at) VALUES (?, ?, ?, datetime())'
-      ).bind(name || 'User', email, hash).run();
+      // The account exists either way; the user can ask for another link
+      let verificationSent = true;
+      try {
+        await sendVerificationEmail(env, { id: result.meta.last_row_id, email });
+      } catch (mailError) {
+        verificationSent = false;
+        console.error(`Failed to send verification email to ${email}:`, mailError);
+      }
       
       return new Response(
         JSON.stringify({ 
           success: true,
-          message: 'Registration successful' 
+          message: 'Registration successful',
+          verificationSent
         }), 
         { status: 201, headers }
       );
@@ -141,9 +122,9 @@ export async function handleLogin(request, env) {
       'Access-Control-Allow-Credentials': 'true'
     };
     
-    // Check if JWT_SECRET and PASSWORD_SALT are defined
-    if (!env.JWT_SECRET || !env.PASSWORD_SALT) {
-      console.error('Missing JWT_SECRET or PASSWORD_SALT environment variables');
+    // Check if JWT_SECRET is defined
+    if (!env.JWT_SECRET) {
+      console.error('Missing JWT_SECRET environment variable');
       return new Response(
         JSON.stringify({
           success: false,
@@ -155,10 +136,18 @@ export async function handleLogin(request, env) {
     
     // Query the database for user
     const user = await env.DB.prepare(
-      'SELECT id, email, password_hash FROM users WHERE email = ?'
+      'SELECT id, email, password_hash, email_verified FROM users WHERE email = ?'
     ).bind(email).first();
     
-    if (!user) {
+    // Verify password, legacy SHA-256 hashes still use the global PASSWORD_SALT.
+    // Unknown emails are checked against a dummy hash so the response time doesn't reveal which accounts exist
+    const { valid: passwordValid, needsRehash } = await verifyPassword(
+      password,
+      user?.password_hash || DUMMY_PASSWORD_HASH,
+      env.PASSWORD_SALT
+    );
+    
+    if (!user || !user.password_hash || !passwordValid) {
       return new Response(
         JSON.stringify({
           success: false,
@@ -168,34 +157,53 @@ export async function handleLogin(request, env) {
       );
     }
     
-    // Verify password (in production, use bcrypt or similar)
-    const passwordValid = await verifyPassword(password, user.password_hash, env.PASSWORD_SALT);
-    
-    if (!passwordValid) {
+    // Only checked after the password so unverified accounts aren't revealed
+    if (env.REQUIRE_EMAIL_VERIFICATION === 'true' && !user.email_verified) {
+      // Mail a fresh link, the user can't reach the resend endpoint without logging in
+      let verificationSent = true;
+      try {
+        await sendVerificationEmail(env, user);
+      } catch (mailError) {
+        verificationSent = false;
+        console.error(`Failed to send verification email to ${user.email}:`, mailError);
+      }
+      
       return new Response(
         JSON.stringify({
           success: false,
-          error: 'Invalid credentials'
+          error: 'Please verify your email address before logging in',
+          code: 'EMAIL_NOT_VERIFIED',
+          verificationSent
         }), 
-        { status: 401, headers }
+        { status: 403, headers }
       );
     }
     
-    // Generate JWT token
-    const token = await sign({
-      user_id: user.id,
-      email: user.email
-    }, env.JWT_SECRET, { expiresIn: '24h' });
+    // Start a session: short-lived access JWT plus a rotating refresh token, in the first organization joined
+    const session = await createSession(env, user, await getDefaultMembership(env, user.id));
     
     // Update last login timestamp
     await env.DB.prepare(
       'UPDATE users SET last_login = datetime() WHERE id = ?'
     ).bind(user.id).run();
     
+    // Upgrade legacy or weaker hashes now that we have the plain-text password
+    if (needsRehash) {
+      try {
+        await env.DB.prepare(
+          'UPDATE users SET password_hash = ? WHERE id = ?'
+        ).bind(await hashPassword(password), user.id).run();
+      } catch (rehashError) {
+        console.error(`Failed to upgrade password hash for user ${user.id}:`, rehashError);
+      }
+    }
+    
     return new Response(
       JSON.stringify({ 
         success: true,
-        token 
+        token: session.accessToken,
+        refreshToken: session.refreshToken,
+        expiresIn: session.expiresIn
       }), 
       { status: 200, headers }
     );
@@ -221,6 +229,147 @@ export async function handleLogin(request, env) {
   }
 }
 
+// Exchange a session refresh token for a new token pair
+export const handleSessionRefresh = withErrorHandling(async (request, env) => {
+  const headers = createCorsHeaders(env.FRONTEND_URL);
+  const { refreshToken: presentedToken } = await request.json().catch(() => ({}));
+  
+  if (!presentedToken) {
+    throw new ValidationError('refreshToken is required');
+  }
+  
+  const session = await rotateSession(env, presentedToken);
+  
+  return new Response(JSON.stringify({
+    success: true,
+    token: session.accessToken,
+    refreshToken: session.refreshToken,
+    expiresIn: session.expiresIn
+  }), { headers });
+});
+
+// Log out the current session
+export const handleLogout = withErrorHandling(async (request, env) => {
+  const headers = createCorsHeaders(env.FRONTEND_URL);
+  
+  if (!request.user.sid) {
+    throw new AuthError('Token is not bound to a session');
+  }
+  
+  await revokeSession(env, request.user.user_id, request.user.sid);
+  
+  return new Response(JSON.stringify({
+    success: true,
+    message: 'Logged out'
+  }), { headers });
+});
+
+// Log out every session of the current user
+export const handleLogoutAll = withErrorHandling(async (request, env) => {
+  const headers = createCorsHeaders(env.FRONTEND_URL);
+  const sessions = await revokeAllSessions(env, request.user.user_id);
+  
+  return new Response(JSON.stringify({
+    success: true,
+    message: 'Logged out of all sessions',
+    sessions
+  }), { headers });
+});
+
+// Switch the session to another organization, or to the personal workspace with orgId null
+export const handleSwitchOrganization = withErrorHandling(async (request, env) => {
+  const headers = createCorsHeaders(env.FRONTEND_URL);
+  const { orgId } = request.validated;
+  const org = orgId === null ? null : await requireMembership(env, orgId, request.user.user_id);
+  const { accessToken, expiresIn } = await switchSessionOrganization(env, request.user, org);
+  
+  return new Response(JSON.stringify({
+    success: true,
+    token: accessToken,
+    expiresIn,
+    organization: org
+  }), { headers });
+});
+
+// Send a new email verification link to the current user
+export const handleVerifyEmailRequest = withErrorHandling(async (request, env) => {
+  const headers = createCorsHeaders(env.FRONTEND_URL);
+  const user = await env.DB.prepare(
+    'SELECT id, email, email_verified FROM users WHERE id = ?'
+  ).bind(request.user.user_id).first();
+  
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+  
+  if (user.email_verified) {
+    return new Response(JSON.stringify({
+      success: true,
+      message: 'Email address is already verified'
+    }), { headers });
+  }
+  
+  await sendVerificationEmail(env, user);
+  
+  return new Response(JSON.stringify({
+    success: true,
+    message: 'Verification email sent'
+  }), { headers });
+});
+
+// Verify an email address with the token from the emailed link
+export const handleVerifyEmailConfirm = withErrorHandling(async (request, env) => {
+  const headers = createCorsHeaders(env.FRONTEND_URL);
+  const { email } = await confirmEmailVerification(env, request.validated.token);
+  
+  return new Response(JSON.stringify({
+    success: true,
+    message: 'Email address verified',
+    email
+  }), { headers });
+});
+
+// Email a password reset link; the answer is the same whether or not the account exists
+export const handlePasswordResetRequest = withErrorHandling(async (request, env) => {
+  const headers = createCorsHeaders(env.FRONTEND_URL);
+  
+  try {
+    await sendPasswordResetEmail(env, request.validated.email);
+  } catch (error) {
+    console.error('Failed to send password reset email:', error);
+  }
+  
+  return new Response(JSON.stringify({
+    success: true,
+    message: 'If an account exists for this address, a password reset link has been sent'
+  }), { headers });
+});
+
+// Set a new password with the token from the emailed link and sign out every session
+export const handlePasswordResetConfirm = withErrorHandling(async (request, env) => {
+  const headers = createCorsHeaders(env.FRONTEND_URL);
+  const { token, password } = request.validated;
+  await resetPassword(env, token, password);
+  
+  return new Response(JSON.stringify({
+    success: true,
+    message: 'Password has been reset, please log in again'
+  }), { headers });
+});
+
+// Start the Google OAuth flow for connecting Search Console
+export const handleGoogleAuth = withErrorHandling(async (request, env) => {
+  const headers = createCorsHeaders(env.FRONTEND_URL);
+  const { authorizationUrl, state, expiresIn } = await createAuthorizationRequest(env, request.user.user_id);
+  
+  return new Response(JSON.stringify({
+    success: true,
+    authorizationUrl,
+    state,
+    expiresIn
+  }), { headers });
+});
+
 // Handle OAuth callback
 export async function handleCallback(request, env) {
   try {
@@ -235,12 +384,6 @@ export async function handleCallback(request, env) {
       'Access-Control-Allow-Credentials': 'true'
     };
     
-    // Log request details for debugging
-    console.log('OAuth callback request received:');
-    console.log('- Authorization header:', request.headers.get('Authorization') ? 'Present' : 'Missing');
-    console.log('- Has code:', code ? 'Yes' : 'No');
-    console.log('- Has state:', state ? 'Yes' : 'No');
-    
     // Validate required parameters
     if (!code) {
       console.error('Missing authorization code in request');
@@ -250,10 +393,6 @@ export async function handleCallback(request, env) {
       }), { status: 400, headers });
     }
     
-    // Log OAuth debug information
-    console.log('Processing OAuth callback, code received, exchanging for token');
-    console.log('Redirect URI:', `${env.FRONTEND_URL}/oauth-callback`);
-    
     // Check if user is authenticated
     if (!request.user || !request.user.user_id) {
       console.error('User not authenticated in OAuth callback');
@@ -264,7 +403,17 @@ export async function handleCallback(request, env) {
       }), { status: 401, headers });
     }
     
-    console.log(`User authenticated with ID: ${request.user.user_id}`);
+    // The state must be one we issued to this user; it also yields the PKCE verifier
+    let codeVerifier;
+    try {
+      ({ codeVerifier } = await consumeAuthorizationState(env, state, request.user.user_id));
+    } catch (stateError) {
+      console.error('OAuth state verification failed:', stateError.message);
+      return new Response(JSON.stringify({
+        success: false,
+        error: stateError.message
+      }), { status: 400, headers });
+    }
     
     // Exchange code for tokens
     try {
@@ -275,49 +424,37 @@ export async function handleCallback(request, env) {
           code,
           client_id: env.GOOGLE_CLIENT_ID,
           client_secret: env.GOOGLE_CLIENT_SECRET,
-          redirect_uri: `${env.FRONTEND_URL}/oauth-callback`,
-          grant_type: 'authorization_code'
+          redirect_uri: getRedirectUri(env),
+          grant_type: 'authorization_code',
+          code_verifier: codeVerifier
         })
       });
       
+      // Only Google's error code is logged; the client gets a generic message
       if (!tokenResponse.ok) {
-        const errorText = await tokenResponse.text();
-        console.error('OAuth token exchange error:', errorText);
+        const { error: oauthError } = await tokenResponse.json().catch(() => ({}));
+        console.error(`OAuth token exchange failed with status ${tokenResponse.status}: ${oauthError || 'unknown error'}`);
         return new Response(JSON.stringify({
           success: false,
-          error: `OAuth error: ${errorText}`
+          error: 'Google Search Console could not be connected. Please try again.'
         }), { status: 400, headers });
       }
       
       const tokenData = await tokenResponse.json();
       const { access_token, refresh_token, expires_in } = tokenData;
       
-      console.log('Token exchange successful:');
-      console.log('- Has access token:', !!access_token);
-      console.log('- Has refresh token:', !!refresh_token);
-      console.log('- Expires in:', expires_in);
-      
       if (!refresh_token) {
-        console.error('No refresh token returned from Google OAuth');
         // If we received an access token but no refresh token, it might be because
         // the user previously granted permission to the same app
         if (access_token) {
-          console.log('Access token received without refresh token, checking if we already have a refresh token');
-          
           // Check if we already have a refresh token for this user
           const user = await env.DB.prepare(
             'SELECT gsc_refresh_token FROM users WHERE id = ?'
           ).bind(request.user.user_id).first();
           
           if (user && user.gsc_refresh_token) {
-            console.log('Using existing refresh token');
-            
             // Store new access token in KV with expiration
-            await env.AUTH_STORE.put(
-              `gsc_token:${request.user.user_id}`, 
-              access_token, 
-              { expirationTtl: expires_in }
-            );
+            await cacheAccessToken(env, request.user.user_id, access_token, expires_in);
             
             // Update the connected status
             await env.DB.prepare(
@@ -339,19 +476,14 @@ export async function handleCallback(request, env) {
       
       // Store refresh token in database (linked to user)
       const userId = request.user.user_id;
-      console.log(`Updating GSC connection for user ID: ${userId}`);
       
       try {
         await env.DB.prepare(
           'UPDATE users SET gsc_refresh_token = ?, gsc_connected = 1 WHERE id = ?'
-        ).bind(refresh_token, userId).run();
+        ).bind(await encryptRefreshToken(env, userId, refresh_token), userId).run();
         
         // Store access token in KV with expiration
-        await env.AUTH_STORE.put(
-          `gsc_token:${userId}`, 
-          access_token, 
-          { expirationTtl: expires_in }
-        );
+        await cacheAccessToken(env, userId, access_token, expires_in);
         
         console.log(`Successfully connected GSC for user ID: ${userId}`);
         
@@ -370,14 +502,14 @@ export async function handleCallback(request, env) {
       console.error('Error during token exchange:', tokenError);
       return new Response(JSON.stringify({
         success: false,
-        error: 'Token exchange error: ' + tokenError.message
+        error: 'Google Search Console could not be connected. Please try again.'
       }), { status: 500, headers });
     }
   } catch (error) {
     console.error('OAuth callback error:', error);
     return new Response(JSON.stringify({ 
       success: false, 
-      error: 'OAuth callback failed: ' + error.message 
+      error: 'OAuth callback failed' 
     }), { 
       status: 500,
       headers: {
@@ -391,122 +523,13 @@ export async function handleCallback(request, env) {
   }
 }
 
-// Refresh GSC token
-export async function refreshToken(request, env) {
-  const userId = request.user.user_id;
-  console.log(`Refreshing GSC token for user ${userId}`);
-  
-  // Define common headers including CORS
-  const headers = {
-    'Content-Type': 'application/json',
-    'Access-Control-Allow-Origin': env.FRONTEND_URL || 'https://analytics.k-o.pro',
-    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-    'Access-Control-Allow-Credentials': 'true'
-  };
-  
-  // Get refresh token from database
-  const user = await env.DB.prepare(
-    'SELECT gsc_refresh_token, email FROM users WHERE id = ?'
-  ).bind(userId).first();
-  
-  if (!user || !user.gsc_refresh_token) {
-    console.error(`No refresh token found for user ${userId}`);
-    
-    // Update the connected status to false
-    if (user) {
-      console.log(`Marking user ${userId} as GSC disconnected due to missing refresh token`);
-      await env.DB.prepare(
-        'UPDATE users SET gsc_connected = 0 WHERE id = ?'
-      ).bind(userId).run();
-    }
-    
-    return new Response(JSON.stringify({
-      success: false,
-      error: 'No refresh token found',
-      needsConnection: true
-    }), { 
-      status: 400,
-      headers: headers
-    });
-  }
-  
-  console.log(`Found refresh token for user ${userId} (${user.email}), exchanging for access token`);
-  
-  // Exchange refresh token for new access token
-  try {
-    const tokenResponse = await fetch('https://oauth2.googleapis.com/token', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-      body: new URLSearchParams({
-        refresh_token: user.gsc_refresh_token,
-        client_id: env.GOOGLE_CLIENT_ID,
-        client_secret: env.GOOGLE_CLIENT_SECRET,
-        grant_type: 'refresh_token'
-      })
-    });
-    
-    if (!tokenResponse.ok) {
-      const errorText = await tokenResponse.text();
-      console.error(`Token refresh failed for user ${userId}: ${errorText}`);
-      
-      // If refresh fails, prompt user to reconnect
-      console.log(`Marking user ${userId} as GSC disconnected due to token refresh failure`);
-      await env.DB.prepare(
-        'UPDATE users SET gsc_connected = 0 WHERE id = ?'
-      ).bind(userId).run();
-      
-      return new Response(JSON.stringify({
-        success: false,
-        error: `Failed to refresh token: ${errorText}`,
-        needsConnection: true
-      }), { 
-        status: 401,
-        headers: headers
-      });
-    }
-    
-    const tokenData = await tokenResponse.json();
-    const { access_token, expires_in } = tokenData;
-    
-    console.log(`Token refreshed successfully for user ${userId}, expires in ${expires_in} seconds`);
-    
-    // Store new access token in KV
-    await env.AUTH_STORE.put(
-      `gsc_token:${userId}`, 
-      access_token, 
-      { expirationTtl: expires_in }
-    );
-    
-    // Make sure the connected flag is set to true
-    await env.DB.prepare(
-      'UPDATE users SET gsc_connected = 1 WHERE id = ?'
-    ).bind(userId).run();
-    
-    return new Response(JSON.stringify({ 
-      success: true,
-      message: 'Token refreshed successfully' 
-    }), {
-      headers: headers
-    });
-  } catch (error) {
-    console.error(`Error refreshing token for user ${userId}:`, error);
-    return new Response(JSON.stringify({
-      success: false,
-      error: `Error refreshing token: ${error.message}`
-    }), { 
-      status: 500,
-      headers: headers
-    });
-  }
-}
-
-// Password verification function (simple SHA-256 hash with salt)
-// Note: For production, consider using a more robust password hashing method like bcrypt
-async function verifyPassword(password, storedHash, salt) {
-  // Create a SHA-256 hash of the password with salt
-  const hash = await sha256Hash(password + salt);
+// Refresh the current user's Google access token
+export const handleGSCTokenRefresh = withErrorHandling(async (request, env) => {
+  const headers = createCorsHeaders(env.FRONTEND_URL);
+  await refreshAccessToken(env, request.user.user_id);
   
-  // Compare hashes
-  return hash === storedHash;
-}
\ No newline at end of file
+  return new Response(JSON.stringify({
+    success: true,
+    message: 'Token refreshed successfully'
+  }), { headers });
+});
@@ -0,0 +1,75 @@
+// Buying credits: catalogue, checkout, subscription status and the payment webhook
+import { CREDIT_PACKS, SUBSCRIPTION_PLANS } from './services/creditCatalog.js';
+import { createCheckout, getActiveSubscription, processPaymentWebhook } from './services/billing.js';
+import { PLANS, getRequestEntitlements, getPropertyAllowance } from './services/entitlements.js';
+import { NotFoundError, createCorsHeaders, withErrorHandling } from './utils/errors.js';
+
+// Credit packs and subscription plans on sale, with what each plan includes
+export const getCatalog = withErrorHandling(async (request, env) => {
+    const headers = createCorsHeaders(env.FRONTEND_URL);
+
+    return new Response(JSON.stringify({
+        success: true,
+        packs: CREDIT_PACKS,
+        plans: SUBSCRIPTION_PLANS.map(plan => ({ ...plan, entitlements: PLANS[plan.id] })),
+        freePlan: PLANS.free
+    }), { headers });
+});
+
+// Start a checkout; the frontend redirects the user to checkoutUrl
+export const startCheckout = withErrorHandling(async (request, env) => {
+    const headers = createCorsHeaders(env.FRONTEND_URL);
+    const user = await env.DB.prepare(
+        'SELECT id, email FROM users WHERE id = ?'
+    ).bind(request.user.user_id).first();
+
+    if (!user) {
+        throw new NotFoundError('User not found');
+    }
+
+    const checkout = await createCheckout(env, user, request.validated.productId);
+
+    return new Response(JSON.stringify({
+        success: true,
+        ...checkout
+    }), { status: 201, headers });
+});
+
+// The current user's active subscription
+export const getSubscription = withErrorHandling(async (request, env) => {
+    const headers = createCorsHeaders(env.FRONTEND_URL);
+
+    return new Response(JSON.stringify({
+        success: true,
+        subscription: await getActiveSubscription(env, request.user.user_id)
+    }), { headers });
+});
+
+// The current user's plan, its limits and how many properties it covers
+export const getPlan = withErrorHandling(async (request, env) => {
+    const headers = createCorsHeaders(env.FRONTEND_URL);
+    const { plan, overridden, ...entitlements } = await getRequestEntitlements(request, env);
+    const allowance = await getPropertyAllowance(env, request.user.user_id, entitlements);
+
+    return new Response(JSON.stringify({
+        success: true,
+        plan,
+        overridden,
+        entitlements,
+        usage: {
+            properties: allowance.used,
+            propertiesCovered: [...allowance.siteUrls]
+        }
+    }), { headers });
+});
+
+// Payment provider webhook; authenticated by its signature, not a user token
+export const handlePaymentWebhook = withErrorHandling(async (request, env) => {
+    const headers = createCorsHeaders(env.FRONTEND_URL);
+    const result = await processPaymentWebhook(env, request);
+
+    return new Response(JSON.stringify({
+        received: true,
+        duplicate: result.duplicate
+    }), { headers });
+});
@@ -1,57 +1,142 @@
 // Credit management functions
+import { getBalance, debitCredits, getSpendSummary } from './services/credits.js';
+import { ValidationError, createCorsHeaders, withErrorHandling } from './utils/errors.js';
+
+const HISTORY_DEFAULT_LIMIT = 50;
+const HISTORY_MAX_LIMIT = 200;
+const ENTRY_TYPES = ['grant', 'debit', 'refund'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
 
 // Get user credits
-export async function getCredits(request, env) {
-    const userId = request.user.user_id;
-    
-    const user = await env.DB.prepare(
-      'SELECT credits FROM users WHERE id = ?'
-    ).bind(userId).first();
-    
-    return new Response(JSON.stringify({ credits: user.credits }), {
-      headers: { 'Content-Type': 'application/json' }
-    });
-  }
-  
-  // Use credits
-  export async function useCredits(request, env) {
-    const userId = request.user.user_id;
-    const { amount = 1, purpose } = await request.json();
-    
-    // Check if user has enough credits
-    const user = await env.DB.prepare(
-      'SELECT credits FROM users WHERE id = ?'
-    ).bind(userId).first();
-    
-    if (user.credits < amount) {
-      return new Response(JSON.stringify({
-        error: 'Insufficient credits',
-        credits: user.credits
-      }), {
-        status: 402,
-        headers: { 'Content-Type': 'application/json' }
-      });
-    }
-    
-    // Deduct credits
-    await env.DB.prepare(
-      'UPDATE users SET credits = credits - ? WHERE id = ?'
-    ).bind(amount, userId).run();
-    
-    // Log credit usage
-    await env.DB.prepare(
-      'INSERT INTO credit_logs (user_id, amount, purpose, created_at) VALUES (?, ?, ?, ?)'
-    ).bind(
-      userId,
-      amount,
-      purpose,
-      new Date().toISOString()
-    ).run();
-    
+export const getCredits = withErrorHandling(async (request, env) => {
+    const headers = createCorsHeaders(env.FRONTEND_URL);
+    const credits = await getBalance(env, request.user.user_id);
+
+    return new Response(JSON.stringify({ credits }), { headers });
+});
+
+// Use credits
+export const useCredits = withErrorHandling(async (request, env) => {
+    const headers = createCorsHeaders(env.FRONTEND_URL);
+    const { amount, purpose } = request.validated;
+
+    const credits = await debitCredits(env, request.user.user_id, amount, purpose);
+
     return new Response(JSON.stringify({
-      success: true,
-      credits: user.credits - amount
-    }), {
-      headers: { 'Content-Type': 'application/json' }
+        success: true,
+        credits
+    }), { headers });
+});
+
+// Helper function to read a bounded positive integer query parameter
+function parseCount(params, name, fallback, max) {
+    const value = params.get(name);
+    if (value === null) {
+        return fallback;
+    }
+
+    const count = parseInt(value, 10);
+    if (!Number.isInteger(count) || count < 1 || count > max) {
+        throw new ValidationError(`${name} must be between 1 and ${max}`, { [name]: value });
+    }
+    return count;
+}
+
+/**
+ * Credit ledger entries, newest first
+ *
+ * Query parameters: type ('grant', 'debit' or 'refund'), purpose, startDate,
+ * endDate (YYYY-MM-DD, inclusive), limit and cursor; pass the returned
+ * nextCursor to fetch the following page.
+ */
+export const getCreditHistory = withErrorHandling(async (request, env) => {
+    const headers = createCorsHeaders(env.FRONTEND_URL);
+    const params = new URL(request.url).searchParams;
+
+    const conditions = ['user_id = ?'];
+    const bindings = [request.user.user_id];
+
+    const type = params.get('type');
+    if (type) {
+        if (!ENTRY_TYPES.includes(type)) {
+            throw new ValidationError('Invalid entry type', { type, allowed: ENTRY_TYPES });
+        }
+        conditions.push('entry_type = ?');
+        bindings.push(type);
+    }
+
+    const purpose = params.get('purpose');
+    if (purpose) {
+        conditions.push('purpose = ?');
+        bindings.push(purpose);
+    }
+
+    const startDate = params.get('startDate');
+    const endDate = params.get('endDate');
+    for (const [name, value] of [['startDate', startDate], ['endDate', endDate]]) {
+        if (value && !DATE_PATTERN.test(value)) {
+            throw new ValidationError(`${name} must be in YYYY-MM-DD format`, { [name]: value });
+        }
+    }
+    if (startDate) {
+        conditions.push('created_at >= ?');
+        bindings.push(startDate);
+    }
+    if (endDate) {
+        conditions.push("created_at < date(?, '+1 day')");
+        bindings.push(endDate);
+    }
+
+    const cursor = params.get('cursor');
+    if (cursor) {
+        const cursorId = parseInt(cursor, 10);
+        if (!Number.isInteger(cursorId) || cursorId < 1) {
+            throw new ValidationError('Invalid cursor', { cursor });
+        }
+        conditions.push('id < ?');
+        bindings.push(cursorId);
+    }
+
+    const limit = parseCount(params, 'limit', HISTORY_DEFAULT_LIMIT, HISTORY_MAX_LIMIT);
+
+    // Fetch one extra row to know whether another page exists
+    const { results = [] } = await env.DB.prepare(
+        `SELECT id, entry_type, amount, purpose, reference, balance_after, created_at FROM credit_logs
+         WHERE ${conditions.join(' AND ')}
+         ORDER BY id DESC
+         LIMIT ?`
+    ).bind(...bindings, limit + 1).all();
+
+    const hasMore = results.length > limit;
+    const page = hasMore ? results.slice(0, limit) : results;
+
+    return new Response(JSON.stringify({
+        success: true,
+        entries: page.map(row => ({
+            id: row.id,
+            type: row.entry_type,
+            amount: row.amount,
+            purpose: row.purpose,
+            reference: row.reference,
+            balanceAfter: row.balance_after,
+            createdAt: row.created_at
+        })),
+        nextCursor: hasMore ? String(page[page.length - 1].id) : null
+    }), { headers });
+});
+
+// Spend per feature by week and month with a projected run-out date (query: weeks, months)
+export const getCreditSummary = withErrorHandling(async (request, env) => {
+    const headers = createCorsHeaders(env.FRONTEND_URL);
+    const params = new URL(request.url).searchParams;
+
+    const summary = await getSpendSummary(env, request.user.user_id, {
+        weeks: parseCount(params, 'weeks', 8, 52),
+        months: parseCount(params, 'months', 6, 24)
     });
-  }
\ No newline at end of file
+
+    return new Response(JSON.stringify({
+        success: true,
+        ...summary
+    }), { headers });
+});
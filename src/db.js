@@ -0,0 +1,108 @@
+// Versioned schema migrations for D1
+import { migrations } from './migrations/index.js';
+
+const MIGRATIONS_TABLE_SQL = `CREATE TABLE IF NOT EXISTS schema_migrations (
+  version INTEGER PRIMARY KEY,
+  name TEXT NOT NULL,
+  applied_at TEXT NOT NULL
+)`;
+
+// Helper function to read applied migration versions
+async function getAppliedMigrations(db) {
+  await db.prepare(MIGRATIONS_TABLE_SQL).run();
+  const { results = [] } = await db.prepare(
+    'SELECT version, name, applied_at FROM schema_migrations ORDER BY version'
+  ).all();
+  return results;
+}
+
+/**
+ * Report applied and pending migrations
+ * @param {Object} env - Worker environment
+ * @returns {Promise<Object>} Current version with applied and pending migrations
+ */
+export async function getMigrationStatus(env) {
+  const applied = await getAppliedMigrations(env.DB);
+  const appliedVersions = new Set(applied.map(row => row.version));
+
+  return {
+    currentVersion: applied.length > 0 ? applied[applied.length - 1].version : 0,
+    latestVersion: migrations[migrations.length - 1].version,
+    applied: applied.map(row => ({ version: row.version, name: row.name, appliedAt: row.applied_at })),
+    pending: migrations
+      .filter(migration => !appliedVersions.has(migration.version))
+      .map(migration => ({ version: migration.version, name: migration.name }))
+  };
+}
+
+/**
+ * Apply pending migrations in order. Each migration runs in one D1 batch together
+ * with its schema_migrations row, so a failure leaves it unapplied.
+ * @param {Object} env - Worker environment
+ * @returns {Promise<Object>} Applied migrations and the error that stopped the run, if any
+ */
+export async function applyMigrations(env) {
+  const applied = new Set((await getAppliedMigrations(env.DB)).map(row => row.version));
+  const result = { applied: [], error: null };
+
+  for (const migration of migrations) {
+    if (applied.has(migration.version)) {
+      continue;
+    }
+
+    try {
+      const statements = typeof migration.statements === 'function'
+        ? await migration.statements(env.DB, env)
+        : migration.statements;
+
+      await env.DB.batch([
+        ...statements.map(statement => typeof statement === 'string' ? env.DB.prepare(statement) : statement),
+        env.DB.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)')
+          .bind(migration.version, migration.name, new Date().toISOString())
+      ]);
+
+      console.log(`Applied migration ${migration.version}_${migration.name}`);
+      result.applied.push({ version: migration.version, name: migration.name });
+    } catch (error) {
+      console.error(`Migration ${migration.version}_${migration.name} failed:`, error);
+      result.error = { version: migration.version, name: migration.name, message: error.message };
+      break;
+    }
+  }
+
+  return result;
+}
+
+// Per isolate: resolves once the schema this code was built for is in place
+let schemaReady = null;
+
+// Helper function to apply pending migrations, tolerating another isolate applying them at the same time
+async function applyPendingMigrations(env) {
+  const { pending } = await getMigrationStatus(env);
+  if (pending.length === 0) {
+    return;
+  }
+
+  const result = await applyMigrations(env);
+  if (result.error && (await getMigrationStatus(env)).pending.length > 0) {
+    throw new Error(`Migration ${result.error.version}_${result.error.name} failed: ${result.error.message}`);
+  }
+}
+
+/**
+ * Make sure every migration this code knows about is applied, applying pending
+ * ones first. A freshly deployed version therefore never runs against the
+ * previous schema. Checked once per isolate; a failure is retried on the next call.
+ * @param {Object} env - Worker environment
+ * @returns {Promise<void>}
+ * @throws {Error} If a pending migration can't be applied
+ */
+export function ensureSchema(env) {
+  if (!schemaReady) {
+    schemaReady = applyPendingMigrations(env).catch(error => {
+      schemaReady = null;
+      throw error;
+    });
+  }
+  return schemaReady;
+}
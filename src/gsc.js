@@ -1,15 +1,30 @@
 // Functions to interact with Google Search Console API
-import { refreshToken } from './auth.js';
+import { searchAnalytics, querySearchAnalytics, listSites, listSitemaps, addSitemap, runUrlInspection } from './services/gscClient.js';
+import { syncUserProperties, listUserProperties } from './properties.js';
+import { canAccessSharedSite, getMembership, listSharedProperties } from './services/organizations.js';
 import { getCachedData, setCachedData, generateGSCacheKey } from './utils/cache.js';
-import { checkRateLimit, generateGSCRateLimitKey, createRateLimitResponse } from './utils/rateLimiter.js';
+import { enforceRateLimit } from './utils/middleware.js';
+import { toDailyMetrics, upsertDailyMetrics, queryDailyTrend, normalizeSiteUrl, WAREHOUSE_DIMENSIONS } from './services/metricsWarehouse.js';
+import { resolvePreviousRange, compareRows, compareTotals } from './utils/comparison.js';
+import { gscDataRequestSchema, parseWithSchema } from './utils/validation.js';
+import { getBalance, reserveCredits, commitReservation, releaseReservation } from './services/credits.js';
+import { getRequestEntitlements } from './services/entitlements.js';
+import {
+    GSC_PAGE_SIZE,
+    SYNC_MAX_ROWS,
+    getMaxExportRows,
+    fetchPagedRows,
+    createExportJob,
+    getExportJob,
+    readExportChunk
+} from './services/gscExport.js';
 import { 
-    AuthError, 
     ValidationError, 
-    RateLimitError,
     createCorsHeaders,
     withErrorHandling,
     NotFoundError,
-    APIError
+    InsufficientCreditsError,
+    PlanLimitError
 } from './utils/errors.js';
 
 // Helper function to validate required fields in request body
@@ -25,473 +40,197 @@ function validateRequiredFields(body, requiredFields) {
     return true;
 }
 
+// Helper function to list the properties shared with the user's active organization
+async function listActiveOrgProperties(env, user) {
+    if (!user.org_id || !await getMembership(env, user.org_id, user.user_id)) {
+        return [];
+    }
+    return listSharedProperties(env, user.org_id);
+}
+
 // Get user's GSC properties
 export const getProperties = withErrorHandling(async (request, env) => {
   const userId = request.user.user_id;
     const headers = createCorsHeaders(env.FRONTEND_URL);
-  
-  console.log(`Getting GSC properties for user ${userId}`);
     
     // Try to get cached data first
     const cacheKey = generateGSCacheKey(userId, 'properties');
     const cachedData = await getCachedData(env.GSC_CACHE, cacheKey);
     
     if (cachedData) {
-        console.log(`Returning cached GSC properties for user ${userId}`);
         return new Response(JSON.stringify({
             success: true,
             data: cachedData,
+            properties: await listUserProperties(env, userId),
+            sharedProperties: await listActiveOrgProperties(env, request.user),
             cached: true
         }), { headers });
     }
     
     // Check rate limit before making API call
-    const rateLimitKey = generateGSCRateLimitKey(userId, 'properties');
-    const rateLimit = await checkRateLimit(env.GSC_CACHE, rateLimitKey, 100, 60);
-    
-    if (rateLimit.limited) {
-        throw new RateLimitError(
-            'Rate limit exceeded',
-            rateLimit.remaining,
-            rateLimit.reset
-        );
-    }
-    
-    // Add rate limit headers to response
-    headers['X-RateLimit-Remaining'] = rateLimit.remaining.toString();
-    headers['X-RateLimit-Reset'] = rateLimit.reset.toString();
-  
-  // Check if user has connected GSC
-  const user = await env.DB.prepare(
-      'SELECT gsc_connected, gsc_refresh_token FROM users WHERE id = ?'
-  ).bind(userId).first();
-  
-  if (!user || !user.gsc_connected || !user.gsc_refresh_token) {
-        throw new ValidationError('Google Search Console not connected', {
-          hasUser: !!user,
-          connected: user?.gsc_connected,
-          hasRefreshToken: !!user?.gsc_refresh_token
-      });
-  }
-  
-  // Get access token from KV
-  let accessToken = await env.AUTH_STORE.get(`gsc_token:${userId}`);
-  console.log(`Access token for user ${userId}: ${accessToken ? 'Present' : 'Missing'}`);
-  
-  if (!accessToken) {
-      console.log(`Access token not found for user ${userId}, refreshing...`);
-      // Token expired, try to refresh
-      const refreshResult = await refreshToken(request, env);
-      if (!refreshResult.ok) {
-            throw new AuthError('Failed to refresh token', {
-                status: refreshResult.status,
-                statusText: refreshResult.statusText
-            });
-      }
-      
-      // Get new access token
-      const newAccessToken = await env.AUTH_STORE.get(`gsc_token:${userId}`);
-      
-      // Validate new token exists
-      if (!newAccessToken) {
-            throw new AuthError('Failed to refresh access token');
-      }
-      
-      console.log(`Token refreshed successfully for user ${userId}`);
-      accessToken = newAccessToken;
-  }
+    await enforceRateLimit(request, env, 'gsc:properties', 100);
   
   // Fetch GSC properties
-  console.log(`Fetching GSC properties for user ${userId}`);
-  try {
-      const response = await fetch(
-          'https://www.googleapis.com/webmasters/v3/sites',
-          {
-              headers: {
-                  'Authorization': `Bearer ${accessToken}`
-              }
-          }
-      );
-      
-      if (!response.ok) {
-            // Clone the response before reading the body
-            const responseClone = response.clone();
-            const errorText = await responseClone.text();
-          console.error(`GSC API error (${response.status}):`, errorText);
-          
-          // If unauthorized, token might be invalid, try refreshing
-          if (response.status === 401) {
-              console.log('Token seems invalid, trying to refresh...');
-              await env.AUTH_STORE.delete(`gsc_token:${userId}`);
-              return getProperties(request, env); // Retry once with a fresh token
-          }
-          
-            throw new APIError(
-                `Failed to fetch properties: ${errorText}`,
-                response.status,
-                'GSC_API_ERROR',
-                { errorText }
-            );
-      }
-      
-      const data = await response.json();
-        console.log('GSC API response data:', data);
-        
-        // Cache the successful response
-        await setCachedData(env.GSC_CACHE, cacheKey, data, 3600); // Cache for 1 hour
-      
-        // Ensure we're directly exposing the siteEntry array for frontend consistency
-      return new Response(JSON.stringify({
-          success: true,
-            siteEntry: data.siteEntry || [],
-            cached: false
-        }), { headers });
-        
-  } catch (error) {
-        if (error instanceof APIError) {
-            throw error;
-        }
-        throw new APIError(
-            'Failed to fetch properties',
-            500,
-            'GSC_FETCH_ERROR',
-            { error: error.message }
-        );
+    const data = await listSites(env, userId);
+    
+    // Cache the successful response
+    await setCachedData(env.GSC_CACHE, cacheKey, data, 3600); // Cache for 1 hour
+    
+    // Keep the stored, user-curated property list in step with Google
+    try {
+        await syncUserProperties(env, userId, data.siteEntry || []);
+    } catch (error) {
+        console.error('Failed to sync user properties:', error);
     }
+    
+    // Ensure we're directly exposing the siteEntry array for frontend consistency
+    return new Response(JSON.stringify({
+        success: true,
+        siteEntry: data.siteEntry || [],
+        properties: await listUserProperties(env, userId),
+        sharedProperties: await listActiveOrgProperties(env, request.user),
+        cached: false
+    }), { headers });
 });
 
 // Fetch GSC data for specified property
 export const fetchGSCData = withErrorHandling(async (request, env) => {
-  const userId = request.user.user_id;
+    // Shared properties are read through the sharing member's connection
+    const siteOwnerId = request.site.userId;
     const headers = createCorsHeaders(env.FRONTEND_URL);
     
-    try {
-        // Parse and validate request body
-        const body = await request.json();
-        console.log(`Request body for fetchGSCData:`, JSON.stringify(body));
-        validateRequiredFields(body, ['siteUrl', 'startDate', 'endDate']);
-        
-        const { siteUrl, startDate, endDate, dimensions = ['query', 'page'] } = body;
-        
-        console.log(`GSC data request for user ${userId}:`, {
-            siteUrl,
-            startDate,
-            endDate,
-            dimensions
+    // Parse and validate request body
+    const body = await request.json();
+    const {
+        siteUrl,
+        startDate,
+        endDate,
+        dimensions,
+        searchType,
+        aggregationType,
+        dataState,
+        dimensionFilterGroups,
+        rowLimit,
+        startRow,
+        maxRows = rowLimit,
+        async: runAsync
+    } = parseWithSchema(gscDataRequestSchema, body);
+    
+    const maxExportRows = getMaxExportRows(env);
+    if (maxRows > maxExportRows) {
+        throw new ValidationError(`maxRows cannot exceed ${maxExportRows}`, { maxRows });
+    }
+    
+    const entitlements = await getRequestEntitlements(request, env);
+    if (maxRows > entitlements.maxRowsPerRequest) {
+        throw new PlanLimitError(`The ${entitlements.name} plan allows up to ${entitlements.maxRowsPerRequest} rows per request`, {
+            plan: entitlements.plan,
+            maxRows,
+            maxRowsPerRequest: entitlements.maxRowsPerRequest
         });
+    }
+    
+    // Check rate limit before making API call
+    await enforceRateLimit(request, env, 'gsc:searchAnalytics', 100);
+    
+    // GSC URLs can be in different formats: sc-domain:example.com, https://example.com/, etc.
+    // Bare domains are treated as domain properties
+    const siteDomain = normalizeSiteUrl(siteUrl);
+    const requestBody = {
+        startDate,
+        endDate,
+        dimensions,
+        type: searchType,
+        aggregationType,
+        dataState,
+        dimensionFilterGroups,
+        rowLimit,
+        startRow
+    };
+    // Only final data is stored, so preliminary numbers never overwrite or outlive final ones
+    const isWarehouseable = searchType === 'web' && aggregationType === 'auto' && dataState === 'final' && !dimensionFilterGroups;
+    
+    // Very large pulls run as a background export job instead of blocking the request
+    if (runAsync || maxRows > SYNC_MAX_ROWS) {
+        const jobId = await createExportJob(env, siteOwnerId, siteDomain, requestBody, maxRows);
         
-        // Check rate limit before making API call
-        const rateLimitKey = generateGSCRateLimitKey(userId, 'searchAnalytics');
-        const rateLimit = await checkRateLimit(env.GSC_CACHE, rateLimitKey, 100, 60);
-        
-        if (rateLimit.limited) {
-            throw new RateLimitError(
-                'Rate limit exceeded',
-                rateLimit.remaining,
-                rateLimit.reset
+        return new Response(JSON.stringify({
+            success: true,
+            jobId,
+            status: 'pending',
+            statusUrl: `/gsc/jobs/${jobId}`
+        }), {
+            status: 202,
+            headers: headers
+        });
+    }
+    
+    let data;
+    let paging = null;
+    try {
+        if (maxRows > rowLimit) {
+            // Collect more than one page synchronously by paging with startRow
+            const paged = await fetchPagedRows(
+                pageBody => querySearchAnalytics(env, siteOwnerId, siteDomain, pageBody),
+                requestBody,
+                maxRows
             );
-        }
-        
-        // Add rate limit headers to response
-        headers['X-RateLimit-Remaining'] = rateLimit.remaining.toString();
-        headers['X-RateLimit-Reset'] = rateLimit.reset.toString();
-  
-  // Get access token from KV
-  let accessToken = await env.AUTH_STORE.get(`gsc_token:${userId}`);
-  
-  if (!accessToken) {
-      // Token expired, try to refresh
-            console.log(`Access token not found for user ${userId}, refreshing...`);
-      const refreshResult = await refreshToken(request, env);
-      if (!refreshResult.ok) {
-                throw new AuthError('Failed to refresh token', {
-                    status: refreshResult.status,
-                    statusText: refreshResult.statusText
-                });
-      }
-            
-      // Get new access token
-      const newAccessToken = await env.AUTH_STORE.get(`gsc_token:${userId}`);
-      
-      // Validate new token exists
-      if (!newAccessToken) {
-                throw new AuthError('Failed to refresh access token');
-      }
-      
-      accessToken = newAccessToken;
-  }
-        
-        // Normalize and handle different site URL formats
-        // GSC URLs can be in different formats: sc-domain:example.com, https://example.com/, etc.
-        let siteDomain = siteUrl;
-        
-        // Log the input URL to help debug
-        console.log(`Original site URL: ${siteUrl}`);
-        
-        // Make sure URLs are correctly formatted for the GSC API
-        if (!siteUrl.startsWith('sc-domain:') && !siteUrl.startsWith('http://') && !siteUrl.startsWith('https://')) {
-            console.log(`Adding sc-domain: prefix to ${siteUrl}`);
-            siteDomain = `sc-domain:${siteUrl}`;
+            data = { rows: paged.rows };
+            paging = { pages: paged.pages, truncated: paged.truncated };
         } else {
-            siteDomain = siteUrl;
-        }
-        
-        // Properly encode the URL
-        let encodedSiteUrl = encodeURIComponent(siteDomain);
-        console.log(`Encoded site URL: ${encodedSiteUrl}`);
-  
-  // Query Search Console API
-        console.log(`Fetching GSC data for ${siteUrl} from ${startDate} to ${endDate}`);
-        const requestBody = {
-            startDate,
-            endDate,
-            dimensions,
-            rowLimit: 500
-        };
-        
-        console.log(`Request body: ${JSON.stringify(requestBody)}`);
-        
-        try {
-            const apiUrl = `https://www.googleapis.com/webmasters/v3/sites/${encodedSiteUrl}/searchAnalytics/query`;
-            console.log(`API URL: ${apiUrl}`);
-            
-  const response = await fetch(
-                apiUrl,
-      {
-          method: 'POST',
-          headers: {
-              'Authorization': `Bearer ${accessToken}`,
-              'Content-Type': 'application/json'
-          },
-                    body: JSON.stringify(requestBody)
-                }
-            );
-            
-            // Log the GSC API response status to help debug
-            console.log(`GSC API response status: ${response.status}`);
-  
-  if (!response.ok) {
-                // Clone the response before reading the body
-                const responseClone = response.clone();
-                const errorText = await responseClone.text();
-                console.error(`GSC API error (${response.status}):`, errorText);
-                
-                // If unauthorized, token might be invalid, try refreshing once
-                if (response.status === 401) {
-                    console.log('Access token invalid, refreshing and retrying...');
-                    await env.AUTH_STORE.delete(`gsc_token:${userId}`);
-                    
-                    // Refresh token
-                    const refreshResult = await refreshToken(request, env);
-                    if (!refreshResult.ok) {
-                        throw new AuthError('Failed to refresh token after 401', {
-                            status: refreshResult.status,
-                            statusText: refreshResult.statusText
-                        });
-                    }
-                    
-                    // Get new access token
-                    const newAccessToken = await env.AUTH_STORE.get(`gsc_token:${userId}`);
-                    if (!newAccessToken) {
-                        throw new AuthError('Failed to get new access token after refresh');
-                    }
-                    
-                    // Retry with new token
-                    const retryResponse = await fetch(
-                        apiUrl,
-                        {
-                            method: 'POST',
-                            headers: {
-                                'Authorization': `Bearer ${newAccessToken}`,
-                                'Content-Type': 'application/json'
-                            },
-                            body: JSON.stringify(requestBody)
-                        }
-                    );
-                    
-                    if (!retryResponse.ok) {
-                        // Clone the retry response before reading the body
-                        const retryResponseClone = retryResponse.clone();
-                        const retryErrorText = await retryResponseClone.text();
-                        console.error(`GSC API retry error (${retryResponse.status}):`, retryErrorText);
-                        
-                        // Provide detailed error information
-                        throw new APIError(
-                            `Failed to fetch GSC data after token refresh: ${retryErrorText}`,
-                            retryResponse.status,
-                            'GSC_API_ERROR',
-                            { 
-                                errorText: retryErrorText,
-                                siteUrl,
-                                encodedSiteUrl,
-                                startDate,
-                                endDate
-                            }
-                        );
-                    }
-                    
-                    const retryData = await retryResponse.json();
-                    console.log(`Successfully fetched GSC data after token refresh for ${siteUrl}`);
-                    
-                    return new Response(JSON.stringify({
-                        success: true,
-                        data: retryData,
-                        retried: true
-                    }), {
-                        headers: headers
-                    });
-                }
-                
-                // Handle property not found (404) error specifically
-                if (response.status === 404) {
-                    console.log(`No data found for property ${siteUrl}`);
-                    
-                    // Check if site URL might be in the wrong format and suggest alternatives
-                    let errorMessage = 'No data available for this property.';
-                    let suggestions = [];
-                    
-                    if (!siteUrl.startsWith('sc-domain:') && !siteUrl.startsWith('http')) {
-                        suggestions.push(`sc-domain:${siteUrl}`);
-                    }
-                    
-                    if (siteUrl.startsWith('https://') || siteUrl.startsWith('http://')) {
-                        // Remove trailing slash if present
-                        const domainOnly = siteUrl.replace(/^https?:\/\//, '').replace(/\/$/, '');
-                        suggestions.push(`sc-domain:${domainOnly}`);
-                    }
-                    
-                    if (suggestions.length > 0) {
-                        errorMessage += ` You might try using one of these formats instead: ${suggestions.join(', ')}`;
-                    }
-                    
-                    return new Response(JSON.stringify({
-                        success: true,
-                        data: { rows: [] },
-                        message: errorMessage,
-                        notFound: true,
-                        suggestions
-                    }), {
-                        headers: headers
-                    });
-                }
-                
-                // Handle permission errors (403 Forbidden)
-                if (response.status === 403) {
-                    console.log(`User does not have permission for site ${siteUrl}`);
-                    
-                    // Clone the response before reading the body
-                    const responseClone = response.clone();
-                    const errorText = await responseClone.text();
-                    console.error(`GSC API error (${response.status}):`, errorText);
-                    
-                    // Parse the error message to extract the reason
-                    let errorMessage = 'You do not have permission to access this site in Google Search Console.';
-                    try {
-                        const errorData = JSON.parse(errorText);
-                        if (errorData.error && errorData.error.message) {
-                            errorMessage = errorData.error.message;
-                        }
-                    } catch (parseError) {
-                        console.error('Error parsing 403 response:', parseError);
-                    }
-                    
-                    // Return a more user-friendly response
-                    return new Response(JSON.stringify({
-                        success: false,
-                        error: errorMessage,
-                        code: 'PERMISSION_DENIED',
-                        data: { rows: [] },
-                        permissionDenied: true
-                    }), {
-                        status: 403,
-                        headers: headers
-                    });
-                }
-                
-                // Provide more detailed error information
-                throw new APIError(
-                    `Failed to fetch GSC data: ${errorText}`,
-                    response.status,
-                    'GSC_API_ERROR',
-                    { 
-                        errorText,
-                        siteUrl,
-                        encodedSiteUrl,
-                        startDate,
-                        endDate 
-                    }
-                );
-  }
-  
-  const data = await response.json();
-            console.log(`Successfully fetched GSC data for ${siteUrl}, rows:`, data.rows?.length || 0);
-            console.log('Data structure:', Object.keys(data));
-  
-  // Store data in database for historical tracking
-  const timestamp = new Date().toISOString();
-  const dataJson = JSON.stringify(data);
-  
-            try {
-  await env.DB.prepare(
-      `INSERT INTO gsc_data (user_id, site_url, date_range, dimensions, data, created_at)
-       VALUES (?, ?, ?, ?, ?, ?)`
-  ).bind(
-      userId,
-      siteUrl,
-      `${startDate} to ${endDate}`,
-      dimensions.join(','),
-      dataJson,
-      timestamp
-  ).run();
-            } catch (error) {
-                console.error('Failed to store GSC data:', error);
-                // Don't throw here, as the API call was successful
-            }
-            
-            // Return both the rows at the top level and the full data for backward compatibility
-            return new Response(JSON.stringify({
-                success: true,
-                rows: data.rows || [],
-                data: data
-            }), {
-                headers: headers
-            });
-        } catch (error) {
-            console.error('Error in fetchGSCData:', error);
-            
-            // Provide a clearer error response
-            const errorResponse = {
-                success: false,
-                error: error.message || 'Unknown error occurred',
-                errorCode: error.code || 'UNKNOWN_ERROR',
-                errorDetails: error.details || {}
-            };
-            
-            const statusCode = error.status || 500;
-            
-            return new Response(JSON.stringify(errorResponse), {
-                status: statusCode,
-                headers: headers
-            });
+            data = await searchAnalytics(env, siteOwnerId, siteDomain, requestBody);
         }
     } catch (error) {
-        console.error('Error in fetchGSCData:', error);
+        if (!(error instanceof NotFoundError)) {
+            throw error;
+        }
         
-        // Provide a clearer error response
-        const errorResponse = {
-            success: false,
-            error: error.message || 'Unknown error occurred',
-            errorCode: error.code || 'UNKNOWN_ERROR',
-            errorDetails: error.details || {}
-        };
+        // Property not found: answer with no rows and suggest other property formats
+        const suggestions = [];
+        if (siteUrl.startsWith('https://') || siteUrl.startsWith('http://')) {
+            suggestions.push(`sc-domain:${siteUrl.replace(/^https?:\/\//, '').replace(/\/$/, '')}`);
+        }
         
-        const statusCode = error.status || 500;
+        let message = 'No data available for this property.';
+        if (suggestions.length > 0) {
+            message += ` You might try using one of these formats instead: ${suggestions.join(', ')}`;
+        }
         
-        return new Response(JSON.stringify(errorResponse), {
-            status: statusCode,
+        return new Response(JSON.stringify({
+            success: true,
+            data: { rows: [] },
+            message,
+            notFound: true,
+            suggestions
+        }), {
             headers: headers
         });
     }
+    
+    const rows = data.rows || [];
+    
+    // Store day-attributable, unfiltered, final web search rows in the metrics warehouse for historical tracking
+    const records = isWarehouseable
+        ? toDailyMetrics(rows, dimensions, startDate === endDate ? startDate : null)
+        : null;
+    if (records) {
+        try {
+            await upsertDailyMetrics(env.DB, siteOwnerId, siteDomain, records);
+        } catch (error) {
+            console.error('Failed to store GSC data:', error);
+            // Don't throw here, as the API call was successful
+        }
+    }
+    
+    // Return both the rows at the top level and the full data for backward compatibility
+    return new Response(JSON.stringify({
+        success: true,
+        rows,
+        data,
+        ...paging
+    }), {
+        headers: headers
+    });
 });
 
 // Get top pages
@@ -516,109 +255,525 @@ export const getTopPages = withErrorHandling(async (request, env) => {
     }
     
     // Check rate limit before making API call
-    const rateLimitKey = generateGSCRateLimitKey(userId, 'topPages');
-    const rateLimit = await checkRateLimit(env.GSC_CACHE, rateLimitKey, 100, 60);
-    
-    if (rateLimit.limited) {
-        throw new RateLimitError(
-            'Rate limit exceeded',
-            rateLimit.remaining,
-            rateLimit.reset
-        );
-    }
-    
-    // Add rate limit headers to response
-    headers['X-RateLimit-Remaining'] = rateLimit.remaining.toString();
-    headers['X-RateLimit-Reset'] = rateLimit.reset.toString();
+    await enforceRateLimit(request, env, 'gsc:topPages', 100);
   
-  // Check if user has enough credits for more than 10 pages
-  const user = await env.DB.prepare(
-      'SELECT credits FROM users WHERE id = ?'
-  ).bind(userId).first();
-    
-    if (!user) {
-        throw new NotFoundError('User not found');
-    }
+  // The plan sets how many pages are free and how many one credit buys
+  const { topPagesIncluded, topPagesWithCredit } = await getRequestEntitlements(request, env);
+  const requestedLimit = parseInt(url.searchParams.get('limit'));
+  let pageLimit = topPagesIncluded;
+  let reservation = null;
   
-  // Default page limit
-  let pageLimit = 10;
-  
-  // If analyzing more than 10 pages, check credits
-  if (url.searchParams.get('limit') && parseInt(url.searchParams.get('limit')) > 10) {
-      const requestedLimit = parseInt(url.searchParams.get('limit'));
-      
-      if (user.credits > 0) {
-          // Allow up to 50 pages with credits
-          pageLimit = Math.min(requestedLimit, 50);
-          
-          // Deduct credit if using more than default limit
-          if (pageLimit > 10) {
-              await env.DB.prepare(
-                  'UPDATE users SET credits = credits - 1 WHERE id = ?'
-              ).bind(userId).run();
+  // More than the included pages costs a credit, held until Google answers
+  if (requestedLimit > topPagesIncluded) {
+      try {
+          reservation = await reserveCredits(env, userId, 1, 'top_pages', { reference: siteUrl });
+          pageLimit = Math.min(requestedLimit, topPagesWithCredit);
+      } catch (error) {
+          if (!(error instanceof InsufficientCreditsError)) {
+              throw error;
           }
       }
   }
   
-    // Get access token from KV
-  let accessToken = await env.AUTH_STORE.get(`gsc_token:${userId}`);
-  
-  if (!accessToken) {
-      const refreshResult = await refreshToken(request, env);
-      if (!refreshResult.ok) {
-            throw new AuthError('Failed to refresh token', {
-                status: refreshResult.status,
-                statusText: refreshResult.statusText
-            });
-      }
-        
-      const newAccessToken = await env.AUTH_STORE.get(`gsc_token:${userId}`);
-      if (!newAccessToken) {
-            throw new AuthError('Failed to refresh access token');
+  // Query Search Console API for pages data; a failed query returns the credit
+  let pages;
+  try {
+      pages = await querySearchAnalytics(env, request.site.userId, siteUrl, {
+          startDate,
+          endDate,
+          dimensions: ['page'],
+          rowLimit: pageLimit
+      });
+  } catch (error) {
+      if (reservation) {
+          await releaseReservation(env, reservation);
       }
-      accessToken = newAccessToken;
+      throw error;
   }
   
-  // Query Search Console API for pages data
-  const response = await fetch(
-      `https://www.googleapis.com/webmasters/v3/sites/${encodeURIComponent(siteUrl)}/searchAnalytics/query`,
-      {
-          method: 'POST',
-          headers: {
-              'Authorization': `Bearer ${accessToken}`,
-              'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-              startDate,
-              endDate,
-              dimensions: ['page'],
-              rowLimit: pageLimit
-          })
-      }
-  );
-  
-  if (!response.ok) {
-        // Clone the response before reading the body
-        const responseClone = response.clone();
-        const errorText = await responseClone.text();
-        throw new APIError(
-            'Failed to fetch top pages',
-            response.status,
-            'GSC_API_ERROR',
-            { errorText }
-        );
+  if (reservation) {
+      await commitReservation(env, reservation);
   }
   
-  const data = await response.json();
-  
   const result = {
         success: true,
-      pages: data.rows || [],
+      pages,
       limit: pageLimit,
-      creditsRemaining: user.credits - (pageLimit > 10 ? 1 : 0)
+      creditsRemaining: reservation ? reservation.balance : await getBalance(env, userId)
   };
   
   return new Response(JSON.stringify(result), {
         headers: headers
     });
-  });
\ No newline at end of file
+  });
+
+// Get daily trends from the metrics warehouse without calling Google
+export const getTrends = withErrorHandling(async (request, env) => {
+    const userId = request.site.userId;
+    const headers = createCorsHeaders(env.FRONTEND_URL);
+    
+    const url = new URL(request.url);
+    const siteUrl = url.searchParams.get('siteUrl');
+    const startDate = url.searchParams.get('startDate');
+    const endDate = url.searchParams.get('endDate');
+    const dimension = url.searchParams.get('dimension');
+    const value = url.searchParams.get('value');
+    
+    if (!siteUrl || !startDate || !endDate) {
+        throw new ValidationError('Missing required parameters', {
+            missing: {
+                siteUrl: !siteUrl,
+                startDate: !startDate,
+                endDate: !endDate
+            }
+        });
+    }
+    
+    if (dimension && !WAREHOUSE_DIMENSIONS.includes(dimension)) {
+        throw new ValidationError('Invalid dimension', { dimension, allowed: WAREHOUSE_DIMENSIONS });
+    }
+    
+    if (dimension && !value) {
+        throw new ValidationError('A value is required when filtering by dimension', { dimension });
+    }
+    
+    const rows = await queryDailyTrend(env.DB, {
+        userId,
+        siteUrl: normalizeSiteUrl(siteUrl),
+        startDate,
+        endDate,
+        dimension,
+        value
+    });
+    
+    return new Response(JSON.stringify({
+        success: true,
+        siteUrl,
+        dimension: dimension || null,
+        value: dimension ? value : null,
+        rows
+    }), { headers });
+});
+
+// Compare GSC metrics between two date ranges (body validated with compareSchema)
+export const compareGSCData = withErrorHandling(async (request, env) => {
+    const headers = createCorsHeaders(env.FRONTEND_URL);
+    const { siteUrl, current, previous, preset, dimensions, limit } = request.validated;
+    
+    const previousRange = previous || resolvePreviousRange(current, preset);
+    
+    // Check rate limit before making API calls
+    await enforceRateLimit(request, env, 'gsc:compare', 100);
+    
+    // Rows compared per dimension and period, paged within the plan's per-request limit.
+    // Items beyond it in either period can show up as new or lost, so results say when it was hit
+    const { maxRowsPerRequest } = await getRequestEntitlements(request, env);
+    const maxRows = Math.min(SYNC_MAX_ROWS, maxRowsPerRequest);
+    const fetchRange = (range, dims) => fetchPagedRows(
+        pageBody => querySearchAnalytics(env, request.site.userId, siteUrl, pageBody),
+        { ...range, dimensions: dims, rowLimit: GSC_PAGE_SIZE },
+        maxRows
+    );
+    
+    // Totals go first and one at a time, so a token refresh happens once before the parallel calls
+    const currentTotals = await querySearchAnalytics(env, request.site.userId, siteUrl, { ...current, dimensions: [] });
+    const previousTotals = await querySearchAnalytics(env, request.site.userId, siteUrl, { ...previousRange, dimensions: [] });
+    
+    const byDimension = {};
+    for (const dimension of dimensions) {
+        const [currentRows, previousRows] = await Promise.all([
+            fetchRange(current, [dimension]),
+            fetchRange(previousRange, [dimension])
+        ]);
+        byDimension[dimension] = {
+            ...compareRows(currentRows.rows, previousRows.rows, limit),
+            truncated: currentRows.truncated || previousRows.truncated
+        };
+    }
+    
+    return new Response(JSON.stringify({
+        success: true,
+        siteUrl,
+        current,
+        previous: previousRange,
+        preset: previous ? null : preset,
+        rowLimit: maxRows,
+        totals: compareTotals(currentTotals[0], previousTotals[0]),
+        dimensions: byDimension
+    }), { headers });
+});
+
+const KEYWORD_SORT_FIELDS = ['clicks', 'impressions', 'ctr', 'position'];
+const KEYWORD_FETCH_CAP = 25000; // Maximum rowLimit of a single searchAnalytics request
+const KEYWORD_MAX_PAGE_SIZE = 1000;
+
+// Helper function to load the brand terms configured for a site
+async function loadBrandTerms(env, userId, siteUrl) {
+    const row = await env.DB.prepare(
+        'SELECT terms FROM site_brand_terms WHERE user_id = ? AND site_url = ?'
+    ).bind(userId, siteUrl).first();
+    
+    return row ? JSON.parse(row.terms) : [];
+}
+
+// Helper function to validate a user supplied regular expression
+function assertValidRegex(name, pattern) {
+    try {
+        new RegExp(pattern);
+    } catch (error) {
+        throw new ValidationError(`Invalid regular expression in ${name}`, { [name]: pattern, error: error.message });
+    }
+}
+
+// Get keywords (query dimension) with filtering, branded split, sorting and pagination
+export const getKeywords = withErrorHandling(async (request, env) => {
+    const siteOwnerId = request.site.userId;
+    const headers = createCorsHeaders(env.FRONTEND_URL);
+    
+    const params = new URL(request.url).searchParams;
+    const siteUrl = params.get('siteUrl');
+    const startDate = params.get('startDate');
+    const endDate = params.get('endDate');
+    
+    if (!siteUrl || !startDate || !endDate) {
+        throw new ValidationError('Missing required parameters', {
+            missing: {
+                siteUrl: !siteUrl,
+                startDate: !startDate,
+                endDate: !endDate
+            }
+        });
+    }
+    
+    const include = params.get('include');
+    const exclude = params.get('exclude');
+    const includeRegex = params.get('includeRegex');
+    const excludeRegex = params.get('excludeRegex');
+    const branded = params.get('branded') || 'all';
+    const sortBy = params.get('sortBy') || 'clicks';
+    const order = params.get('order') || (sortBy === 'position' ? 'asc' : 'desc');
+    const page = Math.max(parseInt(params.get('page'), 10) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(params.get('pageSize'), 10) || 100, 1), KEYWORD_MAX_PAGE_SIZE);
+    
+    if (!KEYWORD_SORT_FIELDS.includes(sortBy)) {
+        throw new ValidationError('Invalid sortBy', { sortBy, allowed: KEYWORD_SORT_FIELDS });
+    }
+    if (order !== 'asc' && order !== 'desc') {
+        throw new ValidationError('Invalid order', { order, allowed: ['asc', 'desc'] });
+    }
+    if (!['all', 'branded', 'non-branded'].includes(branded)) {
+        throw new ValidationError('Invalid branded filter', { branded, allowed: ['all', 'branded', 'non-branded'] });
+    }
+    if (includeRegex) assertValidRegex('includeRegex', includeRegex);
+    if (excludeRegex) assertValidRegex('excludeRegex', excludeRegex);
+    
+    // Include/exclude filters are applied by the GSC API itself
+    const filters = [];
+    if (include) filters.push({ dimension: 'query', operator: 'contains', expression: include });
+    if (exclude) filters.push({ dimension: 'query', operator: 'notContains', expression: exclude });
+    if (includeRegex) filters.push({ dimension: 'query', operator: 'includingRegex', expression: includeRegex });
+    if (excludeRegex) filters.push({ dimension: 'query', operator: 'excludingRegex', expression: excludeRegex });
+    
+    // Keywords fetched, within the plan's per-request limit
+    const { maxRowsPerRequest } = await getRequestEntitlements(request, env);
+    const rowCap = Math.min(KEYWORD_FETCH_CAP, maxRowsPerRequest);
+    
+    // The full filtered result set is cached so sorting and paging don't call Google again
+    const cacheKey = generateGSCacheKey(siteOwnerId, 'keywords', {
+        siteUrl, startDate, endDate, include, exclude, includeRegex, excludeRegex, rowCap
+    });
+    let rows = await getCachedData(env.GSC_CACHE, cacheKey);
+    const cached = !!rows;
+    
+    if (!rows) {
+        await enforceRateLimit(request, env, 'gsc:keywords', 100);
+        
+        rows = await querySearchAnalytics(env, siteOwnerId, siteUrl, {
+            startDate,
+            endDate,
+            dimensions: ['query'],
+            dimensionFilterGroups: filters.length ? [{ groupType: 'and', filters }] : undefined,
+            rowLimit: rowCap
+        });
+        
+        await setCachedData(env.GSC_CACHE, cacheKey, rows, 3600);
+    }
+    
+    const brandTerms = (await loadBrandTerms(env, siteOwnerId, siteUrl)).map(term => term.toLowerCase());
+    const isBranded = query => brandTerms.some(term => query.toLowerCase().includes(term));
+    
+    const keywords = rows.map(row => ({
+        query: row.keys[0],
+        clicks: row.clicks,
+        impressions: row.impressions,
+        ctr: row.ctr,
+        position: row.position,
+        branded: isBranded(row.keys[0])
+    }));
+    
+    const summarize = list => list.reduce((acc, k) => {
+        acc.keywords++;
+        acc.clicks += k.clicks;
+        acc.impressions += k.impressions;
+        return acc;
+    }, { keywords: 0, clicks: 0, impressions: 0 });
+    
+    const filtered = branded === 'all'
+        ? keywords
+        : keywords.filter(k => k.branded === (branded === 'branded'));
+    
+    const direction = order === 'asc' ? 1 : -1;
+    filtered.sort((a, b) => (a[sortBy] - b[sortBy]) * direction);
+    
+    return new Response(JSON.stringify({
+        success: true,
+        keywords: filtered.slice((page - 1) * pageSize, page * pageSize),
+        total: filtered.length,
+        page,
+        pageSize,
+        sortBy,
+        order,
+        truncated: rows.length >= rowCap,
+        brandSplit: {
+            brandTerms,
+            branded: summarize(keywords.filter(k => k.branded)),
+            nonBranded: summarize(keywords.filter(k => !k.branded))
+        },
+        cached
+    }), { headers });
+});
+
+// Get the brand terms used to split branded and non-branded keywords
+export const getBrandTerms = withErrorHandling(async (request, env) => {
+    const headers = createCorsHeaders(env.FRONTEND_URL);
+    const siteUrl = new URL(request.url).searchParams.get('siteUrl');
+    
+    if (!siteUrl) {
+        throw new ValidationError('Missing required parameters', { missing: ['siteUrl'] });
+    }
+    
+    const terms = await loadBrandTerms(env, request.site.userId, siteUrl);
+    
+    return new Response(JSON.stringify({
+        success: true,
+        siteUrl,
+        terms
+    }), { headers });
+});
+
+// Replace the brand terms for a site
+export const updateBrandTerms = withErrorHandling(async (request, env) => {
+    const headers = createCorsHeaders(env.FRONTEND_URL);
+    const body = await request.json();
+    validateRequiredFields(body, ['siteUrl']);
+    
+    const { siteUrl, terms } = body;
+    
+    if (!Array.isArray(terms) || terms.some(term => typeof term !== 'string')) {
+        throw new ValidationError('terms must be an array of strings');
+    }
+    
+    const cleaned = [...new Set(terms.map(term => term.trim()).filter(Boolean))];
+    
+    await env.DB.prepare(
+        `INSERT INTO site_brand_terms (user_id, site_url, terms, updated_at)
+         VALUES (?, ?, ?, ?)
+         ON CONFLICT (user_id, site_url) DO UPDATE SET terms = excluded.terms, updated_at = excluded.updated_at`
+    ).bind(request.site.userId, siteUrl, JSON.stringify(cleaned), new Date().toISOString()).run();
+    
+    return new Response(JSON.stringify({
+        success: true,
+        siteUrl,
+        terms: cleaned
+    }), { headers });
+});
+
+// Helper function to load an export job run for the current user or for a property shared with them
+async function findAccessibleExportJob(request, env, jobId) {
+    const job = await getExportJob(env, jobId);
+    const accessible = job && (job.user_id === request.user.user_id ||
+        await canAccessSharedSite(env, request.user, job.site_url, job.user_id, 'gsc:read'));
+    
+    if (!accessible) {
+        throw new NotFoundError('Export job not found', { jobId });
+    }
+    
+    return job;
+}
+
+// Get the status of a background GSC export job
+export const getExportJobStatus = withErrorHandling(async (request, env) => {
+    const headers = createCorsHeaders(env.FRONTEND_URL);
+    const jobId = request.params.id;
+    
+    const job = await findAccessibleExportJob(request, env, jobId);
+    
+    return new Response(JSON.stringify({
+        success: true,
+        job: {
+            id: job.id,
+            siteUrl: job.site_url,
+            status: job.status,
+            maxRows: job.max_rows,
+            rowCount: job.row_count,
+            chunkCount: job.chunk_count,
+            error: job.error,
+            createdAt: job.created_at,
+            updatedAt: job.updated_at
+        }
+    }), { headers });
+});
+
+// Get one chunk of rows from a background GSC export job
+export const getExportJobRows = withErrorHandling(async (request, env) => {
+    const headers = createCorsHeaders(env.FRONTEND_URL);
+    const jobId = request.params.id;
+    const chunk = parseInt(new URL(request.url).searchParams.get('chunk') || '0', 10);
+    
+    const job = await findAccessibleExportJob(request, env, jobId);
+    
+    if (!Number.isInteger(chunk) || chunk < 0 || chunk >= job.chunk_count) {
+        throw new ValidationError('Invalid chunk', { chunk, chunkCount: job.chunk_count });
+    }
+    
+    const rows = await readExportChunk(env, jobId, chunk);
+    if (!rows) {
+        throw new NotFoundError('Export chunk has expired', { jobId, chunk });
+    }
+    
+    return new Response(JSON.stringify({
+        success: true,
+        jobId,
+        status: job.status,
+        chunk,
+        chunkCount: job.chunk_count,
+        nextChunk: chunk + 1 < job.chunk_count ? chunk + 1 : null,
+        rows
+    }), { headers });
+});
+
+// List the sitemaps submitted for a property
+export const getSitemaps = withErrorHandling(async (request, env) => {
+    const headers = createCorsHeaders(env.FRONTEND_URL);
+    const siteUrl = new URL(request.url).searchParams.get('siteUrl');
+    
+    if (!siteUrl) {
+        throw new ValidationError('Missing required parameters', { missing: ['siteUrl'] });
+    }
+    
+    const sitemaps = await listSitemaps(env, request.site.userId, siteUrl);
+    
+    return new Response(JSON.stringify({
+        success: true,
+        siteUrl,
+        sitemaps
+    }), { headers });
+});
+
+// Submit a sitemap for a property (requires the full webmasters scope)
+export const submitSitemap = withErrorHandling(async (request, env) => {
+    const headers = createCorsHeaders(env.FRONTEND_URL);
+    const body = await request.json();
+    validateRequiredFields(body, ['siteUrl', 'feedpath']);
+    
+    const { siteUrl, feedpath } = body;
+    
+    if (!/^https?:\/\//.test(feedpath)) {
+        throw new ValidationError('feedpath must be an absolute sitemap URL', { feedpath });
+    }
+    
+    await addSitemap(env, request.site.userId, siteUrl, feedpath);
+    
+    return new Response(JSON.stringify({
+        success: true,
+        siteUrl,
+        feedpath,
+        message: 'Sitemap submitted'
+    }), { status: 201, headers });
+});
+
+// Inspect a URL with the URL Inspection API and store the result
+export const inspectUrl = withErrorHandling(async (request, env) => {
+    const siteOwnerId = request.site.userId;
+    const headers = createCorsHeaders(env.FRONTEND_URL);
+    const body = await request.json();
+    validateRequiredFields(body, ['siteUrl', 'inspectionUrl']);
+    
+    const { siteUrl, inspectionUrl, languageCode = 'en-US' } = body;
+    
+    // URL Inspection has a much lower daily quota than searchAnalytics
+    await enforceRateLimit(request, env, 'gsc:urlInspection', 20);
+    
+    const result = await runUrlInspection(env, siteOwnerId, { inspectionUrl, siteUrl, languageCode });
+    const indexStatus = result.indexStatusResult || {};
+    const inspection = {
+        pageUrl: inspectionUrl,
+        verdict: indexStatus.verdict || null,
+        coverageState: indexStatus.coverageState || null,
+        indexingState: indexStatus.indexingState || null,
+        robotsTxtState: indexStatus.robotsTxtState || null,
+        pageFetchState: indexStatus.pageFetchState || null,
+        lastCrawlTime: indexStatus.lastCrawlTime || null,
+        googleCanonical: indexStatus.googleCanonical || null,
+        userCanonical: indexStatus.userCanonical || null,
+        mobileUsability: result.mobileUsabilityResult || null,
+        richResults: result.richResultsResult || null,
+        inspectionResultLink: result.inspectionResultLink || null,
+        inspectedAt: new Date().toISOString()
+    };
+    
+    try {
+        await env.DB.prepare(
+            `INSERT INTO url_inspections
+               (user_id, site_url, page_url, verdict, coverage_state, google_canonical, user_canonical,
+                mobile_verdict, rich_results_verdict, result, inspected_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+             ON CONFLICT (user_id, site_url, page_url) DO UPDATE SET
+               verdict = excluded.verdict,
+               coverage_state = excluded.coverage_state,
+               google_canonical = excluded.google_canonical,
+               user_canonical = excluded.user_canonical,
+               mobile_verdict = excluded.mobile_verdict,
+               rich_results_verdict = excluded.rich_results_verdict,
+               result = excluded.result,
+               inspected_at = excluded.inspected_at`
+        ).bind(
+            siteOwnerId,
+            siteUrl,
+            inspectionUrl,
+            inspection.verdict,
+            inspection.coverageState,
+            inspection.googleCanonical,
+            inspection.userCanonical,
+            inspection.mobileUsability?.verdict || null,
+            inspection.richResults?.verdict || null,
+            JSON.stringify(inspection),
+            inspection.inspectedAt
+        ).run();
+    } catch (error) {
+        console.error('Failed to store URL inspection:', error);
+        // Don't throw here, as the API call was successful
+    }
+    
+    return new Response(JSON.stringify({
+        success: true,
+        siteUrl,
+        inspection
+    }), { headers });
+});
+
+/**
+ * Get the most recent stored URL inspection for a page
+ * @param {Object} env - Worker environment
+ * @param {number} userId - User ID
+ * @param {string} siteUrl - GSC property
+ * @param {string} pageUrl - Inspected page URL
+ * @returns {Promise<Object|null>} Stored inspection or null
+ */
+export async function getLatestInspection(env, userId, siteUrl, pageUrl) {
+    const row = await env.DB.prepare(
+        'SELECT result FROM url_inspections WHERE user_id = ? AND site_url = ? AND page_url = ?'
+    ).bind(userId, siteUrl, pageUrl).first();
+    
+    return row ? JSON.parse(row.result) : null;
+}
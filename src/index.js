@@ -1,479 +1,72 @@
 // Import required modules
-import { Router } from 'itty-router';
-import jwt from '@tsndr/cloudflare-worker-jwt';
-import { createCors } from 'itty-cors';
+import { router } from './routes';
+import { runNightlySync } from './services/gscSync';
+import { processPendingExportJobs } from './services/gscExport';
+import { backfillFromGSCData } from './services/metricsWarehouse';
+import { releaseExpiredReservations } from './services/credits';
+import { ensureSchema } from './db';
 
-// Import route handlers
-import { handleAuth, handleLogin, handleCallback, refreshToken, handleRegister } from './auth';
-import { fetchGSCData, getProperties, getTopPages } from './gsc';
-import { generateInsights, generatePageInsights } from './insights';
-import { getCredits, useCredits } from './credits';
+// Durable Object classes must be exported from the entry module
+export { RateLimiter } from './services/rateLimitBuckets';
 
-// Helper function to execute SQL safely
-async function executeSql(db, sql) {
+// Must match the entries in wrangler.toml [triggers]
+const NIGHTLY_SYNC_CRON = '*/10 2-4 * * *';
+const MAINTENANCE_CRON = '* * * * *';
+
+// Helper function to run one scheduled job so its failure doesn't stop the others
+async function runScheduledJob(name, job) {
   try {
-    await db.prepare(sql).run();
-    return { success: true };
+    await job();
   } catch (error) {
-    console.error(`SQL execution error: ${error.message}`);
-    console.error(`SQL was: ${sql}`);
-    return { success: false, error };
+    console.error(`Scheduled ${name} failed:`, error);
   }
 }
 
-// Initialize database function - ensure tables exist
-async function initializeDatabase(env) {
-  try {
-    if (!env.DB) {
-      console.error("Database binding is missing");
-      return { success: false, error: new Error("Database binding is missing") };
-    }
-
-    console.log("Starting database initialization");
-    
-    // User table
-    const userTableResult = await executeSql(env.DB, `CREATE TABLE IF NOT EXISTS users (
-      id INTEGER PRIMARY KEY,
-      email TEXT UNIQUE NOT NULL,
-      password_hash TEXT NOT NULL,
-      name TEXT,
-      created_at TEXT NOT NULL,
-      last_login TEXT,
-      credits INTEGER DEFAULT 5,
-      gsc_refresh_token TEXT,
-      gsc_connected INTEGER DEFAULT 0
-    )`);
-    
-    if (!userTableResult.success) {
-      console.error("Failed to create users table:", userTableResult.error);
-      return { success: false, error: userTableResult.error };
-    }
-    
-    // GSC data table
-    const gscTableResult = await executeSql(env.DB, `CREATE TABLE IF NOT EXISTS gsc_data (
-      id INTEGER PRIMARY KEY,
-      user_id INTEGER NOT NULL,
-      site_url TEXT NOT NULL,
-      date_range TEXT NOT NULL,
-      dimensions TEXT NOT NULL,
-      data TEXT NOT NULL,
-      created_at TEXT NOT NULL,
-      FOREIGN KEY (user_id) REFERENCES users (id)
-    )`);
+export default {
+  // Routing, auth, rate limiting, validation and CORS live in ./routes
+  fetch: (request, env, ctx) => router.fetch(request, env, ctx),
+  
+  // Handle scheduled tasks. Both triggers fire together during the nightly window,
+  // so each job belongs to exactly one of them
+  async scheduled(event, env, ctx) {
+    console.log("Running scheduled task at", event.cron);
     
-    if (!gscTableResult.success) {
-      console.error("Failed to create gsc_data table:", gscTableResult.error);
-      return { success: false, error: gscTableResult.error };
+    // Jobs below expect the current schema; the first run after a deploy applies it
+    try {
+      await ensureSchema(env);
+    } catch (error) {
+      console.error("Scheduled task skipped, schema unavailable:", error);
+      return;
     }
-
-    // Insights table
-    const insightsTableResult = await executeSql(env.DB, `CREATE TABLE IF NOT EXISTS insights (
-      id INTEGER PRIMARY KEY,
-      user_id INTEGER NOT NULL,
-      site_url TEXT NOT NULL,
-      date TEXT NOT NULL,
-      type TEXT NOT NULL,
-      content TEXT NOT NULL,
-      created_at TEXT NOT NULL,
-      FOREIGN KEY (user_id) REFERENCES users (id)
-    )`);
     
-    if (!insightsTableResult.success) {
-      console.error("Failed to create insights table:", insightsTableResult.error);
-      return { success: false, error: insightsTableResult.error };
+    if (event.cron === NIGHTLY_SYNC_CRON) {
+      // Nightly GSC sync, resumes from its KV cursor on every tick until the day is done
+      await runScheduledJob('nightly sync', () => runNightlySync(env, { now: new Date(event.scheduledTime) }));
+      return;
     }
-
-    // Credit logs table
-    const creditLogsTableResult = await executeSql(env.DB, `CREATE TABLE IF NOT EXISTS credit_logs (
-      id INTEGER PRIMARY KEY,
-      user_id INTEGER NOT NULL,
-      amount INTEGER NOT NULL,
-      purpose TEXT NOT NULL,
-      created_at TEXT NOT NULL,
-      FOREIGN KEY (user_id) REFERENCES users (id)
-    )`);
     
-    if (!creditLogsTableResult.success) {
-      console.error("Failed to create credit_logs table:", creditLogsTableResult.error);
-      return { success: false, error: creditLogsTableResult.error };
+    if (event.cron !== MAINTENANCE_CRON) {
+      console.warn("No scheduled jobs for cron", event.cron);
+      return;
     }
-
-    // User properties table
-    const userPropertiesTableResult = await executeSql(env.DB, `CREATE TABLE IF NOT EXISTS user_properties (
-      id INTEGER PRIMARY KEY,
-      user_id INTEGER NOT NULL,
-      site_url TEXT NOT NULL,
-      display_name TEXT,
-      added_at TEXT NOT NULL,
-      FOREIGN KEY (user_id) REFERENCES users (id)
-    )`);
     
-    if (!userPropertiesTableResult.success) {
-      console.error("Failed to create user_properties table:", userPropertiesTableResult.error);
-      return { success: false, error: userPropertiesTableResult.error };
-    }
-
-    // Indexes
-    await executeSql(env.DB, `CREATE INDEX IF NOT EXISTS idx_gsc_data_user_site ON gsc_data (user_id, site_url)`);
-    await executeSql(env.DB, `CREATE INDEX IF NOT EXISTS idx_insights_user_date ON insights (user_id, date)`);
-    await executeSql(env.DB, `CREATE INDEX IF NOT EXISTS idx_credit_logs_user ON credit_logs (user_id)`);
+    // Background GSC exports advance on every tick
+    await runScheduledJob('export processing', () => processPendingExportJobs(env));
     
-    console.log("Database schema initialized successfully");
-    return { success: true };
-  } catch (error) {
-    console.error("Error initializing database schema:", error);
-    return { success: false, error };
-  }
-}
-
-// Function to refresh GSC data for a user
-async function refreshUserGSCData(userId, refreshToken, env) {
-  // Exchange refresh token for new access token
-  const tokenResponse = await fetch('https://oauth2.googleapis.com/token', {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-    body: new URLSearchParams({
-      refresh_token: refreshToken,
-      client_id: env.GOOGLE_CLIENT_ID,
-      client_secret: env.GOOGLE_CLIENT_SECRET,
-      grant_type: 'refresh_token'
-    })
-  });
-  
-  if (!tokenResponse.ok) {
-    throw new Error('Failed to refresh token');
-  }
-  
-  const { access_token, expires_in } = await tokenResponse.json();
-  
-  // Store new access token in KV
-  await env.AUTH_STORE.put(
-    `gsc_token:${userId}`, 
-    access_token, 
-    { expirationTtl: expires_in }
-  );
-}
-
-const corsHeaders = {
-  'Access-Control-Allow-Origin': 'https://analytics.k-o.pro',
-  'Access-Control-Allow-Methods': 'GET, HEAD, POST, PUT, DELETE, OPTIONS',
-  'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Client-Name-Version',
-  'Access-Control-Allow-Credentials': 'true',
-  'Access-Control-Max-Age': '86400',
-};
-
-// Helper function to create standardized responses
-const createResponse = (body, status = 200) => {
-  return new Response(JSON.stringify(body), {
-    status,
-    headers: {
-      'Content-Type': 'application/json',
-      ...corsHeaders
-    }
-  });
-};
-
-export default {
-  async fetch(request, env, ctx) {
-    try {
-      // Handle CORS preflight requests
-      if (request.method === 'OPTIONS') {
-        return new Response(null, {
-          status: 204,
-          headers: {
-            ...corsHeaders,
-            'Access-Control-Allow-Headers': request.headers.get('Access-Control-Request-Headers'),
-          }
-        });
-      }
-
-      // Very simple router implementation
-      const url = new URL(request.url);
-      const path = url.pathname;
-      
-      try {
-        // Initialize database on every request
-        await initializeDatabase(env);
-        
-        // Check for required environment variables
-        const requiredVars = ['JWT_SECRET', 'PASSWORD_SALT', 'GOOGLE_CLIENT_ID', 'GOOGLE_CLIENT_SECRET'];
-        const missingVars = requiredVars.filter(v => !env[v]);
-        
-        if (missingVars.length > 0) {
-          console.error(`Missing required environment variables: ${missingVars.join(', ')}`);
-          return new Response(JSON.stringify({
-            success: false,
-            error: 'Server configuration error',
-            message: 'The server is missing required configuration.'
-          }), {
-            status: 500,
-            headers: { 
-              'Content-Type': 'application/json',
-              ...corsHeaders
-            }
-          });
-        }
-        
-        // Authentication check for protected routes
-        let user = null;
-        if (path !== '/auth/register' && path !== '/auth/login' && path !== '/') {
-          const authHeader = request.headers.get('Authorization');
-          if (authHeader && authHeader.startsWith('Bearer ')) {
-            const token = authHeader.split(' ')[1];
-            try {
-              const verified = await jwt.verify(token, env.JWT_SECRET);
-              if (verified) {
-                user = verified.payload;
-                // Attach user to request object
-                request.user = user;
-              }
-            } catch (error) {
-              console.error('JWT verification error:', error);
-            }
-          }
-          
-          // Return unauthorized if not authenticated for protected routes
-          if (!user && path !== '/auth/callback') {
-            return new Response(JSON.stringify({
-              success: false,
-              error: 'Unauthorized',
-              message: 'Authentication required'
-            }), {
-              status: 401,
-              headers: {
-                'Content-Type': 'application/json',
-                ...corsHeaders
-              }
-            });
-          }
-        }
-        
-        // Add CORS headers to every response
-        const createResponse = (body, status = 200) => {
-          return new Response(JSON.stringify(body), {
-            status,
-            headers: {
-              'Content-Type': 'application/json',
-              ...corsHeaders
-            }
-          });
-        };
-
-        // Direct path matching for key endpoints
-        if (path === '/auth/register' && request.method === 'POST') {
-          const response = await handleRegister(request, env);
-          // Add CORS headers to the response
-          Object.keys(corsHeaders).forEach(key => {
-            response.headers.set(key, corsHeaders[key]);
-          });
-          return response;
-        }
-        
-        if (path === '/auth/login' && request.method === 'POST') {
-          const response = await handleLogin(request, env);
-          // Add CORS headers to the response
-          Object.keys(corsHeaders).forEach(key => {
-            response.headers.set(key, corsHeaders[key]);
-          });
-          return response;
-        }
-        
-        if (path === '/auth/callback' && request.method === 'POST') {
-          const response = await handleCallback(request, env);
-          // Add CORS headers to the response
-          Object.keys(corsHeaders).forEach(key => {
-            response.headers.set(key, corsHeaders[key]);
-          });
-          return response;
-        }
-        
-        if (path === '/auth/refresh' && request.method === 'POST') {
-          const response = await refreshToken(request, env);
-          // Add CORS headers to the response
-          Object.keys(corsHeaders).forEach(key => {
-            response.headers.set(key, corsHeaders[key]);
-          });
-          return response;
-        }
-        
-        // GSC data routes
-        if (path === '/gsc/properties' && request.method === 'GET') {
-          const response = await getProperties(request, env);
-          // Add CORS headers to the response
-          Object.keys(corsHeaders).forEach(key => {
-            response.headers.set(key, corsHeaders[key]);
-          });
-          return response;
-        }
-        
-        if (path === '/gsc/data' && request.method === 'POST') {
-          const response = await fetchGSCData(request, env);
-          // Add CORS headers to the response
-          Object.keys(corsHeaders).forEach(key => {
-            response.headers.set(key, corsHeaders[key]);
-          });
-          return response;
-        }
-        
-        if (path === '/gsc/top-pages' && request.method === 'GET') {
-          const response = await getTopPages(request, env);
-          // Add CORS headers to the response
-          Object.keys(corsHeaders).forEach(key => {
-            response.headers.set(key, corsHeaders[key]);
-          });
-          return response;
-        }
-        
-        // Handle insights routes
-        if (url.pathname.startsWith('/insights')) {
-          // Ensure the user is authenticated for all insights routes
-          if (!user) {
-            return createResponse({
-              success: false,
-              error: 'Authentication required',
-              message: 'Authentication required'
-            }, 401);
-          }
-          
-          // Generate site-level insights
-          if (url.pathname === '/insights/generate') {
-            // Clone the request before passing it to the insights handler to avoid "Body already used" errors
-            const clonedRequest = request.clone();
-            // Attach the user data to the request object for access in the insights generator
-            clonedRequest.user = user;
-            
-            try {
-              const response = await generateInsights(clonedRequest, env);
-              return response;
-            } catch (error) {
-              console.error('Error generating insights:', error);
-              // Apply CORS headers to the error response
-              return new Response(JSON.stringify({
-                success: false,
-                error: 'Failed to generate insights',
-                message: error.message
-              }), {
-                status: 500,
-                headers: {
-                  'Content-Type': 'application/json',
-                  'Access-Control-Allow-Origin': 'https://analytics.k-o.pro',
-                  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-                  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-                  'Access-Control-Allow-Credentials': 'true'
-                }
-              });
-            }
-          }
-          
-          // Generate page-specific insights
-          if (url.pathname.startsWith('/insights/page/')) {
-            // Clone the request before passing it to the insights handler to avoid "Body already used" errors
-            const clonedRequest = request.clone();
-            // Attach the user data to the request object for access in the insights generator
-            clonedRequest.user = user;
-            
-            try {
-              const response = await generatePageInsights(clonedRequest, env);
-              return response;
-            } catch (error) {
-              console.error('Error generating page insights:', error);
-              // Apply CORS headers to the error response
-              return new Response(JSON.stringify({
-                success: false,
-                error: 'Failed to generate page insights',
-                message: error.message
-              }), {
-                status: 500,
-                headers: {
-                  'Content-Type': 'application/json',
-                  'Access-Control-Allow-Origin': 'https://analytics.k-o.pro',
-                  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-                  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-                  'Access-Control-Allow-Credentials': 'true'
-                }
-              });
-            }
-          }
-          
-          // If no matching route
-          return createResponse({
-            success: false,
-            error: 'Invalid insights endpoint',
-            path: path
-          }, 404);
-        }
-        
-        // Credits management
-        if (path === '/credits' && request.method === 'GET') {
-          const response = await getCredits(request, env);
-          // Add CORS headers to the response
-          Object.keys(corsHeaders).forEach(key => {
-            response.headers.set(key, corsHeaders[key]);
-          });
-          return response;
-        }
-        
-        if (path === '/credits/use' && request.method === 'POST') {
-          const response = await useCredits(request, env);
-          // Add CORS headers to the response
-          Object.keys(corsHeaders).forEach(key => {
-            response.headers.set(key, corsHeaders[key]);
-          });
-          return response;
-        }
-        
-        // Root path for health check
-        if (path === '/' && request.method === 'GET') {
-          return new Response(JSON.stringify({
-            status: 'ok',
-            message: 'API server is running',
-            version: '1.0.0'
-          }), {
-            status: 200,
-            headers: { 
-              'Content-Type': 'application/json',
-              ...corsHeaders
-            }
-          });
-        }
-        
-        // If no route matches
-        return createResponse({
-          success: false,
-          error: 'Not found',
-          path: path
-        }, 404);
-
-      } catch (error) {
-        console.error('Unhandled exception:', error);
-        return createResponse({
-          success: false,
-          error: 'Server error: ' + error.message,
-        }, 500);
+    // Refund credits held by requests that never settled them
+    await runScheduledJob('reservation release', async () => {
+      const released = await releaseExpiredReservations(env);
+      if (released) {
+        console.log("Released expired credit reservations:", released);
       }
-    } catch (error) {
-      return createResponse({
-        success: false,
-        error: error.message
-      }, 500);
-    }
-  },
-  
-  // Handle scheduled tasks
-  async scheduled(event, env, ctx) {
-    try {
-      // Initialize database 
-      const initResult = await initializeDatabase(env);
-      
-      if (!initResult.success) {
-        console.error("Failed to initialize database for scheduled task:", initResult.error);
-        return;
+    });
+    
+    // Convert legacy gsc_data blobs into the metrics warehouse a batch per tick
+    await runScheduledJob('gsc_data backfill', async () => {
+      const backfill = await backfillFromGSCData(env);
+      if (backfill.converted || backfill.skipped) {
+        console.log("gsc_data backfill progress:", backfill);
       }
-      
-      // Add scheduled tasks here
-      console.log("Running scheduled task at", event.cron);
-    } catch (error) {
-      console.error("Error in scheduled task:", error);
-    }
+    });
   }
-};
\ No newline at end of file
+};
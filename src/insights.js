@@ -1,8 +1,31 @@
 // Functions to generate insights using OpenAI API
-import { createCorsHeaders } from './utils/errors.js';
+import { querySearchAnalytics } from './services/gscClient.js';
+import { getLatestInspection } from './gsc.js';
+import { canAccessSharedSite } from './services/organizations.js';
+import { reserveCredits, commitReservation, releaseReservation } from './services/credits.js';
+import { getEntitlements } from './services/entitlements.js';
+import { createCorsHeaders, createErrorResponse, APIError, InsufficientCreditsError, PlanLimitError } from './utils/errors.js';
+
+// Helper function to check the property owner's plan allows another insight today; returns the error to send, if any
+async function checkInsightAllowance(env, siteOwnerId, siteUrl, today) {
+  const entitlements = await getEntitlements(env, siteOwnerId);
+  const { generated } = await env.DB.prepare(
+    'SELECT COUNT(*) AS generated FROM insights WHERE user_id = ? AND site_url = ? AND date = ?'
+  ).bind(siteOwnerId, siteUrl, today).first();
+
+  if (generated < entitlements.insightsPerSitePerDay) {
+    return null;
+  }
+  return new PlanLimitError(
+    `The ${entitlements.name} plan allows ${entitlements.insightsPerSitePerDay} insights per property per day`,
+    { plan: entitlements.plan, insightsPerSitePerDay: entitlements.insightsPerSitePerDay, siteUrl }
+  );
+}
 
 // Generate overall insights
 export async function generateInsights(request, env) {
+  // Credit held for this generation; released on every path that doesn't commit it
+  let reservation = null;
   try {
     // Clone the request at the beginning to avoid "Body already used" errors
     const clonedRequest = request.clone();
@@ -13,6 +36,9 @@ export async function generateInsights(request, env) {
     // Read the request body once and store the result
     const requestData = await clonedRequest.json();
     const userId = request.user.user_id;
+    // Insights on a shared property are stored with the sharing member so the whole team sees them;
+    // credits are always charged to the member generating them
+    const siteOwnerId = request.site.userId;
     const { siteUrl, period, data } = requestData;
 
     // Enhanced validation
@@ -71,7 +97,7 @@ export async function generateInsights(request, env) {
     const existingInsight = await env.DB.prepare(
       `SELECT id FROM insights 
        WHERE user_id = ? AND site_url = ? AND date = ? AND type = 'overall'`
-    ).bind(userId, siteUrl, today).first();
+    ).bind(siteOwnerId, siteUrl, today).first();
 
     // If insights exist and not forced refresh, return cached version
     const forcedRefresh = url.searchParams.has('force');
@@ -85,12 +111,18 @@ export async function generateInsights(request, env) {
       });
     }
 
-    // Check credit usage for insights generation
-    const user = await env.DB.prepare(
-      'SELECT credits FROM users WHERE id = ?'
-    ).bind(userId).first();
+    const planLimit = await checkInsightAllowance(env, siteOwnerId, siteUrl, today);
+    if (planLimit) {
+      return createErrorResponse(planLimit, corsHeaders);
+    }
 
-    if (user.credits < 1) {
+    // Hold one credit for insights generation
+    try {
+      reservation = await reserveCredits(env, userId, 1, 'insights', { reference: siteUrl });
+    } catch (error) {
+      if (!(error instanceof InsufficientCreditsError)) {
+        throw error;
+      }
       return new Response(JSON.stringify({
         error: 'Insufficient credits for insights generation'
       }), {
@@ -366,14 +398,9 @@ export async function generateInsights(request, env) {
             const stringifiedContent = JSON.stringify(generatedInsights);
             try {
               await env.DB.prepare(
-                `INSERT INTO insights (user_id, site_url, date, type, content)
-                VALUES (?, ?, ?, 'overall', ?)`
-              ).bind(userId, siteUrl, today, stringifiedContent).run();
-              
-              // Deduct one credit from the user's account
-              await env.DB.prepare(
-                'UPDATE users SET credits = credits - 1 WHERE id = ? AND credits > 0'
-              ).bind(userId).run();
+                `INSERT INTO insights (user_id, site_url, date, type, content, created_at)
+                VALUES (?, ?, ?, 'overall', ?, ?)`
+              ).bind(siteOwnerId, siteUrl, today, stringifiedContent, new Date().toISOString()).run();
               
               console.log('Successfully stored insights in database for future use');
             } catch (dbError) {
@@ -382,6 +409,9 @@ export async function generateInsights(request, env) {
             }
           }
           
+          // Only a real AI analysis is charged; fallbacks return the credit
+          await commitReservation(env, reservation);
+          
           return new Response(JSON.stringify(generatedInsights), {
             headers: corsHeaders
           });
@@ -485,11 +515,19 @@ export async function generateInsights(request, env) {
         headers: corsHeaders
       });
     }
+  } finally {
+    if (reservation) {
+      await releaseReservation(env, reservation);
+    }
   }
 }
 
 // Generate page-specific insights
 export async function generatePageInsights(request, env) {
+  const corsHeaders = createCorsHeaders(env.FRONTEND_URL);
+  // Credit held for this generation; released on every path that doesn't commit it
+  let reservation = null;
+
   try {
     // Clone the request at the beginning to avoid "Body already used" errors
     const clonedRequest = request.clone();
@@ -497,19 +535,208 @@ export async function generatePageInsights(request, env) {
     // Read the request body once and store the result
     const requestData = await clonedRequest.json();
     const userId = request.user.user_id;
+    const siteOwnerId = request.site.userId;
     
     // Extract page URL from the path
     const url = new URL(request.url);
-    const pathParts = url.pathname.split('/');
-    const pagePathEncoded = pathParts[pathParts.length - 1];
-    const pagePath = decodeURIComponent(pagePathEncoded);
+    const pagePath = decodeURIComponent(request.params.url);
     
-    const { siteUrl, period, data } = requestData;
+    const { siteUrl, period, startDate, endDate } = requestData;
+
+    if (!siteUrl) {
+      return new Response(JSON.stringify({
+        success: false,
+        error: 'Site URL is required'
+      }), {
+        status: 400,
+        headers: corsHeaders
+      });
+    }
+
+    // GSC reports pages as absolute URLs, so resolve relative paths against URL-prefix properties
+    let pageUrl = pagePath;
+    if (!/^https?:\/\//.test(pagePath)) {
+      if (!/^https?:\/\//.test(siteUrl)) {
+        return new Response(JSON.stringify({
+          success: false,
+          error: 'A full page URL is required for domain properties'
+        }), {
+          status: 400,
+          headers: corsHeaders
+        });
+      }
+      pageUrl = new URL(pagePath, siteUrl).toString();
+    }
+
+    // Default to the last 28 days, which matches the GSC UI default
+    const dateRange = {
+      startDate: startDate || daysAgo(28),
+      endDate: endDate || daysAgo(1)
+    };
+    const periodLabel = period || `${dateRange.startDate} to ${dateRange.endDate}`;
+    const insightType = `page:${pageUrl}`;
+
+    const returnMockData = url.searchParams.has('mock') || env.MOCK_OPENAI === 'true';
+    if (returnMockData) {
+      console.log('Using mock data instead of calling OpenAI');
+      return new Response(JSON.stringify(generateMockInsights(siteUrl, periodLabel)), {
+        headers: corsHeaders
+      });
+    }
+
+    if (!env.OPENAI_API_KEY) {
+      return new Response(JSON.stringify({
+        success: false,
+        error: 'OpenAI API key not configured'
+      }), {
+        status: 500,
+        headers: corsHeaders
+      });
+    }
+
+    // Return today's stored insight for this page unless a refresh is forced
+    const today = new Date().toISOString().split('T')[0];
+    const existingInsight = await env.DB.prepare(
+      `SELECT content FROM insights 
+       WHERE user_id = ? AND site_url = ? AND date = ? AND type = ?`
+    ).bind(siteOwnerId, siteUrl, today, insightType).first();
+
+    if (existingInsight && !url.searchParams.has('force')) {
+      return new Response(existingInsight.content, {
+        headers: corsHeaders
+      });
+    }
+
+    const planLimit = await checkInsightAllowance(env, siteOwnerId, siteUrl, today);
+    if (planLimit) {
+      return createErrorResponse(planLimit, corsHeaders);
+    }
+
+    // Hold one credit before collecting data; GSC or OpenAI failures return it
+    try {
+      reservation = await reserveCredits(env, userId, 1, 'page_insights', { reference: pageUrl });
+    } catch (error) {
+      if (!(error instanceof InsufficientCreditsError)) {
+        throw error;
+      }
+      return new Response(JSON.stringify({
+        error: 'Insufficient credits for insights generation'
+      }), {
+        status: 402,
+        headers: corsHeaders
+      });
+    }
+
+    const rawData = await collectPageData(request, env, siteUrl, pageUrl, dateRange, periodLabel);
+
+    // Cite the latest stored URL Inspection so indexing problems show up alongside traffic
+    rawData.indexing = await getLatestInspection(env, siteOwnerId, siteUrl, pageUrl);
+
+    if (!rawData.top_pages.length) {
+      return new Response(JSON.stringify({
+        success: false,
+        error: 'No search data available for this page in the selected period',
+        raw_data: rawData
+      }), {
+        status: 404,
+        headers: corsHeaders
+      });
+    }
+
+    const prompt = `
+      Generate insights for a single page based on the following Google Search Console data:
+      
+      Period: ${periodLabel}
+      Site: ${siteUrl}
+      Page: ${pageUrl}
+      
+      Data: ${JSON.stringify(rawData)}
+      
+      Please analyze this data and provide insights on:
+      1. The page's search performance trend over the period
+      2. The queries driving traffic to the page and where it under-performs
+      3. Differences between devices and countries
+      4. Indexing, canonical, mobile usability or rich result problems reported in "indexing" (null when the page has not been inspected)
+      5. Specific actionable recommendations for this page
+      
+      IMPORTANT: Only use actual keywords and metrics from the provided data. DO NOT use placeholder values.
+      
+      Format the response as a JSON object with a single "ai_analysis" key using this structure:
+      {
+        "ai_analysis": {
+          "summary": "Concise 2-3 sentence summary of the page's performance",
+          "performance": {
+            "trend": "up/down/stable/mixed",
+            "changePercent": "numerical percentage of overall change",
+            "timePeriod": "${periodLabel}",
+            "keyMetricChanges": [
+              {"metric": "clicks", "change": "+/-X%", "interpretation": "brief interpretation based ONLY on actual data"},
+              {"metric": "impressions", "change": "+/-X%", "interpretation": "brief interpretation based ONLY on actual data"},
+              {"metric": "ctr", "change": "+/-X%", "interpretation": "brief interpretation based ONLY on actual data"},
+              {"metric": "position", "change": "+/-X%", "interpretation": "brief interpretation based ONLY on actual data"}
+            ],
+            "details": "Deeper analysis of the page's performance"
+          },
+          "topFindings": [
+            {"title": "", "description": "", "impactLevel": "high/medium/low", "dataPoints": [""]}
+          ],
+          "opportunities": [
+            {"title": "", "description": "", "estimatedImpact": "", "difficulty": "easy/moderate/complex", "timeFrame": "immediate/short-term/long-term"}
+          ],
+          "recommendations": [
+            {"title": "", "description": "", "priority": "high/medium/low", "expectedOutcome": "", "implementationSteps": [""]}
+          ],
+          "keywordInsights": {
+            "risingKeywords": [],
+            "decliningKeywords": [],
+            "missedOpportunities": [],
+            "analysis": ""
+          }
+        }
+      }
+      
+      If specific data is missing for any field, indicate this with "insufficient data" rather than making up values.
+    `;
+
+    const aiAnalysis = await requestAIAnalysis(env, prompt);
 
-    // Similar to generateInsights, but focused on a specific page
-    // ...
+    // Serve real metrics with a placeholder analysis when the AI service is unavailable
+    if (!aiAnalysis) {
+      const fallbackInsights = generateFallbackInsights(siteUrl, periodLabel);
+      fallbackInsights.raw_data = rawData;
+      return new Response(JSON.stringify(fallbackInsights), {
+        headers: corsHeaders
+      });
+    }
+
+    const generatedInsights = {
+      success: true,
+      raw_data: rawData,
+      ai_analysis: aiAnalysis
+    };
+
+    try {
+      await env.DB.prepare(
+        `INSERT INTO insights (user_id, site_url, date, type, content, created_at)
+        VALUES (?, ?, ?, ?, ?, ?)`
+      ).bind(siteOwnerId, siteUrl, today, insightType, JSON.stringify(generatedInsights), new Date().toISOString()).run();
+    } catch (dbError) {
+      console.error('Error storing page insights in database:', dbError);
+    }
+
+    await commitReservation(env, reservation);
+
+    return new Response(JSON.stringify(generatedInsights), {
+      headers: corsHeaders
+    });
   } catch (error) {
     console.error('Error in generatePageInsights:', error);
+
+    // GSC failures carry a meaningful status, pass them through
+    if (error instanceof APIError) {
+      return createErrorResponse(error, corsHeaders);
+    }
+
     // Provide more specific error message based on the error type
     let errorMessage = 'Failed to generate page insights';
     let statusCode = 500;
@@ -543,6 +770,130 @@ export async function generatePageInsights(request, env) {
         headers: corsHeaders
       });
     }
+  } finally {
+    if (reservation) {
+      await releaseReservation(env, reservation);
+    }
+  }
+}
+
+// Helper function to format a date N days before today as YYYY-MM-DD
+function daysAgo(days) {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() - days);
+  return date.toISOString().split('T')[0];
+}
+
+// Helper function to summarize GSC rows into the raw_data metric shape
+function toMetricEntry(row) {
+  return {
+    name: row.keys[0],
+    metrics: {
+      clicks: row.clicks,
+      impressions: row.impressions,
+      ctr: row.ctr,
+      position: row.position
+    }
+  };
+}
+
+// Helper function to collect page-level GSC data for the raw_data section
+async function collectPageData(request, env, siteUrl, pageUrl, dateRange, periodLabel) {
+  const pageFilter = {
+    filters: [{ dimension: 'page', operator: 'equals', expression: pageUrl }]
+  };
+  const query = (dimensions, rowLimit) => querySearchAnalytics(env, request.site.userId, siteUrl, {
+    ...dateRange,
+    dimensions,
+    dimensionFilterGroups: [pageFilter],
+    rowLimit
+  });
+
+  // The GSC client shares a single token refresh between these
+  const [totals, daily, queries, devices, countries] = await Promise.all([
+    query([], 1),
+    query(['date'], 500),
+    query(['query'], 25),
+    query(['device'], 10),
+    query(['country'], 10)
+  ]);
+
+  return {
+    metrics: {
+      clicks: daily.map(row => row.clicks),
+      impressions: daily.map(row => row.impressions),
+      ctr: daily.map(row => row.ctr),
+      position: daily.map(row => row.position)
+    },
+    top_keywords: queries.map(toMetricEntry),
+    top_pages: totals.map(row => toMetricEntry({ ...row, keys: [pageUrl] })),
+    devices: devices.map(toMetricEntry),
+    countries: countries.map(toMetricEntry),
+    time_period: periodLabel
+  };
+}
+
+// Helper function to request an ai_analysis object from OpenAI, returns null on any failure
+async function requestAIAnalysis(env, prompt) {
+  const apiUrl = env.OPENAI_API_URL && env.OPENAI_API_URL.startsWith('http')
+    ? env.OPENAI_API_URL
+    : 'https://api.openai.com/v1/chat/completions';
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), 60000);
+
+  try {
+    const openaiResponse = await fetch(apiUrl, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${env.OPENAI_API_KEY}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        model: "gpt-4o-2024-08-06",
+        messages: [
+          {
+            role: "system",
+            content: "You are an expert in SEO and data analysis, specialized in analyzing Google Search Console data to provide meaningful insights."
+          },
+          {
+            role: "user",
+            content: prompt
+          }
+        ],
+        temperature: 0.2,
+        max_tokens: 4000
+      }),
+      signal: controller.signal
+    });
+
+    if (!openaiResponse.ok) {
+      console.error('OpenAI API error:', {
+        status: openaiResponse.status,
+        statusText: openaiResponse.statusText
+      });
+      return null;
+    }
+
+    const openaiData = await openaiResponse.json();
+    const rawContent = openaiData.choices?.[0]?.message?.content;
+    const jsonMatch = rawContent && rawContent.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) {
+      console.error('Failed to extract JSON from OpenAI response content:', rawContent);
+      return null;
+    }
+
+    const parsedContent = JSON.parse(jsonMatch[0]);
+    if (!parsedContent.ai_analysis) {
+      console.error('Parsed content missing ai_analysis:', parsedContent);
+      return null;
+    }
+    return parsedContent.ai_analysis;
+  } catch (error) {
+    console.error('Error requesting AI analysis:', error);
+    return null;
+  } finally {
+    clearTimeout(timeoutId);
   }
 }
 
@@ -797,13 +1148,12 @@ function generateMockInsights(siteUrl, period) {
 
 import { analyzeGSCData } from './services/aiRecommendations.js';
 import { 
-    AuthError, 
     ValidationError, 
-    RateLimitError,
+    NotFoundError,
     withErrorHandling,
     validateRequiredFields
 } from './utils/errors.js';
-import { checkRateLimit, generateGSCRateLimitKey } from './utils/rateLimiter.js';
+import { enforceRateLimit } from './utils/middleware.js';
 
 /**
  * Get AI-powered insights and recommendations
@@ -819,77 +1169,18 @@ export const getInsights = withErrorHandling(async (request, env) => {
     const { siteUrl, startDate, endDate } = body;
     
     // Check rate limit before making API call
-    const rateLimitKey = generateGSCRateLimitKey(userId, 'insights');
-    const rateLimit = await checkRateLimit(env.GSC_CACHE, rateLimitKey, 50, 60); // 50 requests per minute
-    
-    if (rateLimit.limited) {
-        throw new RateLimitError(
-            'Rate limit exceeded',
-            rateLimit.remaining,
-            rateLimit.reset
-        );
-    }
-    
-    // Add rate limit headers to response
-    headers['X-RateLimit-Remaining'] = rateLimit.remaining.toString();
-    headers['X-RateLimit-Reset'] = rateLimit.reset.toString();
-    
-    // Get access token from KV
-    let accessToken = await env.AUTH_STORE.get(`gsc_token:${userId}`);
-    
-    if (!accessToken) {
-        // Token expired, try to refresh
-        const refreshResult = await refreshToken(request, env);
-        if (!refreshResult.ok) {
-            throw new AuthError('Failed to refresh token', {
-                status: refreshResult.status,
-                statusText: refreshResult.statusText
-            });
-        }
-        
-        // Get new access token
-        const newAccessToken = await env.AUTH_STORE.get(`gsc_token:${userId}`);
-        
-        // Validate new token exists
-        if (!newAccessToken) {
-            throw new AuthError('Failed to refresh access token');
-        }
-        
-        accessToken = newAccessToken;
-    }
+    await enforceRateLimit(request, env, 'gsc:insights', 50);
     
     // Query Search Console API for data
-    const response = await fetch(
-        `https://www.googleapis.com/webmasters/v3/sites/${encodeURIComponent(siteUrl)}/searchAnalytics/query`,
-        {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${accessToken}`,
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                startDate,
-                endDate,
-                dimensions: ['query', 'page'],
-                rowLimit: 1000
-            })
-        }
-    );
-    
-    if (!response.ok) {
-        const errorText = await response.text();
-        throw new APIError(
-            'Failed to fetch GSC data',
-            response.status,
-            'GSC_API_ERROR',
-            { errorText }
-        );
-    }
-    
-    const data = await response.json();
+    const rows = await querySearchAnalytics(env, userId, siteUrl, {
+        startDate,
+        endDate,
+        dimensions: ['query', 'page'],
+        rowLimit: 1000
+    });
     
     // Generate AI recommendations
-    const recommendations = await analyzeGSCData(data, {
+    const recommendations = await analyzeGSCData({ rows }, {
         dateRange: { startDate, endDate }
     });
     
@@ -899,4 +1190,164 @@ export const getInsights = withErrorHandling(async (request, env) => {
     }), {
         headers: headers
     });
-});
\ No newline at end of file
+});
+
+const HISTORY_DEFAULT_LIMIT = 20;
+const HISTORY_MAX_LIMIT = 100;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * List previously generated insights without spending credits
+ *
+ * Query parameters: siteUrl, type ('overall' or 'page'), pageUrl, startDate,
+ * endDate (YYYY-MM-DD, inclusive), limit and cursor. Results are ordered
+ * newest first; pass the returned nextCursor to fetch the following page.
+ * With a siteUrl shared in the active organization, the team's insights are listed.
+ */
+export const getInsightsHistory = withErrorHandling(async (request, env) => {
+    const userId = request.site.userId;
+    const headers = createCorsHeaders(env.FRONTEND_URL);
+    const url = new URL(request.url);
+    const params = url.searchParams;
+
+    const conditions = ['user_id = ?'];
+    const bindings = [userId];
+
+    const siteUrl = params.get('siteUrl');
+    if (siteUrl) {
+        conditions.push('site_url = ?');
+        bindings.push(siteUrl);
+    }
+
+    const type = params.get('type');
+    const pageUrl = params.get('pageUrl');
+    if (type && type !== 'overall' && type !== 'page') {
+        throw new ValidationError('Invalid insight type', { type, allowed: ['overall', 'page'] });
+    }
+    if (pageUrl) {
+        if (type === 'overall') {
+            throw new ValidationError('pageUrl cannot be combined with type=overall');
+        }
+        conditions.push('type = ?');
+        bindings.push(`page:${pageUrl}`);
+    } else if (type === 'overall') {
+        conditions.push("type = 'overall'");
+    } else if (type === 'page') {
+        conditions.push("type LIKE 'page:%'");
+    }
+
+    const startDate = params.get('startDate');
+    const endDate = params.get('endDate');
+    for (const [name, value] of [['startDate', startDate], ['endDate', endDate]]) {
+        if (value && !DATE_PATTERN.test(value)) {
+            throw new ValidationError(`${name} must be in YYYY-MM-DD format`, { [name]: value });
+        }
+    }
+    if (startDate) {
+        conditions.push('date >= ?');
+        bindings.push(startDate);
+    }
+    if (endDate) {
+        conditions.push('date <= ?');
+        bindings.push(endDate);
+    }
+
+    const cursor = params.get('cursor');
+    if (cursor) {
+        const cursorId = parseInt(cursor, 10);
+        if (!Number.isInteger(cursorId) || cursorId < 1) {
+            throw new ValidationError('Invalid cursor', { cursor });
+        }
+        conditions.push('id < ?');
+        bindings.push(cursorId);
+    }
+
+    const requestedLimit = parseInt(params.get('limit'), 10);
+    const limit = Number.isInteger(requestedLimit) && requestedLimit > 0
+        ? Math.min(requestedLimit, HISTORY_MAX_LIMIT)
+        : HISTORY_DEFAULT_LIMIT;
+
+    // Fetch one extra row to know whether another page exists
+    const { results = [] } = await env.DB.prepare(
+        `SELECT id, site_url, date, type, content, created_at FROM insights
+         WHERE ${conditions.join(' AND ')}
+         ORDER BY id DESC
+         LIMIT ?`
+    ).bind(...bindings, limit + 1).all();
+
+    const hasMore = results.length > limit;
+    const page = hasMore ? results.slice(0, limit) : results;
+
+    const insights = page.map(row => {
+        const content = parseInsightContent(row.content);
+        return {
+            id: row.id,
+            siteUrl: row.site_url,
+            date: row.date,
+            ...describeInsightType(row.type),
+            summary: content?.ai_analysis?.summary || null,
+            createdAt: row.created_at
+        };
+    });
+
+    return new Response(JSON.stringify({
+        success: true,
+        insights,
+        nextCursor: hasMore ? String(page[page.length - 1].id) : null
+    }), { headers });
+});
+
+/**
+ * Get a single stored insight by id
+ */
+export const getInsightById = withErrorHandling(async (request, env) => {
+    const userId = request.user.user_id;
+    const headers = createCorsHeaders(env.FRONTEND_URL);
+    const insightId = parseInt(request.params.id, 10);
+
+    if (!Number.isInteger(insightId)) {
+        throw new ValidationError('Invalid insight id');
+    }
+
+    const row = await env.DB.prepare(
+        'SELECT id, user_id, site_url, date, type, content, created_at FROM insights WHERE id = ?'
+    ).bind(insightId).first();
+
+    // Someone else's insight is visible when its property is shared with the user's active organization
+    const accessible = row && (row.user_id === userId ||
+        await canAccessSharedSite(env, request.user, row.site_url, row.user_id, 'insights:read'));
+
+    if (!accessible) {
+        throw new NotFoundError('Insight not found', { id: insightId });
+    }
+
+    return new Response(JSON.stringify({
+        success: true,
+        insight: {
+            id: row.id,
+            siteUrl: row.site_url,
+            date: row.date,
+            ...describeInsightType(row.type),
+            createdAt: row.created_at,
+            content: parseInsightContent(row.content)
+        }
+    }), { headers });
+});
+
+// Page insights are stored with type 'page:<url>'
+function describeInsightType(type) {
+    if (type.startsWith('page:')) {
+        return { type: 'page', pageUrl: type.slice('page:'.length) };
+    }
+    return { type, pageUrl: null };
+}
+
+// Stored content is the JSON returned to the client at generation time
+function parseInsightContent(content) {
+    try {
+        return JSON.parse(content);
+    } catch (error) {
+        console.error('Failed to parse stored insight content:', error);
+        return null;
+    }
+}
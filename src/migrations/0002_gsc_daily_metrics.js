@@ -0,0 +1,25 @@
+// Normalized daily GSC metrics, '' means aggregated over that dimension
+export default {
+    version: 2,
+    name: 'gsc_daily_metrics',
+    statements: [
+        `CREATE TABLE IF NOT EXISTS gsc_daily_metrics (
+          id INTEGER PRIMARY KEY,
+          user_id INTEGER NOT NULL,
+          site_url TEXT NOT NULL,
+          date TEXT NOT NULL,
+          query TEXT NOT NULL DEFAULT '',
+          page TEXT NOT NULL DEFAULT '',
+          device TEXT NOT NULL DEFAULT '',
+          country TEXT NOT NULL DEFAULT '',
+          clicks INTEGER NOT NULL DEFAULT 0,
+          impressions INTEGER NOT NULL DEFAULT 0,
+          ctr REAL NOT NULL DEFAULT 0,
+          position REAL NOT NULL DEFAULT 0,
+          updated_at TEXT NOT NULL,
+          UNIQUE (user_id, site_url, date, query, page, device, country),
+          FOREIGN KEY (user_id) REFERENCES users (id)
+        )`,
+        `CREATE INDEX IF NOT EXISTS idx_gsc_daily_metrics_user_site_date ON gsc_daily_metrics (user_id, site_url, date)`
+    ]
+};
@@ -0,0 +1,16 @@
+// Brand terms per site, used to split branded and non-branded keywords
+export default {
+    version: 3,
+    name: 'site_brand_terms',
+    statements: [
+        `CREATE TABLE IF NOT EXISTS site_brand_terms (
+          id INTEGER PRIMARY KEY,
+          user_id INTEGER NOT NULL,
+          site_url TEXT NOT NULL,
+          terms TEXT NOT NULL,
+          updated_at TEXT NOT NULL,
+          UNIQUE (user_id, site_url),
+          FOREIGN KEY (user_id) REFERENCES users (id)
+        )`
+    ]
+};
@@ -0,0 +1,23 @@
+// Background GSC export jobs, rows are stored in GSC_CACHE chunks
+export default {
+    version: 4,
+    name: 'gsc_export_jobs',
+    statements: [
+        `CREATE TABLE IF NOT EXISTS gsc_export_jobs (
+          id TEXT PRIMARY KEY,
+          user_id INTEGER NOT NULL,
+          site_url TEXT NOT NULL,
+          request TEXT NOT NULL,
+          status TEXT NOT NULL,
+          max_rows INTEGER NOT NULL,
+          next_start_row INTEGER NOT NULL DEFAULT 0,
+          row_count INTEGER NOT NULL DEFAULT 0,
+          chunk_count INTEGER NOT NULL DEFAULT 0,
+          error TEXT,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL,
+          FOREIGN KEY (user_id) REFERENCES users (id)
+        )`,
+        `CREATE INDEX IF NOT EXISTS idx_gsc_export_jobs_status ON gsc_export_jobs (status, created_at)`
+    ]
+};
@@ -0,0 +1,23 @@
+// Latest URL Inspection result per page
+export default {
+    version: 5,
+    name: 'url_inspections',
+    statements: [
+        `CREATE TABLE IF NOT EXISTS url_inspections (
+          id INTEGER PRIMARY KEY,
+          user_id INTEGER NOT NULL,
+          site_url TEXT NOT NULL,
+          page_url TEXT NOT NULL,
+          verdict TEXT,
+          coverage_state TEXT,
+          google_canonical TEXT,
+          user_canonical TEXT,
+          mobile_verdict TEXT,
+          rich_results_verdict TEXT,
+          result TEXT NOT NULL,
+          inspected_at TEXT NOT NULL,
+          UNIQUE (user_id, site_url, page_url),
+          FOREIGN KEY (user_id) REFERENCES users (id)
+        )`
+    ]
+};
@@ -0,0 +1,19 @@
+import { addColumnsIfMissing } from './helpers.js';
+
+// Google permission level, verification and curation state for synced properties.
+// Databases created before migrations may already have some of these columns.
+export default {
+    version: 6,
+    name: 'user_properties_management',
+    statements: async db => [
+        ...await addColumnsIfMissing(db, 'user_properties', {
+            permission_level: 'TEXT',
+            verified: 'INTEGER DEFAULT 0',
+            is_favorite: 'INTEGER DEFAULT 0',
+            archived_at: 'TEXT',
+            removed_at: 'TEXT',
+            last_synced_at: 'TEXT'
+        }),
+        `CREATE UNIQUE INDEX IF NOT EXISTS idx_user_properties_user_site ON user_properties (user_id, site_url)`
+    ]
+};
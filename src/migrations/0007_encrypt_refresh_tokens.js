@@ -0,0 +1,8 @@
+import { buildRefreshTokenReencryption } from '../services/tokenStore.js';
+
+// Encrypt Google refresh tokens stored in plaintext before TOKEN_ENCRYPTION_KEYS existed
+export default {
+    version: 7,
+    name: 'encrypt_refresh_tokens',
+    statements: (db, env) => buildRefreshTokenReencryption(env)
+};
@@ -0,0 +1,11 @@
+import { addColumnsIfMissing } from './helpers.js';
+
+// Email verification state; existing accounts start unverified
+export default {
+    version: 8,
+    name: 'email_verification',
+    statements: async db => addColumnsIfMissing(db, 'users', {
+        email_verified: 'INTEGER NOT NULL DEFAULT 0',
+        email_verified_at: 'TEXT'
+    })
+};
@@ -0,0 +1,49 @@
+// Organizations, their members and invitations, and properties shared with them.
+// A shared property is served through the Google connection of the member who shared it.
+export default {
+    version: 9,
+    name: 'organizations',
+    statements: [
+        `CREATE TABLE IF NOT EXISTS organizations (
+          id INTEGER PRIMARY KEY,
+          name TEXT NOT NULL,
+          created_by INTEGER NOT NULL,
+          created_at TEXT NOT NULL,
+          FOREIGN KEY (created_by) REFERENCES users (id)
+        )`,
+        `CREATE TABLE IF NOT EXISTS organization_members (
+          org_id INTEGER NOT NULL,
+          user_id INTEGER NOT NULL,
+          role TEXT NOT NULL CHECK (role IN ('owner', 'admin', 'analyst', 'viewer')),
+          joined_at TEXT NOT NULL,
+          PRIMARY KEY (org_id, user_id),
+          FOREIGN KEY (org_id) REFERENCES organizations (id),
+          FOREIGN KEY (user_id) REFERENCES users (id)
+        )`,
+        `CREATE INDEX IF NOT EXISTS idx_organization_members_user ON organization_members (user_id)`,
+        `CREATE TABLE IF NOT EXISTS organization_invitations (
+          id INTEGER PRIMARY KEY,
+          org_id INTEGER NOT NULL,
+          email TEXT NOT NULL,
+          role TEXT NOT NULL CHECK (role IN ('owner', 'admin', 'analyst', 'viewer')),
+          token_hash TEXT NOT NULL UNIQUE,
+          invited_by INTEGER NOT NULL,
+          created_at TEXT NOT NULL,
+          expires_at TEXT NOT NULL,
+          accepted_at TEXT,
+          accepted_by INTEGER,
+          FOREIGN KEY (org_id) REFERENCES organizations (id)
+        )`,
+        `CREATE INDEX IF NOT EXISTS idx_organization_invitations_org ON organization_invitations (org_id)`,
+        `CREATE TABLE IF NOT EXISTS organization_properties (
+          id INTEGER PRIMARY KEY,
+          org_id INTEGER NOT NULL,
+          site_url TEXT NOT NULL,
+          owner_user_id INTEGER NOT NULL,
+          created_at TEXT NOT NULL,
+          UNIQUE (org_id, site_url),
+          FOREIGN KEY (org_id) REFERENCES organizations (id),
+          FOREIGN KEY (owner_user_id) REFERENCES users (id)
+        )`
+    ]
+};
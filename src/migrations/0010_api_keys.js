@@ -0,0 +1,23 @@
+// Personal API keys; only a SHA-256 hash of each key is stored
+export default {
+    version: 10,
+    name: 'api_keys',
+    statements: [
+        `CREATE TABLE IF NOT EXISTS api_keys (
+          id INTEGER PRIMARY KEY,
+          key_id TEXT NOT NULL UNIQUE,
+          key_hash TEXT NOT NULL,
+          user_id INTEGER NOT NULL,
+          org_id INTEGER,
+          name TEXT NOT NULL,
+          scopes TEXT NOT NULL,
+          created_at TEXT NOT NULL,
+          expires_at TEXT,
+          last_used_at TEXT,
+          last_used_ip TEXT,
+          revoked_at TEXT,
+          FOREIGN KEY (user_id) REFERENCES users (id)
+        )`,
+        `CREATE INDEX IF NOT EXISTS idx_api_keys_user ON api_keys (user_id)`
+    ]
+};
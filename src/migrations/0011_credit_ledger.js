@@ -0,0 +1,37 @@
+import { addColumnsIfMissing } from './helpers.js';
+
+// Signed credit ledger and credit reservations. Legacy credit_logs rows were
+// all spends stored as positive amounts; they become debits, and each user
+// gets an opening grant so their ledger sums to their current balance.
+export default {
+    version: 11,
+    name: 'credit_ledger',
+    statements: async db => [
+        ...await addColumnsIfMissing(db, 'credit_logs', {
+            entry_type: "TEXT NOT NULL DEFAULT 'debit'",
+            balance_after: 'INTEGER',
+            reservation_id: 'TEXT',
+            reference: 'TEXT'
+        }),
+        `UPDATE credit_logs SET amount = -amount WHERE amount > 0`,
+        `INSERT INTO credit_logs (user_id, amount, entry_type, purpose, balance_after, created_at)
+         SELECT u.id,
+                COALESCE(u.credits, 0) - COALESCE((SELECT SUM(l.amount) FROM credit_logs l WHERE l.user_id = u.id), 0),
+                'grant', 'opening_balance', COALESCE(u.credits, 0), datetime()
+         FROM users u`,
+        `CREATE TABLE IF NOT EXISTS credit_reservations (
+          id TEXT PRIMARY KEY,
+          user_id INTEGER NOT NULL,
+          amount INTEGER NOT NULL CHECK (amount > 0),
+          purpose TEXT NOT NULL,
+          reference TEXT,
+          status TEXT NOT NULL DEFAULT 'held' CHECK (status IN ('held', 'committed', 'released')),
+          created_at TEXT NOT NULL,
+          expires_at TEXT NOT NULL,
+          settled_at TEXT,
+          FOREIGN KEY (user_id) REFERENCES users (id)
+        )`,
+        `CREATE INDEX IF NOT EXISTS idx_credit_logs_user_created ON credit_logs (user_id, created_at)`,
+        `CREATE INDEX IF NOT EXISTS idx_credit_reservations_status ON credit_reservations (status, expires_at)`
+    ]
+};
@@ -0,0 +1,48 @@
+// Credit purchases: checkout orders, subscriptions and processed payment webhooks.
+// Grants carrying a reference (an order or invoice) may only be booked once.
+export default {
+    version: 12,
+    name: 'billing',
+    statements: [
+        `CREATE TABLE IF NOT EXISTS credit_orders (
+          id TEXT PRIMARY KEY,
+          user_id INTEGER NOT NULL,
+          product_id TEXT NOT NULL,
+          kind TEXT NOT NULL CHECK (kind IN ('pack', 'subscription')),
+          credits INTEGER NOT NULL,
+          amount_cents INTEGER NOT NULL,
+          currency TEXT NOT NULL,
+          provider TEXT NOT NULL,
+          checkout_id TEXT,
+          status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'paid')),
+          created_at TEXT NOT NULL,
+          paid_at TEXT,
+          FOREIGN KEY (user_id) REFERENCES users (id)
+        )`,
+        `CREATE TABLE IF NOT EXISTS subscriptions (
+          id INTEGER PRIMARY KEY,
+          user_id INTEGER NOT NULL,
+          plan_id TEXT NOT NULL,
+          provider TEXT NOT NULL,
+          provider_subscription_id TEXT NOT NULL,
+          order_id TEXT,
+          status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'canceled')),
+          current_period_end TEXT,
+          created_at TEXT NOT NULL,
+          canceled_at TEXT,
+          UNIQUE (provider, provider_subscription_id),
+          FOREIGN KEY (user_id) REFERENCES users (id)
+        )`,
+        `CREATE TABLE IF NOT EXISTS payment_events (
+          provider TEXT NOT NULL,
+          event_id TEXT NOT NULL,
+          type TEXT NOT NULL,
+          received_at TEXT NOT NULL,
+          PRIMARY KEY (provider, event_id)
+        )`,
+        `CREATE INDEX IF NOT EXISTS idx_credit_orders_user ON credit_orders (user_id, created_at)`,
+        `CREATE INDEX IF NOT EXISTS idx_subscriptions_user ON subscriptions (user_id, status)`,
+        `CREATE UNIQUE INDEX IF NOT EXISTS idx_credit_logs_grant_reference
+          ON credit_logs (reference) WHERE entry_type = 'grant' AND reference IS NOT NULL`
+    ]
+};
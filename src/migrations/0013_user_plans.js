@@ -0,0 +1,18 @@
+import { addColumnsIfMissing } from './helpers.js';
+
+// Plan per user; users with an active subscription get its plan, everyone else is on free
+export default {
+    version: 13,
+    name: 'user_plans',
+    statements: async db => [
+        ...await addColumnsIfMissing(db, 'users', {
+            plan: "TEXT NOT NULL DEFAULT 'free'"
+        }),
+        `UPDATE users SET plan = (
+           SELECT s.plan_id FROM subscriptions s
+           WHERE s.user_id = users.id AND s.status = 'active'
+           ORDER BY s.created_at DESC LIMIT 1
+         )
+         WHERE id IN (SELECT user_id FROM subscriptions WHERE status = 'active')`
+    ]
+};
@@ -0,0 +1,10 @@
+import { addColumnsIfMissing } from './helpers.js';
+
+// Plan set by an operator; takes precedence over the subscription plan in users.plan until cleared
+export default {
+    version: 14,
+    name: 'plan_overrides',
+    statements: async db => addColumnsIfMissing(db, 'users', {
+        plan_override: 'TEXT'
+    })
+};
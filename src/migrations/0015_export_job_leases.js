@@ -0,0 +1,10 @@
+import { addColumnsIfMissing } from './helpers.js';
+
+// Lease on an export job while a cron run works on it, so overlapping runs don't fetch the same pages
+export default {
+    version: 15,
+    name: 'export_job_leases',
+    statements: async db => addColumnsIfMissing(db, 'gsc_export_jobs', {
+        lease_until: 'TEXT'
+    })
+};
@@ -0,0 +1,8 @@
+import { buildRefreshTokenReencryption } from '../services/tokenStore.js';
+
+// Re-encrypt enc:v1 refresh tokens as enc:v2, bound to the user they belong to
+export default {
+    version: 16,
+    name: 'bind_encrypted_tokens',
+    statements: (db, env) => buildRefreshTokenReencryption(env)
+};
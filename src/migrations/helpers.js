@@ -0,0 +1,17 @@
+// Helpers for migrations that need to inspect the current schema
+
+/**
+ * Build ALTER TABLE statements for columns the table doesn't have yet
+ * @param {D1Database} db - D1 database binding
+ * @param {string} table - Table name
+ * @param {Object} columns - Column name to definition
+ * @returns {Promise<string[]>} Statements to run
+ */
+export async function addColumnsIfMissing(db, table, columns) {
+    const { results = [] } = await db.prepare(`PRAGMA table_info(${table})`).all();
+    const existing = new Set(results.map(column => column.name));
+
+    return Object.entries(columns)
+        .filter(([name]) => !existing.has(name))
+        .map(([name, definition]) => `ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`);
+}
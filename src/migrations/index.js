@@ -0,0 +1,36 @@
+// Ordered list of schema migrations. Append new files here; never edit or renumber applied ones.
+import initialSchema from './0001_initial_schema.js';
+import gscDailyMetrics from './0002_gsc_daily_metrics.js';
+import siteBrandTerms from './0003_site_brand_terms.js';
+import gscExportJobs from './0004_gsc_export_jobs.js';
+import urlInspections from './0005_url_inspections.js';
+import userPropertiesManagement from './0006_user_properties_management.js';
+import encryptRefreshTokens from './0007_encrypt_refresh_tokens.js';
+import emailVerification from './0008_email_verification.js';
+import organizations from './0009_organizations.js';
+import apiKeys from './0010_api_keys.js';
+import creditLedger from './0011_credit_ledger.js';
+import billing from './0012_billing.js';
+import userPlans from './0013_user_plans.js';
+import planOverrides from './0014_plan_overrides.js';
+import exportJobLeases from './0015_export_job_leases.js';
+import bindEncryptedTokens from './0016_bind_encrypted_tokens.js';
+
+export const migrations = [
+    initialSchema,
+    gscDailyMetrics,
+    siteBrandTerms,
+    gscExportJobs,
+    urlInspections,
+    userPropertiesManagement,
+    encryptRefreshTokens,
+    emailVerification,
+    organizations,
+    apiKeys,
+    creditLedger,
+    billing,
+    userPlans,
+    planOverrides,
+    exportJobLeases,
+    bindEncryptedTokens
+];
@@ -0,0 +1,263 @@
+// Organizations: members, roles, invitations and shared properties
+import {
+    createOrganization,
+    requireMembership,
+    updateMemberRole,
+    removeMember,
+    deleteOrganization,
+    createInvitation,
+    acceptInvitation,
+    shareProperty,
+    listSharedProperties
+} from './services/organizations.js';
+import {
+    ValidationError,
+    NotFoundError,
+    createCorsHeaders,
+    withErrorHandling
+} from './utils/errors.js';
+
+// Helper function to read an integer path parameter
+function parseId(value, name) {
+    const id = parseInt(value, 10);
+    if (!Number.isInteger(id) || id <= 0) {
+        throw new ValidationError(`Invalid ${name}`);
+    }
+    return id;
+}
+
+// Create an organization owned by the current user
+export const createOrg = withErrorHandling(async (request, env) => {
+    const headers = createCorsHeaders(env.FRONTEND_URL);
+    const organization = await createOrganization(env, request.user.user_id, request.validated.name);
+
+    return new Response(JSON.stringify({
+        success: true,
+        organization
+    }), { status: 201, headers });
+});
+
+// List the organizations the current user belongs to
+export const listOrgs = withErrorHandling(async (request, env) => {
+    const headers = createCorsHeaders(env.FRONTEND_URL);
+    const { results = [] } = await env.DB.prepare(
+        `SELECT o.id, o.name, m.role, m.joined_at
+         FROM organization_members m JOIN organizations o ON o.id = m.org_id
+         WHERE m.user_id = ?
+         ORDER BY m.joined_at, o.id`
+    ).bind(request.user.user_id).all();
+
+    return new Response(JSON.stringify({
+        success: true,
+        activeOrgId: request.user.org_id || null,
+        organizations: results.map(row => ({
+            id: row.id,
+            name: row.name,
+            role: row.role,
+            joinedAt: row.joined_at
+        }))
+    }), { headers });
+});
+
+// Organization details with its members
+export const getOrg = withErrorHandling(async (request, env) => {
+    const headers = createCorsHeaders(env.FRONTEND_URL);
+    const orgId = parseId(request.params.id, 'organization id');
+    const membership = await requireMembership(env, orgId, request.user.user_id);
+
+    const { results = [] } = await env.DB.prepare(
+        `SELECT m.user_id, u.name, u.email, m.role, m.joined_at
+         FROM organization_members m JOIN users u ON u.id = m.user_id
+         WHERE m.org_id = ?
+         ORDER BY m.joined_at`
+    ).bind(orgId).all();
+
+    return new Response(JSON.stringify({
+        success: true,
+        organization: membership,
+        members: results.map(row => ({
+            userId: row.user_id,
+            name: row.name,
+            email: row.email,
+            role: row.role,
+            joinedAt: row.joined_at
+        }))
+    }), { headers });
+});
+
+// Delete an organization (owners only)
+export const deleteOrg = withErrorHandling(async (request, env) => {
+    const headers = createCorsHeaders(env.FRONTEND_URL);
+    const orgId = parseId(request.params.id, 'organization id');
+    await requireMembership(env, orgId, request.user.user_id, 'org:delete');
+
+    await deleteOrganization(env, orgId);
+
+    return new Response(JSON.stringify({
+        success: true,
+        message: 'Organization deleted'
+    }), { headers });
+});
+
+// Change a member's role
+export const updateMember = withErrorHandling(async (request, env) => {
+    const headers = createCorsHeaders(env.FRONTEND_URL);
+    const orgId = parseId(request.params.id, 'organization id');
+    const userId = parseId(request.params.userId, 'user id');
+    const actor = await requireMembership(env, orgId, request.user.user_id, 'org:manage');
+
+    await updateMemberRole(env, actor, orgId, userId, request.validated.role);
+
+    return new Response(JSON.stringify({
+        success: true,
+        member: { userId, role: request.validated.role }
+    }), { headers });
+});
+
+// Remove a member, or leave the organization when removing yourself
+export const removeOrgMember = withErrorHandling(async (request, env) => {
+    const headers = createCorsHeaders(env.FRONTEND_URL);
+    const orgId = parseId(request.params.id, 'organization id');
+    const userId = parseId(request.params.userId, 'user id');
+    const actor = await requireMembership(env, orgId, request.user.user_id);
+
+    await removeMember(env, actor, request.user.user_id, orgId, userId);
+
+    return new Response(JSON.stringify({
+        success: true,
+        message: userId === request.user.user_id ? 'Left organization' : 'Member removed'
+    }), { headers });
+});
+
+// Invite someone by email
+export const inviteMember = withErrorHandling(async (request, env) => {
+    const headers = createCorsHeaders(env.FRONTEND_URL);
+    const orgId = parseId(request.params.id, 'organization id');
+    const org = await requireMembership(env, orgId, request.user.user_id, 'org:manage');
+    const { email, role } = request.validated;
+
+    const invitation = await createInvitation(env, org, request.user.user_id, email, role);
+
+    return new Response(JSON.stringify({
+        success: true,
+        invitation
+    }), { status: 201, headers });
+});
+
+// List open invitations
+export const listInvitations = withErrorHandling(async (request, env) => {
+    const headers = createCorsHeaders(env.FRONTEND_URL);
+    const orgId = parseId(request.params.id, 'organization id');
+    await requireMembership(env, orgId, request.user.user_id, 'org:manage');
+
+    const { results = [] } = await env.DB.prepare(
+        `SELECT id, email, role, invited_by, created_at, expires_at
+         FROM organization_invitations
+         WHERE org_id = ? AND accepted_at IS NULL AND expires_at > ?
+         ORDER BY created_at DESC`
+    ).bind(orgId, new Date().toISOString()).all();
+
+    return new Response(JSON.stringify({
+        success: true,
+        invitations: results.map(row => ({
+            id: row.id,
+            email: row.email,
+            role: row.role,
+            invitedBy: row.invited_by,
+            createdAt: row.created_at,
+            expiresAt: row.expires_at
+        }))
+    }), { headers });
+});
+
+// Withdraw an invitation
+export const revokeInvitation = withErrorHandling(async (request, env) => {
+    const headers = createCorsHeaders(env.FRONTEND_URL);
+    const orgId = parseId(request.params.id, 'organization id');
+    const invitationId = parseId(request.params.invitationId, 'invitation id');
+    await requireMembership(env, orgId, request.user.user_id, 'org:manage');
+
+    const result = await env.DB.prepare(
+        'DELETE FROM organization_invitations WHERE id = ? AND org_id = ? AND accepted_at IS NULL'
+    ).bind(invitationId, orgId).run();
+
+    if (!result.meta.changes) {
+        throw new NotFoundError('Invitation not found', { id: invitationId });
+    }
+
+    return new Response(JSON.stringify({
+        success: true,
+        message: 'Invitation revoked'
+    }), { headers });
+});
+
+// Accept an invitation sent to the current user's email address
+export const acceptOrgInvitation = withErrorHandling(async (request, env) => {
+    const headers = createCorsHeaders(env.FRONTEND_URL);
+    const user = await env.DB.prepare(
+        'SELECT id, email FROM users WHERE id = ?'
+    ).bind(request.user.user_id).first();
+
+    if (!user) {
+        throw new NotFoundError('User not found');
+    }
+
+    const organization = await acceptInvitation(env, user, request.validated.token);
+
+    return new Response(JSON.stringify({
+        success: true,
+        organization
+    }), { headers });
+});
+
+// List properties shared with the organization
+export const listOrgProperties = withErrorHandling(async (request, env) => {
+    const headers = createCorsHeaders(env.FRONTEND_URL);
+    const orgId = parseId(request.params.id, 'organization id');
+    await requireMembership(env, orgId, request.user.user_id, 'gsc:read');
+
+    return new Response(JSON.stringify({
+        success: true,
+        properties: await listSharedProperties(env, orgId)
+    }), { headers });
+});
+
+// Share one of the current user's properties with the organization
+export const shareOrgProperty = withErrorHandling(async (request, env) => {
+    const headers = createCorsHeaders(env.FRONTEND_URL);
+    const orgId = parseId(request.params.id, 'organization id');
+    await requireMembership(env, orgId, request.user.user_id, 'org:manage');
+
+    const property = await shareProperty(env, orgId, request.user.user_id, request.validated.siteUrl);
+
+    return new Response(JSON.stringify({
+        success: true,
+        property
+    }), { status: 201, headers });
+});
+
+// Stop sharing a property; admins can unshare any, others only what they shared
+export const unshareOrgProperty = withErrorHandling(async (request, env) => {
+    const headers = createCorsHeaders(env.FRONTEND_URL);
+    const orgId = parseId(request.params.id, 'organization id');
+    const propertyId = parseId(request.params.propertyId, 'property id');
+    await requireMembership(env, orgId, request.user.user_id);
+
+    const property = await env.DB.prepare(
+        'SELECT id, owner_user_id FROM organization_properties WHERE id = ? AND org_id = ?'
+    ).bind(propertyId, orgId).first();
+
+    if (!property) {
+        throw new NotFoundError('Shared property not found', { id: propertyId });
+    }
+    if (property.owner_user_id !== request.user.user_id) {
+        await requireMembership(env, orgId, request.user.user_id, 'org:manage');
+    }
+
+    await env.DB.prepare('DELETE FROM organization_properties WHERE id = ?').bind(property.id).run();
+
+    return new Response(JSON.stringify({
+        success: true,
+        message: 'Property is no longer shared'
+    }), { headers });
+});
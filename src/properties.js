@@ -0,0 +1,179 @@
+// User-curated GSC property list stored in user_properties
+import {
+    ValidationError,
+    NotFoundError,
+    createCorsHeaders,
+    withErrorHandling
+} from './utils/errors.js';
+
+/**
+ * Sync Google's site list into user_properties.
+ *
+ * New sites are added, permission level and verification state are refreshed,
+ * and sites Google no longer returns are marked unverified. User choices
+ * (display name, favorite, archived, removed) are never overwritten.
+ * @param {Object} env - Worker environment
+ * @param {number} userId - User ID
+ * @param {Array} siteEntries - siteEntry array from the GSC sites API
+ * @returns {Promise<void>}
+ */
+export async function syncUserProperties(env, userId, siteEntries) {
+    const now = new Date().toISOString();
+    const statements = siteEntries.map(site => env.DB.prepare(
+        `INSERT INTO user_properties (user_id, site_url, permission_level, verified, added_at, last_synced_at)
+         VALUES (?, ?, ?, ?, ?, ?)
+         ON CONFLICT (user_id, site_url) DO UPDATE SET
+           permission_level = excluded.permission_level,
+           verified = excluded.verified,
+           last_synced_at = excluded.last_synced_at`
+    ).bind(
+        userId,
+        site.siteUrl,
+        site.permissionLevel,
+        site.permissionLevel === 'siteUnverifiedUser' ? 0 : 1,
+        now,
+        now
+    ));
+
+    // Anything not touched by this sync has lost access in Google
+    statements.push(env.DB.prepare(
+        `UPDATE user_properties SET verified = 0, permission_level = NULL
+         WHERE user_id = ? AND (last_synced_at IS NULL OR last_synced_at != ?)`
+    ).bind(userId, now));
+
+    await env.DB.batch(statements);
+}
+
+/**
+ * List a user's stored properties
+ * @param {Object} env - Worker environment
+ * @param {number} userId - User ID
+ * @param {Object} options - List options
+ * @param {boolean} options.includeArchived - Include archived properties
+ * @param {boolean} options.includeRemoved - Include removed properties
+ * @returns {Promise<Array>} Properties, favorites first
+ */
+export async function listUserProperties(env, userId, { includeArchived = true, includeRemoved = false } = {}) {
+    const conditions = ['user_id = ?'];
+    if (!includeArchived) conditions.push('archived_at IS NULL');
+    if (!includeRemoved) conditions.push('removed_at IS NULL');
+
+    const { results = [] } = await env.DB.prepare(
+        `SELECT * FROM user_properties
+         WHERE ${conditions.join(' AND ')}
+         ORDER BY is_favorite DESC, COALESCE(display_name, site_url)`
+    ).bind(userId).all();
+
+    return results.map(formatProperty);
+}
+
+/**
+ * Shape a user_properties row for API responses
+ * @param {Object} row - user_properties row
+ * @returns {Object} Property
+ */
+function formatProperty(row) {
+    return {
+        id: row.id,
+        siteUrl: row.site_url,
+        displayName: row.display_name || row.site_url,
+        permissionLevel: row.permission_level,
+        verified: row.verified === 1,
+        favorite: row.is_favorite === 1,
+        archived: !!row.archived_at,
+        removed: !!row.removed_at,
+        addedAt: row.added_at,
+        lastSyncedAt: row.last_synced_at
+    };
+}
+
+// Helper function to load a property owned by the current user
+async function findOwnedProperty(request, env) {
+    const propertyId = parseInt(request.params.id, 10);
+
+    if (!Number.isInteger(propertyId)) {
+        throw new ValidationError('Invalid property id');
+    }
+
+    const row = await env.DB.prepare(
+        'SELECT * FROM user_properties WHERE id = ? AND user_id = ?'
+    ).bind(propertyId, request.user.user_id).first();
+
+    if (!row) {
+        throw new NotFoundError('Property not found', { id: propertyId });
+    }
+
+    return row;
+}
+
+// Rename, favorite, archive or restore a property
+export const updateProperty = withErrorHandling(async (request, env) => {
+    const headers = createCorsHeaders(env.FRONTEND_URL);
+    const row = await findOwnedProperty(request, env);
+    const body = await request.json();
+
+    const updates = [];
+    const bindings = [];
+
+    if (body.displayName !== undefined) {
+        if (body.displayName !== null && typeof body.displayName !== 'string') {
+            throw new ValidationError('displayName must be a string or null');
+        }
+        updates.push('display_name = ?');
+        bindings.push(body.displayName ? body.displayName.trim() : null);
+    }
+
+    if (body.favorite !== undefined) {
+        if (typeof body.favorite !== 'boolean') {
+            throw new ValidationError('favorite must be a boolean');
+        }
+        updates.push('is_favorite = ?');
+        bindings.push(body.favorite ? 1 : 0);
+    }
+
+    if (body.archived !== undefined) {
+        if (typeof body.archived !== 'boolean') {
+            throw new ValidationError('archived must be a boolean');
+        }
+        updates.push('archived_at = ?');
+        bindings.push(body.archived ? (row.archived_at || new Date().toISOString()) : null);
+    }
+
+    // Removal is done with DELETE; PATCH can only undo it
+    if (body.removed !== undefined) {
+        if (body.removed !== false) {
+            throw new ValidationError('Use DELETE to remove a property');
+        }
+        updates.push('removed_at = NULL');
+    }
+
+    if (updates.length === 0) {
+        throw new ValidationError('No updatable fields provided', {
+            allowed: ['displayName', 'favorite', 'archived', 'removed']
+        });
+    }
+
+    const updated = await env.DB.prepare(
+        `UPDATE user_properties SET ${updates.join(', ')} WHERE id = ? RETURNING *`
+    ).bind(...bindings, row.id).first();
+
+    return new Response(JSON.stringify({
+        success: true,
+        property: formatProperty(updated)
+    }), { headers });
+});
+
+// Remove a property from the user's list; later syncs keep it removed
+export const removeProperty = withErrorHandling(async (request, env) => {
+    const headers = createCorsHeaders(env.FRONTEND_URL);
+    const row = await findOwnedProperty(request, env);
+
+    await env.DB.prepare(
+        'UPDATE user_properties SET removed_at = ? WHERE id = ?'
+    ).bind(new Date().toISOString(), row.id).run();
+
+    return new Response(JSON.stringify({
+        success: true,
+        message: 'Property removed'
+    }), { headers });
+});
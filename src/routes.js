@@ -0,0 +1,224 @@
+// Route table: one entry per endpoint
+import { Router } from 'itty-router';
+
+import {
+    handleLogin,
+    handleCallback,
+    handleGoogleAuth,
+    handleGSCTokenRefresh,
+    handleRegister,
+    handleSessionRefresh,
+    handleLogout,
+    handleLogoutAll,
+    handleSwitchOrganization,
+    handleVerifyEmailRequest,
+    handleVerifyEmailConfirm,
+    handlePasswordResetRequest,
+    handlePasswordResetConfirm
+} from './auth.js';
+import {
+    fetchGSCData,
+    getProperties,
+    getTopPages,
+    getTrends,
+    compareGSCData,
+    getKeywords,
+    getBrandTerms,
+    updateBrandTerms,
+    getExportJobStatus,
+    getExportJobRows,
+    getSitemaps,
+    submitSitemap,
+    inspectUrl
+} from './gsc.js';
+import { generateInsights, generatePageInsights, getInsightsHistory, getInsightById } from './insights.js';
+import { getCredits, useCredits, getCreditHistory, getCreditSummary } from './credits.js';
+import { updateProperty, removeProperty } from './properties.js';
+import {
+    createOrg,
+    listOrgs,
+    getOrg,
+    deleteOrg,
+    updateMember,
+    removeOrgMember,
+    inviteMember,
+    listInvitations,
+    revokeInvitation,
+    acceptOrgInvitation,
+    listOrgProperties,
+    shareOrgProperty,
+    unshareOrgProperty
+} from './organizations.js';
+import { createKey, listKeys, revokeKey } from './apiKeys.js';
+import { getCatalog, startCheckout, getSubscription, getPlan, handlePaymentWebhook } from './billing.js';
+import { getMigrations, runMigrations, reencryptTokens, updateUserPlan } from './admin.js';
+import {
+    credentialsSchema,
+    registerSchema,
+    emailSchema,
+    emailTokenSchema,
+    passwordResetSchema,
+    switchOrganizationSchema,
+    organizationSchema,
+    invitationSchema,
+    memberRoleSchema,
+    sharePropertySchema,
+    apiKeySchema,
+    creditUseSchema,
+    checkoutSchema,
+    planSchema,
+    compareSchema
+} from './utils/validation.js';
+import { handleError } from './utils/errors.js';
+import {
+    withRequestId,
+    handlePreflight,
+    requireConfiguration,
+    rateLimitClient,
+    requireSchema,
+    requireAdmin,
+    authenticate,
+    requireSitePermission,
+    rateLimit,
+    validateBody,
+    finalizeResponse
+} from './utils/middleware.js';
+
+// Root path for health check
+function healthCheck() {
+    return new Response(JSON.stringify({
+        status: 'ok',
+        message: 'API server is running',
+        version: '1.0.0'
+    }), {
+        headers: { 'Content-Type': 'application/json' }
+    });
+}
+
+/**
+ * Route definitions.
+ * auth: true (default) requires a JWT, 'optional' attaches the user when present, false skips auth,
+ *   'admin' requires the ADMIN_TOKEN secret.
+ * rateLimit: [limit, windowSeconds, burst] token bucket for this endpoint, per user, API key or (for
+ *   anonymous requests) IP; burst defaults to limit. Signed-in users get it times their plan's
+ *   rateLimitMultiplier. Every route is also limited globally and per caller (see rateLimit).
+ * validate: Zod schema for the JSON body.
+ * scope: API key scope that grants access; API keys are refused on routes without one.
+ * permission: role permission needed when the request's siteUrl is shared with the active
+ *   organization; sets request.site (see requireSitePermission).
+ */
+export const routes = [
+    { method: 'GET', path: '/', handler: healthCheck, auth: false },
+
+    // Authentication
+    { method: 'POST', path: '/auth/register', handler: handleRegister, auth: false, rateLimit: [10, 60], validate: registerSchema },
+    { method: 'POST', path: '/auth/login', handler: handleLogin, auth: false, rateLimit: [10, 60], validate: credentialsSchema },
+    { method: 'POST', path: '/auth/google', handler: handleGoogleAuth, rateLimit: [10, 60] },
+    { method: 'POST', path: '/auth/callback', handler: handleCallback, auth: 'optional' },
+    { method: 'POST', path: '/auth/refresh', handler: handleSessionRefresh, auth: false, rateLimit: [30, 60] },
+    { method: 'POST', path: '/auth/logout', handler: handleLogout },
+    { method: 'POST', path: '/auth/logout-all', handler: handleLogoutAll },
+    { method: 'POST', path: '/auth/switch-org', handler: handleSwitchOrganization, validate: switchOrganizationSchema },
+    { method: 'POST', path: '/auth/verify-email/request', handler: handleVerifyEmailRequest, rateLimit: [3, 60] },
+    { method: 'POST', path: '/auth/verify-email/confirm', handler: handleVerifyEmailConfirm, auth: false, rateLimit: [10, 60], validate: emailTokenSchema },
+    { method: 'POST', path: '/auth/password-reset/request', handler: handlePasswordResetRequest, auth: false, rateLimit: [5, 60], validate: emailSchema },
+    { method: 'POST', path: '/auth/password-reset/confirm', handler: handlePasswordResetConfirm, auth: false, rateLimit: [10, 60], validate: passwordResetSchema },
+
+    // Google Search Console
+    { method: 'POST', path: '/gsc/token/refresh', handler: handleGSCTokenRefresh },
+    { method: 'GET', path: '/gsc/properties', handler: getProperties, scope: 'read:gsc' },
+    { method: 'PATCH', path: '/gsc/properties/:id', handler: updateProperty, scope: 'write:gsc' },
+    { method: 'DELETE', path: '/gsc/properties/:id', handler: removeProperty, scope: 'write:gsc' },
+    { method: 'POST', path: '/gsc/data', handler: fetchGSCData, permission: 'gsc:read', scope: 'read:gsc' },
+    { method: 'GET', path: '/gsc/jobs/:id', handler: getExportJobStatus, scope: 'read:gsc' },
+    { method: 'GET', path: '/gsc/jobs/:id/rows', handler: getExportJobRows, scope: 'read:gsc' },
+    { method: 'GET', path: '/gsc/sitemaps', handler: getSitemaps, permission: 'gsc:read', scope: 'read:gsc' },
+    { method: 'POST', path: '/gsc/sitemaps', handler: submitSitemap, permission: 'site:manage', scope: 'write:gsc' },
+    { method: 'POST', path: '/gsc/inspect', handler: inspectUrl, permission: 'gsc:inspect', scope: 'write:gsc' },
+    { method: 'GET', path: '/gsc/keywords', handler: getKeywords, permission: 'gsc:read', scope: 'read:gsc' },
+    { method: 'GET', path: '/gsc/brand-terms', handler: getBrandTerms, permission: 'gsc:read', scope: 'read:gsc' },
+    { method: 'PUT', path: '/gsc/brand-terms', handler: updateBrandTerms, permission: 'site:manage', scope: 'write:gsc' },
+    { method: 'POST', path: '/gsc/compare', handler: compareGSCData, permission: 'gsc:read', scope: 'read:gsc', validate: compareSchema },
+    { method: 'GET', path: '/gsc/trends', handler: getTrends, permission: 'gsc:read', scope: 'read:gsc' },
+    { method: 'GET', path: '/gsc/top-pages', handler: getTopPages, permission: 'gsc:read', scope: 'read:gsc' },
+
+    // Insights
+    { method: 'POST', path: '/insights/generate', handler: generateInsights, rateLimit: [10, 60], permission: 'insights:generate', scope: 'write:insights' },
+    { method: 'POST', path: '/insights/page/:url', handler: generatePageInsights, rateLimit: [10, 60], permission: 'insights:generate', scope: 'write:insights' },
+    { method: 'GET', path: '/insights/history', handler: getInsightsHistory, permission: 'insights:read', scope: 'read:insights' },
+    { method: 'GET', path: '/insights/:id', handler: getInsightById, scope: 'read:insights' },
+
+    // Organizations
+    { method: 'POST', path: '/orgs', handler: createOrg, validate: organizationSchema },
+    { method: 'GET', path: '/orgs', handler: listOrgs },
+    { method: 'POST', path: '/orgs/invitations/accept', handler: acceptOrgInvitation, rateLimit: [10, 60], validate: emailTokenSchema },
+    { method: 'GET', path: '/orgs/:id', handler: getOrg },
+    { method: 'DELETE', path: '/orgs/:id', handler: deleteOrg },
+    { method: 'PATCH', path: '/orgs/:id/members/:userId', handler: updateMember, validate: memberRoleSchema },
+    { method: 'DELETE', path: '/orgs/:id/members/:userId', handler: removeOrgMember },
+    { method: 'GET', path: '/orgs/:id/invitations', handler: listInvitations },
+    { method: 'POST', path: '/orgs/:id/invitations', handler: inviteMember, rateLimit: [20, 60], validate: invitationSchema },
+    { method: 'DELETE', path: '/orgs/:id/invitations/:invitationId', handler: revokeInvitation },
+    { method: 'GET', path: '/orgs/:id/properties', handler: listOrgProperties },
+    { method: 'POST', path: '/orgs/:id/properties', handler: shareOrgProperty, validate: sharePropertySchema },
+    { method: 'DELETE', path: '/orgs/:id/properties/:propertyId', handler: unshareOrgProperty },
+
+    // API keys (browser sessions only)
+    { method: 'POST', path: '/api-keys', handler: createKey, rateLimit: [10, 60], validate: apiKeySchema },
+    { method: 'GET', path: '/api-keys', handler: listKeys },
+    { method: 'DELETE', path: '/api-keys/:id', handler: revokeKey },
+
+    // Credits
+    { method: 'GET', path: '/credits', handler: getCredits, scope: 'read:credits' },
+    { method: 'GET', path: '/credits/history', handler: getCreditHistory, scope: 'read:credits' },
+    { method: 'GET', path: '/credits/summary', handler: getCreditSummary, scope: 'read:credits' },
+    { method: 'POST', path: '/credits/use', handler: useCredits, validate: creditUseSchema },
+
+    // Billing
+    { method: 'GET', path: '/billing/catalog', handler: getCatalog, auth: false },
+    { method: 'POST', path: '/billing/checkout', handler: startCheckout, rateLimit: [10, 60], validate: checkoutSchema },
+    { method: 'GET', path: '/billing/subscription', handler: getSubscription, scope: 'read:credits' },
+    { method: 'GET', path: '/billing/plan', handler: getPlan, scope: 'read:credits' },
+    { method: 'POST', path: '/billing/webhook', handler: handlePaymentWebhook, auth: false },
+
+    // Admin
+    { method: 'GET', path: '/admin/migrations', handler: getMigrations, auth: 'admin' },
+    { method: 'POST', path: '/admin/migrations/apply', handler: runMigrations, auth: 'admin' },
+    { method: 'POST', path: '/admin/tokens/reencrypt', handler: reencryptTokens, auth: 'admin' },
+    { method: 'POST', path: '/admin/users/:id/plan', handler: updateUserPlan, auth: 'admin', validate: planSchema }
+];
+
+/**
+ * Build the middleware chain for a route
+ * @param {Object} route - Route definition
+ * @returns {Function[]} Middleware followed by the handler
+ */
+function buildChain(route) {
+    const chain = [];
+
+    if (route.auth === 'admin') {
+        chain.push(requireAdmin);
+    } else if (route.auth !== false) {
+        chain.push(authenticate({ optional: route.auth === 'optional', scope: route.scope }));
+    }
+    chain.push(rateLimit(`${route.method}:${route.path}`, route.rateLimit));
+    if (route.validate) {
+        chain.push(validateBody(route.validate));
+    }
+    if (route.permission) {
+        chain.push(requireSitePermission(route.permission));
+    }
+    chain.push(route.handler);
+
+    return chain;
+}
+
+export const router = Router({
+    before: [withRequestId, requireConfiguration, rateLimitClient, handlePreflight, requireSchema],
+    catch: handleError,
+    finally: [finalizeResponse]
+});
+
+for (const route of routes) {
+    router[route.method.toLowerCase()](route.path, ...buildChain(route));
+}
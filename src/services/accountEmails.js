@@ -0,0 +1,150 @@
+/**
+ * Email verification and password reset.
+ *
+ * Both flows mail the user a random token; AUTH_STORE keeps only its hash
+ * (email_token:<purpose>:<sha256>) until it expires or is used once.
+ * Reset tokens also remember a hash of the password they were issued against,
+ * so every outstanding reset link dies once the password changes.
+ */
+import { ValidationError } from '../utils/errors.js';
+import { sha256Hex, randomBytes, toHex } from '../utils/crypto.js';
+import { hashPassword } from '../utils/password.js';
+import { revokeAllSessions } from './sessions.js';
+import { sendMail } from './mailer.js';
+
+export const VERIFY_EMAIL_TTL = 24 * 60 * 60;
+export const PASSWORD_RESET_TTL = 60 * 60;
+
+async function tokenKey(purpose, token) {
+    return `email_token:${purpose}:${await sha256Hex(token)}`;
+}
+
+async function issueToken(env, purpose, data, ttl) {
+    const token = toHex(randomBytes(32));
+    await env.AUTH_STORE.put(await tokenKey(purpose, token), JSON.stringify({
+        ...data,
+        createdAt: new Date().toISOString()
+    }), { expirationTtl: ttl });
+    return token;
+}
+
+// Helper function to read and delete a token; KV has no compare-and-delete, so single use is best effort
+async function consumeToken(env, purpose, token) {
+    if (typeof token !== 'string' || !token) {
+        return null;
+    }
+
+    const key = await tokenKey(purpose, token);
+    const data = await env.AUTH_STORE.get(key, 'json');
+    if (data) {
+        await env.AUTH_STORE.delete(key);
+    }
+    return data;
+}
+
+function buildLink(env, path, token) {
+    return `${env.FRONTEND_URL}${path}?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Mail a user a link to verify their email address
+ * @param {Object} env - Worker environment
+ * @param {Object} user - User row with id and email
+ * @returns {Promise<void>}
+ */
+export async function sendVerificationEmail(env, user) {
+    const token = await issueToken(env, 'verify', { userId: user.id, email: user.email }, VERIFY_EMAIL_TTL);
+
+    await sendMail(env, {
+        to: user.email,
+        subject: 'Verify your email address',
+        text: `Confirm your email address by opening this link within 24 hours:\n\n${buildLink(env, '/verify-email', token)}\n`
+    });
+}
+
+/**
+ * Mark an email address verified with a token from sendVerificationEmail
+ * @param {Object} env - Worker environment
+ * @param {string} token - Token from the verification link
+ * @returns {Promise<Object>} { userId, email }
+ * @throws {ValidationError} If the token is unknown, expired or used
+ */
+export async function confirmEmailVerification(env, token) {
+    const data = await consumeToken(env, 'verify', token);
+    if (!data) {
+        throw new ValidationError('Verification link is invalid or has expired');
+    }
+
+    // The address may have changed since the link was sent
+    const result = await env.DB.prepare(
+        'UPDATE users SET email_verified = 1, email_verified_at = datetime() WHERE id = ? AND email = ?'
+    ).bind(data.userId, data.email).run();
+
+    if (!result.meta.changes) {
+        throw new ValidationError('Verification link is invalid or has expired');
+    }
+
+    return { userId: data.userId, email: data.email };
+}
+
+/**
+ * Mail a password reset link if the address belongs to a user. Callers must
+ * answer the same way either way so the endpoint doesn't reveal accounts.
+ * @param {Object} env - Worker environment
+ * @param {string} email - Email address
+ * @returns {Promise<boolean>} Whether a link was sent
+ */
+export async function sendPasswordResetEmail(env, email) {
+    const user = await env.DB.prepare(
+        'SELECT id, email, password_hash FROM users WHERE email = ?'
+    ).bind(email).first();
+
+    if (!user) {
+        return false;
+    }
+
+    const token = await issueToken(env, 'reset', {
+        userId: user.id,
+        passwordHash: await sha256Hex(user.password_hash)
+    }, PASSWORD_RESET_TTL);
+
+    await sendMail(env, {
+        to: user.email,
+        subject: 'Reset your password',
+        text: `Someone asked to reset the password for this account. If it was you, open this link within an hour:\n\n${buildLink(env, '/reset-password', token)}\n\nOtherwise you can ignore this email.`
+    });
+
+    return true;
+}
+
+/**
+ * Set a new password with a token from sendPasswordResetEmail. Signs out
+ * every session and, since the user proved they read the inbox, verifies the email.
+ * @param {Object} env - Worker environment
+ * @param {string} token - Token from the reset link
+ * @param {string} password - New password
+ * @returns {Promise<number>} User ID
+ * @throws {ValidationError} If the token is unknown, expired, used or stale
+ */
+export async function resetPassword(env, token, password) {
+    const data = await consumeToken(env, 'reset', token);
+    const user = data && await env.DB.prepare(
+        'SELECT id, password_hash FROM users WHERE id = ?'
+    ).bind(data.userId).first();
+
+    if (!user || await sha256Hex(user.password_hash) !== data.passwordHash) {
+        throw new ValidationError('Reset link is invalid or has expired');
+    }
+
+    await env.DB.prepare(
+        `UPDATE users
+         SET password_hash = ?,
+             email_verified = 1,
+             email_verified_at = COALESCE(email_verified_at, datetime())
+         WHERE id = ?`
+    ).bind(await hashPassword(password), user.id).run();
+
+    await revokeAllSessions(env, user.id);
+
+    return user.id;
+}
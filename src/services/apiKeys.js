@@ -0,0 +1,180 @@
+/**
+ * Personal API keys for scripts and integrations.
+ *
+ * Keys look like ak_<keyId>_<secret>. The key id is stored in clear to find
+ * the row; the whole key is only kept as a SHA-256 hash and is shown once, at
+ * creation. A key acts as its user (in the organization that was active when
+ * it was created) but only on routes that declare one of its scopes.
+ */
+import { AuthError, ValidationError, NotFoundError } from '../utils/errors.js';
+import { sha256Hex, randomBytes, toHex, toBase64Url, timingSafeEqual } from '../utils/crypto.js';
+
+export const API_KEY_PREFIX = 'ak_';
+
+export const API_KEY_SCOPES = {
+    'read:gsc': 'Read Search Console properties, data, trends, keywords, sitemaps and exports',
+    'write:gsc': 'Submit sitemaps, edit brand terms and stored properties, run URL inspections',
+    'read:insights': 'Read stored insights',
+    'write:insights': 'Generate insights (spends credits)',
+    'read:credits': 'Read the credit balance, history, spend summary, subscription and plan'
+};
+
+export const MAX_API_KEYS_PER_USER = 20;
+
+// last_used_at is written at most this often per key
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Whether a bearer token is an API key rather than a JWT
+ * @param {string} token - Bearer token
+ * @returns {boolean}
+ */
+export function isApiKey(token) {
+    return typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+}
+
+function parseApiKey(key) {
+    const match = /^ak_([0-9a-f]{16})_([A-Za-z0-9_-]{32,})$/.exec(key);
+    return match ? { keyId: match[1] } : null;
+}
+
+/**
+ * Shape an api_keys row for API responses; never includes the key or its hash
+ * @param {Object} row - api_keys row
+ * @returns {Object} API key
+ */
+function formatApiKey(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        prefix: `${API_KEY_PREFIX}${row.key_id}`,
+        scopes: JSON.parse(row.scopes),
+        orgId: row.org_id,
+        createdAt: row.created_at,
+        expiresAt: row.expires_at,
+        lastUsedAt: row.last_used_at,
+        lastUsedIp: row.last_used_ip,
+        revoked: !!row.revoked_at
+    };
+}
+
+/**
+ * Create an API key
+ * @param {Object} env - Worker environment
+ * @param {number} userId - Owning user
+ * @param {Object} options - Key options
+ * @param {string} options.name - Label shown in the key list
+ * @param {string[]} options.scopes - Keys of API_KEY_SCOPES
+ * @param {number|null} options.orgId - Organization the key acts in
+ * @param {number} [options.expiresInDays] - Lifetime; keys without one never expire
+ * @returns {Promise<Object>} { key, apiKey } where key is the only copy of the secret
+ */
+export async function createApiKey(env, userId, { name, scopes, orgId = null, expiresInDays }) {
+    const { active } = await env.DB.prepare(
+        'SELECT COUNT(*) AS active FROM api_keys WHERE user_id = ? AND revoked_at IS NULL'
+    ).bind(userId).first();
+
+    if (active >= MAX_API_KEYS_PER_USER) {
+        throw new ValidationError(`You can have at most ${MAX_API_KEYS_PER_USER} active API keys; revoke one first`);
+    }
+
+    const keyId = toHex(randomBytes(8));
+    const key = `${API_KEY_PREFIX}${keyId}_${toBase64Url(randomBytes(32))}`;
+    const now = new Date();
+    const expiresAt = expiresInDays
+        ? new Date(now.getTime() + expiresInDays * 24 * 60 * 60 * 1000).toISOString()
+        : null;
+
+    const row = await env.DB.prepare(
+        `INSERT INTO api_keys (key_id, key_hash, user_id, org_id, name, scopes, created_at, expires_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+         RETURNING *`
+    ).bind(keyId, await sha256Hex(key), userId, orgId, name, JSON.stringify([...new Set(scopes)]), now.toISOString(), expiresAt).first();
+
+    return { key, apiKey: formatApiKey(row) };
+}
+
+/**
+ * List a user's API keys, newest first
+ * @param {Object} env - Worker environment
+ * @param {number} userId - User ID
+ * @returns {Promise<Array>} API keys without secrets
+ */
+export async function listApiKeys(env, userId) {
+    const { results = [] } = await env.DB.prepare(
+        'SELECT * FROM api_keys WHERE user_id = ? ORDER BY id DESC'
+    ).bind(userId).all();
+
+    return results.map(formatApiKey);
+}
+
+/**
+ * Revoke one of a user's API keys; it stops working immediately
+ * @param {Object} env - Worker environment
+ * @param {number} userId - User ID
+ * @param {number} id - API key id
+ * @returns {Promise<void>}
+ */
+export async function revokeApiKey(env, userId, id) {
+    const result = await env.DB.prepare(
+        'UPDATE api_keys SET revoked_at = ? WHERE id = ? AND user_id = ? AND revoked_at IS NULL'
+    ).bind(new Date().toISOString(), id, userId).run();
+
+    if (!result.meta.changes) {
+        throw new NotFoundError('API key not found', { id });
+    }
+}
+
+/**
+ * Check an API key and build the request user from it
+ * @param {Object} env - Worker environment
+ * @param {string} key - Presented API key
+ * @returns {Promise<Object>} { user_id, email, org_id, org_role, api_key_id, scopes }
+ * @throws {AuthError} If the key is unknown, revoked or expired
+ */
+export async function verifyApiKey(env, key) {
+    const parsed = parseApiKey(key);
+    const row = parsed && await env.DB.prepare(
+        `SELECT k.id, k.key_hash, k.user_id, k.org_id, k.scopes, k.expires_at, k.revoked_at, k.last_used_at, u.email
+         FROM api_keys k JOIN users u ON u.id = k.user_id
+         WHERE k.key_id = ?`
+    ).bind(parsed.keyId).first();
+
+    if (!row || !timingSafeEqual(await sha256Hex(key), row.key_hash)) {
+        throw new AuthError('Invalid API key');
+    }
+    if (row.revoked_at) {
+        throw new AuthError('API key has been revoked');
+    }
+    if (row.expires_at && row.expires_at <= new Date().toISOString()) {
+        throw new AuthError('API key has expired');
+    }
+
+    return {
+        user_id: row.user_id,
+        email: row.email,
+        org_id: row.org_id,
+        org_role: null,
+        api_key_id: row.id,
+        scopes: JSON.parse(row.scopes),
+        last_used_at: row.last_used_at
+    };
+}
+
+/**
+ * Record that a key was used, at most once a minute per key
+ * @param {Object} env - Worker environment
+ * @param {Object} keyUser - Result of verifyApiKey
+ * @param {string|null} ip - Client IP
+ * @returns {Promise<void>}
+ */
+export async function recordApiKeyUse(env, keyUser, ip) {
+    const now = Date.now();
+    if (keyUser.last_used_at && now - Date.parse(keyUser.last_used_at) < LAST_USED_RESOLUTION_MS) {
+        return;
+    }
+
+    await env.DB.prepare(
+        'UPDATE api_keys SET last_used_at = ?, last_used_ip = ? WHERE id = ?'
+    ).bind(new Date(now).toISOString(), ip, keyUser.api_key_id).run();
+}
@@ -0,0 +1,192 @@
+/**
+ * Credit purchases: checkout orders and the webhook events that pay for them.
+ *
+ * A checkout creates a pending credit_orders row and a provider checkout
+ * session. Credits are only granted from signed webhooks: a paid pack order
+ * grants its credits once (ledger reference order:<id>), and every paid
+ * subscription invoice grants the plan's monthly credits once (reference
+ * invoice:<provider>:<invoiceId>). Providers retry webhooks, so every step
+ * here may run more than once.
+ */
+import { ValidationError, NotFoundError } from '../utils/errors.js';
+import { getProduct } from './creditCatalog.js';
+import { getPaymentProvider } from './payments.js';
+import { grantCredits } from './credits.js';
+import { syncPlanWithSubscriptions } from './entitlements.js';
+
+/**
+ * The user's active subscription, if any
+ * @param {Object} env - Worker environment
+ * @param {number} userId - User ID
+ * @returns {Promise<Object|null>} { planId, status, currentPeriodEnd, createdAt }
+ */
+export async function getActiveSubscription(env, userId) {
+    const row = await env.DB.prepare(
+        `SELECT plan_id, status, current_period_end, created_at FROM subscriptions
+         WHERE user_id = ? AND status = 'active'
+         ORDER BY created_at DESC LIMIT 1`
+    ).bind(userId).first();
+
+    return row ? {
+        planId: row.plan_id,
+        status: row.status,
+        currentPeriodEnd: row.current_period_end,
+        createdAt: row.created_at
+    } : null;
+}
+
+/**
+ * Start a checkout for a credit pack or subscription plan
+ * @param {Object} env - Worker environment
+ * @param {Object} user - User row with id and email
+ * @param {string} productId - Catalogue product id
+ * @returns {Promise<Object>} { orderId, checkoutUrl }
+ * @throws {ValidationError} If the product is unknown or the user already subscribes
+ */
+export async function createCheckout(env, user, productId) {
+    const product = getProduct(productId);
+    if (!product) {
+        throw new ValidationError('Unknown product', { productId });
+    }
+    if (product.kind === 'subscription' && await getActiveSubscription(env, user.id)) {
+        throw new ValidationError('You already have an active subscription');
+    }
+
+    const provider = getPaymentProvider(env);
+    const order = {
+        id: crypto.randomUUID(),
+        userId: user.id,
+        productId: product.id
+    };
+
+    await env.DB.prepare(
+        `INSERT INTO credit_orders (id, user_id, product_id, kind, credits, amount_cents, currency, provider, status, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?)`
+    ).bind(order.id, user.id, product.id, product.kind, product.credits, product.amountCents, product.currency, provider.name, new Date().toISOString()).run();
+
+    const returnUrl = `${env.FRONTEND_URL}/billing?order=${encodeURIComponent(order.id)}`;
+    const session = await provider.createCheckoutSession({
+        order,
+        product,
+        user,
+        successUrl: `${returnUrl}&checkout=success`,
+        cancelUrl: `${returnUrl}&checkout=canceled`
+    });
+
+    await env.DB.prepare(
+        'UPDATE credit_orders SET checkout_id = ? WHERE id = ?'
+    ).bind(session.id, order.id).run();
+
+    return { orderId: order.id, checkoutUrl: session.url };
+}
+
+// Helper function to load an order created through the given provider
+async function getOrder(env, providerName, orderId) {
+    const order = orderId && await env.DB.prepare(
+        'SELECT * FROM credit_orders WHERE id = ? AND provider = ?'
+    ).bind(orderId, providerName).first();
+
+    if (!order) {
+        throw new NotFoundError('Order not found', { orderId });
+    }
+    return order;
+}
+
+// Helper function to record or refresh the subscription an order started, and put the user on its plan
+async function upsertSubscription(env, providerName, order, subscriptionId, periodEnd = null) {
+    await env.DB.prepare(
+        `INSERT INTO subscriptions (user_id, plan_id, provider, provider_subscription_id, order_id, status, current_period_end, created_at)
+         VALUES (?, ?, ?, ?, ?, 'active', ?, ?)
+         ON CONFLICT (provider, provider_subscription_id) DO UPDATE SET
+           current_period_end = COALESCE(excluded.current_period_end, current_period_end)`
+    ).bind(order.user_id, order.product_id, providerName, subscriptionId, order.id, periodEnd, new Date().toISOString()).run();
+
+    await syncPlanWithSubscriptions(env, order.user_id);
+}
+
+async function handleCheckoutCompleted(env, providerName, event) {
+    const order = await getOrder(env, providerName, event.orderId);
+
+    await env.DB.prepare(
+        `UPDATE credit_orders SET status = 'paid', paid_at = ?, checkout_id = COALESCE(?, checkout_id)
+         WHERE id = ? AND status = 'pending'`
+    ).bind(new Date().toISOString(), event.checkoutId || null, order.id).run();
+
+    if (order.kind === 'pack') {
+        await grantCredits(env, order.user_id, order.credits, 'purchase', { reference: `order:${order.id}` });
+    } else if (event.subscriptionId) {
+        // Subscription credits come with each paid invoice
+        await upsertSubscription(env, providerName, order, event.subscriptionId);
+    }
+}
+
+async function handleInvoicePaid(env, providerName, event) {
+    // The invoice may arrive before the checkout event, so find the order either way
+    let order;
+    if (event.orderId) {
+        order = await getOrder(env, providerName, event.orderId);
+    } else {
+        const subscription = await env.DB.prepare(
+            'SELECT order_id FROM subscriptions WHERE provider = ? AND provider_subscription_id = ?'
+        ).bind(providerName, event.subscriptionId).first();
+        order = await getOrder(env, providerName, subscription?.order_id);
+    }
+
+    // Renewals grant what the plan included when the user subscribed
+    await upsertSubscription(env, providerName, order, event.subscriptionId, event.periodEnd || null);
+    await grantCredits(env, order.user_id, order.credits, 'subscription', {
+        reference: `invoice:${providerName}:${event.invoiceId}`
+    });
+}
+
+async function handleSubscriptionCanceled(env, providerName, event) {
+    const subscription = await env.DB.prepare(
+        `UPDATE subscriptions SET status = 'canceled', canceled_at = ?
+         WHERE provider = ? AND provider_subscription_id = ? AND status = 'active'
+         RETURNING user_id`
+    ).bind(new Date().toISOString(), providerName, event.subscriptionId).first();
+
+    if (subscription) {
+        await syncPlanWithSubscriptions(env, subscription.user_id);
+    }
+}
+
+const eventHandlers = {
+    'checkout.completed': handleCheckoutCompleted,
+    'invoice.paid': handleInvoicePaid,
+    'subscription.canceled': handleSubscriptionCanceled
+};
+
+/**
+ * Verify and apply a payment webhook from the configured provider. Events
+ * already processed are acknowledged without doing anything.
+ * @param {Object} env - Worker environment
+ * @param {Request} request - Webhook request
+ * @returns {Promise<Object>} { eventId, type, duplicate }
+ * @throws {AuthError} If the signature doesn't verify
+ */
+export async function processPaymentWebhook(env, request) {
+    const provider = getPaymentProvider(env);
+    const event = await provider.parseWebhook(request, await request.text());
+
+    const seen = await env.DB.prepare(
+        'SELECT 1 FROM payment_events WHERE provider = ? AND event_id = ?'
+    ).bind(provider.name, event.id).first();
+
+    if (seen) {
+        return { eventId: event.id, type: event.type, duplicate: true };
+    }
+
+    const handler = eventHandlers[event.type];
+    if (handler) {
+        await handler(env, provider.name, event);
+    }
+
+    // Recorded only once handled, so a failed event is processed again on the provider's retry
+    await env.DB.prepare(
+        `INSERT INTO payment_events (provider, event_id, type, received_at) VALUES (?, ?, ?, ?)
+         ON CONFLICT DO NOTHING`
+    ).bind(provider.name, event.id, event.type, new Date().toISOString()).run();
+
+    return { eventId: event.id, type: event.type, duplicate: false };
+}
@@ -0,0 +1,34 @@
+/**
+ * What users can buy: one-off credit packs and monthly subscription plans.
+ * Prices are in the smallest currency unit and are sent to the payment
+ * provider with each checkout, so changing them here needs no provider setup.
+ */
+
+export const CREDIT_PACKS = [
+    { id: 'pack_10', name: '10 credits', credits: 10, amountCents: 500, currency: 'usd' },
+    { id: 'pack_50', name: '50 credits', credits: 50, amountCents: 2000, currency: 'usd' },
+    { id: 'pack_200', name: '200 credits', credits: 200, amountCents: 6000, currency: 'usd' }
+];
+
+// Subscriptions grant their credits again on every paid monthly invoice
+export const SUBSCRIPTION_PLANS = [
+    { id: 'pro', name: 'Pro', credits: 100, amountCents: 1900, currency: 'usd', interval: 'month' },
+    { id: 'agency', name: 'Agency', credits: 500, amountCents: 7900, currency: 'usd', interval: 'month' }
+];
+
+export const PRODUCT_IDS = [...CREDIT_PACKS, ...SUBSCRIPTION_PLANS].map(product => product.id);
+
+/**
+ * Look up a pack or plan
+ * @param {string} productId - Product id from the catalogue
+ * @returns {Object|null} Product with kind 'pack' or 'subscription'
+ */
+export function getProduct(productId) {
+    const pack = CREDIT_PACKS.find(product => product.id === productId);
+    if (pack) {
+        return { ...pack, kind: 'pack' };
+    }
+
+    const plan = SUBSCRIPTION_PLANS.find(product => product.id === productId);
+    return plan ? { ...plan, kind: 'subscription' } : null;
+}
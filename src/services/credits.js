@@ -0,0 +1,332 @@
+/**
+ * Credit balance and ledger.
+ *
+ * users.credits is the balance; credit_logs is a signed ledger of every change
+ * to it (grants and refunds positive, debits negative) with the balance after
+ * each entry. Every balance change and its ledger row are written in one D1
+ * batch, and debits only apply while the balance covers them, so concurrent
+ * requests can't overspend.
+ *
+ * Work that may fail after the user is charged (OpenAI, Google) reserves the
+ * credits first: the debit is taken immediately, then the reservation is
+ * committed on success or released, which refunds it, on failure. Reservations
+ * nobody settles are released by the scheduled task once they expire.
+ */
+import { InsufficientCreditsError, NotFoundError, ValidationError } from '../utils/errors.js';
+
+// Credits every new account starts with
+export const SIGNUP_CREDITS = 5;
+
+// Held reservations older than this are released by releaseExpiredReservations
+export const RESERVATION_TTL_SECONDS = 10 * 60;
+
+const EXPIRED_RESERVATIONS_PER_RUN = 100;
+
+// The run-out projection extrapolates the average spend of this many days
+const PROJECTION_WINDOW_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function assertAmount(amount) {
+    if (!Number.isInteger(amount) || amount <= 0) {
+        throw new ValidationError('Credit amount must be a positive integer', { amount });
+    }
+}
+
+/**
+ * Current credit balance
+ * @param {Object} env - Worker environment
+ * @param {number} userId - User ID
+ * @returns {Promise<number>} Balance
+ * @throws {NotFoundError} If the user doesn't exist
+ */
+export async function getBalance(env, userId) {
+    const user = await env.DB.prepare(
+        'SELECT credits FROM users WHERE id = ?'
+    ).bind(userId).first();
+
+    if (!user) {
+        throw new NotFoundError('User not found');
+    }
+
+    return user.credits;
+}
+
+// Helper function to run a debit batch: take the credits if the balance covers them,
+// write the ledger row and any extra statements only if it did, then read the balance
+async function runDebit(env, userId, amount, entry, extraStatements = []) {
+    const results = await env.DB.batch([
+        env.DB.prepare(
+            'UPDATE users SET credits = credits - ? WHERE id = ? AND credits >= ?'
+        ).bind(amount, userId, amount),
+        env.DB.prepare(
+            `INSERT INTO credit_logs (user_id, amount, entry_type, purpose, reference, reservation_id, balance_after, created_at)
+             SELECT id, ?, 'debit', ?, ?, ?, credits, ? FROM users WHERE id = ? AND changes() > 0`
+        ).bind(-amount, entry.purpose, entry.reference, entry.reservationId, entry.createdAt, userId),
+        ...extraStatements,
+        env.DB.prepare('SELECT credits FROM users WHERE id = ?').bind(userId)
+    ]);
+
+    const balance = results[results.length - 1].results[0]?.credits;
+    if (balance === undefined) {
+        throw new NotFoundError('User not found');
+    }
+    if (!results[0].meta.changes) {
+        throw new InsufficientCreditsError(amount, balance);
+    }
+
+    return balance;
+}
+
+/**
+ * Add credits to a user's balance. A grant with a reference is applied at most
+ * once, so callers such as payment webhooks can safely repeat it.
+ * @param {Object} env - Worker environment
+ * @param {number} userId - User ID
+ * @param {number} amount - Credits to add
+ * @param {string} purpose - Why, e.g. 'signup' or 'purchase'
+ * @param {Object} [options]
+ * @param {string} [options.reference] - External reference such as an order id
+ * @returns {Promise<Object>} { balance, granted }; granted is false when the reference was already granted
+ * @throws {NotFoundError} If the user doesn't exist
+ */
+export async function grantCredits(env, userId, amount, purpose, { reference = null } = {}) {
+    assertAmount(amount);
+
+    // The ledger row goes first so the unique grant reference decides whether the balance moves
+    const results = await env.DB.batch([
+        env.DB.prepare(
+            `INSERT INTO credit_logs (user_id, amount, entry_type, purpose, reference, balance_after, created_at)
+             SELECT id, ?, 'grant', ?, ?, credits + ?, ? FROM users WHERE id = ?
+             ON CONFLICT DO NOTHING`
+        ).bind(amount, purpose, reference, amount, new Date().toISOString(), userId),
+        env.DB.prepare(
+            'UPDATE users SET credits = credits + ? WHERE id = ? AND changes() > 0'
+        ).bind(amount, userId),
+        env.DB.prepare('SELECT credits FROM users WHERE id = ?').bind(userId)
+    ]);
+
+    const user = results[2].results[0];
+    if (!user) {
+        throw new NotFoundError('User not found');
+    }
+
+    return { balance: user.credits, granted: results[0].meta.changes > 0 };
+}
+
+/**
+ * Ledger entry for the signup credits, to run in the same batch right after
+ * the INSERT INTO users that sets credits to SIGNUP_CREDITS
+ * @param {Object} env - Worker environment
+ * @returns {D1PreparedStatement} Statement to batch
+ */
+export function buildSignupGrant(env) {
+    return env.DB.prepare(
+        `INSERT INTO credit_logs (user_id, amount, entry_type, purpose, balance_after, created_at)
+         VALUES (last_insert_rowid(), ?, 'grant', 'signup', ?, ?)`
+    ).bind(SIGNUP_CREDITS, SIGNUP_CREDITS, new Date().toISOString());
+}
+
+/**
+ * Spend credits outright
+ * @param {Object} env - Worker environment
+ * @param {number} userId - User ID
+ * @param {number} amount - Credits to spend
+ * @param {string} purpose - What they were spent on
+ * @param {Object} [options]
+ * @param {string} [options.reference] - What the spend refers to, e.g. a site URL
+ * @returns {Promise<number>} New balance
+ * @throws {InsufficientCreditsError} If the balance doesn't cover the amount
+ */
+export async function debitCredits(env, userId, amount, purpose, { reference = null } = {}) {
+    assertAmount(amount);
+
+    return runDebit(env, userId, amount, {
+        purpose,
+        reference,
+        reservationId: null,
+        createdAt: new Date().toISOString()
+    });
+}
+
+/**
+ * Take credits for work that hasn't happened yet. Settle the reservation with
+ * commitReservation once the work succeeds or releaseReservation if it fails.
+ * @param {Object} env - Worker environment
+ * @param {number} userId - User ID
+ * @param {number} amount - Credits to hold
+ * @param {string} purpose - What they are for
+ * @param {Object} [options]
+ * @param {string} [options.reference] - What the spend refers to, e.g. a site URL
+ * @returns {Promise<Object>} { id, userId, amount, purpose, balance }
+ * @throws {InsufficientCreditsError} If the balance doesn't cover the amount
+ */
+export async function reserveCredits(env, userId, amount, purpose, { reference = null } = {}) {
+    assertAmount(amount);
+
+    const id = crypto.randomUUID();
+    const now = new Date();
+    const createdAt = now.toISOString();
+    const expiresAt = new Date(now.getTime() + RESERVATION_TTL_SECONDS * 1000).toISOString();
+
+    const balance = await runDebit(env, userId, amount, { purpose, reference, reservationId: id, createdAt }, [
+        env.DB.prepare(
+            `INSERT INTO credit_reservations (id, user_id, amount, purpose, reference, status, created_at, expires_at)
+             SELECT ?, ?, ?, ?, ?, 'held', ?, ? WHERE changes() > 0`
+        ).bind(id, userId, amount, purpose, reference, createdAt, expiresAt)
+    ]);
+
+    return { id, userId, amount, purpose, balance };
+}
+
+/**
+ * Keep the credits of a held reservation
+ * @param {Object} env - Worker environment
+ * @param {Object} reservation - Result of reserveCredits
+ * @returns {Promise<boolean>} Whether the reservation was still held
+ */
+export async function commitReservation(env, reservation) {
+    const result = await env.DB.prepare(
+        `UPDATE credit_reservations SET status = 'committed', settled_at = ?
+         WHERE id = ? AND status = 'held'`
+    ).bind(new Date().toISOString(), reservation.id).run();
+
+    reservation.settled = true;
+    return result.meta.changes > 0;
+}
+
+/**
+ * Refund a held reservation. Does nothing once it is committed or released,
+ * so it is safe to call on every path that didn't commit.
+ * @param {Object} env - Worker environment
+ * @param {Object} reservation - Result of reserveCredits
+ * @returns {Promise<boolean>} Whether credits were refunded
+ */
+export async function releaseReservation(env, reservation) {
+    if (reservation.settled) {
+        return false;
+    }
+
+    const now = new Date().toISOString();
+
+    const [released] = await env.DB.batch([
+        env.DB.prepare(
+            `UPDATE credit_reservations SET status = 'released', settled_at = ?
+             WHERE id = ? AND status = 'held'`
+        ).bind(now, reservation.id),
+        env.DB.prepare(
+            `UPDATE users SET credits = credits + (SELECT amount FROM credit_reservations WHERE id = ?)
+             WHERE id = (SELECT user_id FROM credit_reservations WHERE id = ?) AND changes() > 0`
+        ).bind(reservation.id, reservation.id),
+        env.DB.prepare(
+            `INSERT INTO credit_logs (user_id, amount, entry_type, purpose, reference, reservation_id, balance_after, created_at)
+             SELECT r.user_id, r.amount, 'refund', r.purpose, r.reference, r.id, u.credits, ?
+             FROM credit_reservations r JOIN users u ON u.id = r.user_id
+             WHERE r.id = ? AND changes() > 0`
+        ).bind(now, reservation.id)
+    ]);
+
+    reservation.settled = true;
+    return released.meta.changes > 0;
+}
+
+/**
+ * Release reservations whose work never reported back, e.g. because the
+ * isolate was evicted mid-request. Runs from the scheduled handler.
+ * @param {Object} env - Worker environment
+ * @returns {Promise<number>} Number of reservations released
+ */
+export async function releaseExpiredReservations(env) {
+    const { results = [] } = await env.DB.prepare(
+        `SELECT id FROM credit_reservations
+         WHERE status = 'held' AND expires_at <= ?
+         ORDER BY expires_at
+         LIMIT ?`
+    ).bind(new Date().toISOString(), EXPIRED_RESERVATIONS_PER_RUN).all();
+
+    let released = 0;
+    for (const reservation of results) {
+        if (await releaseReservation(env, reservation)) {
+            released++;
+        }
+    }
+
+    return released;
+}
+
+// Helper function to list period keys, oldest first, ending with the one containing now
+function listPeriods(now, count, unit) {
+    const periods = [];
+    for (let i = count - 1; i >= 0; i--) {
+        if (unit === 'month') {
+            const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - i, 1));
+            periods.push(start.toISOString().slice(0, 7));
+        } else {
+            // Weeks start on Monday, matching SQLite's date(x, 'weekday 0', '-6 days')
+            const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+            start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7) - 7 * i);
+            periods.push(start.toISOString().slice(0, 10));
+        }
+    }
+    return periods;
+}
+
+// Helper function to total net spend per period and purpose
+async function spendByPeriod(env, userId, periodExpression, periods) {
+    const { results = [] } = await env.DB.prepare(
+        `SELECT ${periodExpression} AS period, purpose, -SUM(amount) AS spent
+         FROM credit_logs
+         WHERE user_id = ? AND entry_type IN ('debit', 'refund') AND created_at >= ?
+         GROUP BY period, purpose`
+    ).bind(userId, periods[0]).all();
+
+    const totals = new Map(periods.map(period => [period, { period, spent: 0, byPurpose: {} }]));
+    for (const row of results) {
+        const entry = totals.get(row.period);
+        if (entry && row.spent) {
+            entry.spent += row.spent;
+            entry.byPurpose[row.purpose] = row.spent;
+        }
+    }
+    return [...totals.values()];
+}
+
+/**
+ * Net credit spend per feature by week and month, and when the balance will
+ * run out at the recent rate. Refunded reservations don't count as spend.
+ * @param {Object} env - Worker environment
+ * @param {number} userId - User ID
+ * @param {Object} [options]
+ * @param {number} [options.weeks=8] - Weeks to report, including the current one
+ * @param {number} [options.months=6] - Months to report, including the current one
+ * @param {Date} [options.now] - Reference time
+ * @returns {Promise<Object>} { balance, weekly, monthly, projection }
+ */
+export async function getSpendSummary(env, userId, { weeks = 8, months = 6, now = new Date() } = {}) {
+    const balance = await getBalance(env, userId);
+
+    const [weekly, monthly, recent] = await Promise.all([
+        spendByPeriod(env, userId, "date(created_at, 'weekday 0', '-6 days')", listPeriods(now, weeks, 'week')),
+        spendByPeriod(env, userId, 'substr(created_at, 1, 7)', listPeriods(now, months, 'month')),
+        env.DB.prepare(
+            `SELECT -COALESCE(SUM(amount), 0) AS spent FROM credit_logs
+             WHERE user_id = ? AND entry_type IN ('debit', 'refund') AND created_at >= ?`
+        ).bind(userId, new Date(now.getTime() - PROJECTION_WINDOW_DAYS * DAY_MS).toISOString()).first()
+    ]);
+
+    const averageDailySpend = Math.max(recent.spent, 0) / PROJECTION_WINDOW_DAYS;
+    const daysRemaining = averageDailySpend > 0 ? Math.floor(balance / averageDailySpend) : null;
+
+    return {
+        balance,
+        weekly,
+        monthly,
+        projection: {
+            windowDays: PROJECTION_WINDOW_DAYS,
+            averageDailySpend: Math.round(averageDailySpend * 100) / 100,
+            daysRemaining,
+            runOutDate: daysRemaining === null
+                ? null
+                : new Date(now.getTime() + daysRemaining * DAY_MS).toISOString().slice(0, 10)
+        }
+    };
+}
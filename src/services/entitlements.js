@@ -0,0 +1,179 @@
+/**
+ * Plans and what they entitle a user to.
+ *
+ * users.plan names one of PLANS. Every limit that depends on the plan is read
+ * from here, and the plan is read from D1 on each request (at most once per
+ * request), so upgrades, downgrades and cancellations apply immediately.
+ * Subscriptions set users.plan through syncPlanWithSubscriptions. Operators
+ * set users.plan_override with POST /admin/users/:id/plan; while set it takes
+ * precedence, and subscription changes leave it alone.
+ */
+import { NotFoundError, PlanLimitError } from '../utils/errors.js';
+import { normalizeSiteUrl } from './metricsWarehouse.js';
+
+export const DEFAULT_PLAN = 'free';
+
+export const PLANS = {
+    free: {
+        name: 'Free',
+        // Active (not archived or removed) properties usable with GSC routes and the nightly sync
+        maxProperties: 5,
+        // Rows one GSC data request or export may return
+        maxRowsPerRequest: 5000,
+        // Top pages returned without spending a credit, and with one
+        topPagesIncluded: 10,
+        topPagesWithCredit: 50,
+        // Insights (overall and page) generated per property per day
+        insightsPerSitePerDay: 3,
+        // Multiplies every per-user rate limit
+        rateLimitMultiplier: 1
+    },
+    pro: {
+        name: 'Pro',
+        maxProperties: 25,
+        maxRowsPerRequest: 100000,
+        topPagesIncluded: 50,
+        topPagesWithCredit: 250,
+        insightsPerSitePerDay: 20,
+        rateLimitMultiplier: 3
+    },
+    agency: {
+        name: 'Agency',
+        maxProperties: 200,
+        maxRowsPerRequest: 1000000,
+        topPagesIncluded: 250,
+        topPagesWithCredit: 1000,
+        insightsPerSitePerDay: 100,
+        rateLimitMultiplier: 10
+    }
+};
+
+export const PLAN_IDS = Object.keys(PLANS);
+
+/**
+ * Look up a user's plan and its limits
+ * @param {Object} env - Worker environment
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} { plan, overridden, name, maxProperties, ... } from PLANS;
+ *   overridden is true when an operator set the plan
+ * @throws {NotFoundError} If the user doesn't exist
+ */
+export async function getEntitlements(env, userId) {
+    const user = await env.DB.prepare(
+        'SELECT plan, plan_override FROM users WHERE id = ?'
+    ).bind(userId).first();
+
+    if (!user) {
+        throw new NotFoundError('User not found');
+    }
+
+    // A plan removed from PLANS falls back to free rather than locking the user out
+    const chosen = user.plan_override || user.plan;
+    const plan = PLANS[chosen] ? chosen : DEFAULT_PLAN;
+    return { plan, overridden: !!user.plan_override, ...PLANS[plan] };
+}
+
+/**
+ * Entitlements of the authenticated user, loaded once per request
+ * @param {Request} request - Request with request.user
+ * @param {Object} env - Worker environment
+ * @returns {Promise<Object>} Entitlements
+ */
+export async function getRequestEntitlements(request, env) {
+    if (!request.entitlements) {
+        request.entitlements = await getEntitlements(env, request.user.user_id);
+    }
+    return request.entitlements;
+}
+
+/**
+ * Override a user's plan, whatever their subscriptions
+ * @param {Object} env - Worker environment
+ * @param {number} userId - User ID
+ * @param {string|null} plan - Key of PLANS, or null to return the user to their subscription plan
+ * @returns {Promise<void>}
+ * @throws {NotFoundError} If the user doesn't exist
+ */
+export async function setPlanOverride(env, userId, plan) {
+    const result = await env.DB.prepare(
+        'UPDATE users SET plan_override = ? WHERE id = ?'
+    ).bind(plan, userId).run();
+
+    if (!result.meta.changes) {
+        throw new NotFoundError('User not found', { userId });
+    }
+}
+
+/**
+ * Put a user on the plan of their newest active subscription, or free without
+ * one. An operator's plan override still takes precedence.
+ * @param {Object} env - Worker environment
+ * @param {number} userId - User ID
+ * @returns {Promise<void>}
+ */
+export async function syncPlanWithSubscriptions(env, userId) {
+    await env.DB.prepare(
+        `UPDATE users SET plan = COALESCE((
+           SELECT plan_id FROM subscriptions
+           WHERE user_id = ? AND status = 'active'
+           ORDER BY created_at DESC LIMIT 1
+         ), ?)
+         WHERE id = ?`
+    ).bind(userId, DEFAULT_PLAN, userId).run();
+}
+
+/**
+ * The properties a user's plan covers: their first maxProperties active
+ * properties, favorites first, then in the order they were added. Archiving
+ * or removing a property frees its slot.
+ * @param {Object} env - Worker environment
+ * @param {number} userId - User ID
+ * @param {Object} [entitlements] - The user's entitlements, when already loaded
+ * @returns {Promise<Object>} { limit, used, siteUrls } where siteUrls is a Set
+ */
+export async function getPropertyAllowance(env, userId, entitlements = null) {
+    const { maxProperties } = entitlements || await getEntitlements(env, userId);
+
+    const { results = [] } = await env.DB.prepare(
+        `SELECT site_url FROM user_properties
+         WHERE user_id = ? AND archived_at IS NULL AND removed_at IS NULL
+         ORDER BY is_favorite DESC, added_at, id`
+    ).bind(userId).all();
+
+    return {
+        limit: maxProperties,
+        used: results.length,
+        siteUrls: new Set(results.slice(0, maxProperties).map(row => row.site_url))
+    };
+}
+
+/**
+ * Refuse a property outside the owner's plan. Properties not stored yet
+ * (Google hasn't been synced since they were added) pass while a slot is free.
+ * @param {Object} env - Worker environment
+ * @param {number} ownerId - Account whose property it is
+ * @param {string} siteUrl - Property
+ * @returns {Promise<void>}
+ * @throws {PlanLimitError} If the plan doesn't cover the property
+ */
+export async function assertPropertyAllowed(env, ownerId, siteUrl) {
+    const entitlements = await getEntitlements(env, ownerId);
+    const allowance = await getPropertyAllowance(env, ownerId, entitlements);
+    const normalized = normalizeSiteUrl(siteUrl);
+
+    if (allowance.siteUrls.has(siteUrl) || allowance.siteUrls.has(normalized)) {
+        return;
+    }
+
+    const stored = await env.DB.prepare(
+        `SELECT 1 FROM user_properties
+         WHERE user_id = ? AND site_url IN (?, ?) AND archived_at IS NULL AND removed_at IS NULL`
+    ).bind(ownerId, siteUrl, normalized).first();
+
+    if (stored || allowance.used >= allowance.limit) {
+        throw new PlanLimitError(
+            `The ${entitlements.name} plan covers ${allowance.limit} properties; archive one or upgrade to use this property`,
+            { plan: entitlements.plan, maxProperties: allowance.limit, siteUrl }
+        );
+    }
+}
@@ -0,0 +1,96 @@
+/**
+ * Google OAuth authorization requests with a signed state and PKCE.
+ *
+ * The state is <nonce>.<HMAC(nonce:userId)>; the nonce keys a single-use
+ * AUTH_STORE entry (oauth_state:<nonce>) holding the user id and PKCE verifier.
+ */
+import { ValidationError } from '../utils/errors.js';
+import { randomBytes, toBase64Url, hmacSha256, timingSafeEqual } from '../utils/crypto.js';
+
+const AUTHORIZATION_URL = 'https://accounts.google.com/o/oauth2/v2/auth';
+export const GSC_OAUTH_SCOPE = 'https://www.googleapis.com/auth/webmasters';
+const STATE_TTL = 10 * 60;
+
+/**
+ * Redirect URI registered with Google; the frontend forwards code and state to /auth/callback
+ * @param {Object} env - Worker environment
+ * @returns {string} Redirect URI
+ */
+export function getRedirectUri(env) {
+    return `${env.FRONTEND_URL}/oauth-callback`;
+}
+
+function signState(env, nonce, userId) {
+    return hmacSha256(env.JWT_SECRET, `oauth_state:${nonce}:${userId}`);
+}
+
+async function createCodeChallenge(codeVerifier) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(codeVerifier));
+    return toBase64Url(new Uint8Array(digest));
+}
+
+/**
+ * Build the Google consent URL for connecting Search Console
+ * @param {Object} env - Worker environment
+ * @param {number} userId - User starting the flow
+ * @returns {Promise<Object>} { authorizationUrl, state, expiresIn }
+ */
+export async function createAuthorizationRequest(env, userId) {
+    const nonce = toBase64Url(randomBytes(24));
+    const codeVerifier = toBase64Url(randomBytes(32));
+    const state = `${nonce}.${await signState(env, nonce, userId)}`;
+
+    await env.AUTH_STORE.put(`oauth_state:${nonce}`, JSON.stringify({
+        userId,
+        codeVerifier,
+        createdAt: new Date().toISOString()
+    }), { expirationTtl: STATE_TTL });
+
+    const params = new URLSearchParams({
+        client_id: env.GOOGLE_CLIENT_ID,
+        redirect_uri: getRedirectUri(env),
+        response_type: 'code',
+        scope: GSC_OAUTH_SCOPE,
+        access_type: 'offline',
+        prompt: 'consent',
+        include_granted_scopes: 'true',
+        state,
+        code_challenge: await createCodeChallenge(codeVerifier),
+        code_challenge_method: 'S256'
+    });
+
+    return {
+        authorizationUrl: `${AUTHORIZATION_URL}?${params}`,
+        state,
+        expiresIn: STATE_TTL
+    };
+}
+
+/**
+ * Verify and consume the state returned to the OAuth callback
+ * @param {Object} env - Worker environment
+ * @param {string} state - State query parameter from Google's redirect
+ * @param {number} userId - Authenticated user completing the flow
+ * @returns {Promise<Object>} { codeVerifier }
+ */
+export async function consumeAuthorizationState(env, state, userId) {
+    const [nonce, signature] = typeof state === 'string' ? state.split('.') : [];
+
+    if (!nonce || !signature || !timingSafeEqual(signature, await signState(env, nonce, userId))) {
+        throw new ValidationError('Invalid OAuth state');
+    }
+
+    const key = `oauth_state:${nonce}`;
+    const stored = await env.AUTH_STORE.get(key, 'json');
+    if (!stored) {
+        throw new ValidationError('OAuth state expired or already used');
+    }
+
+    await env.AUTH_STORE.delete(key);
+
+    if (String(stored.userId) !== String(userId)) {
+        throw new ValidationError('Invalid OAuth state');
+    }
+
+    return { codeVerifier: stored.codeVerifier };
+}
@@ -0,0 +1,321 @@
+/**
+ * Google Search Console API client.
+ *
+ * Owns the access token lifecycle (KV cache, refresh from the stored refresh
+ * token, one refresh per user at a time), retries 429/5xx responses with
+ * exponential backoff and maps Google errors to APIError subclasses so every
+ * handler reports them the same way.
+ */
+import { getCachedAccessToken, cacheAccessToken, clearCachedAccessToken, decryptRefreshToken } from './tokenStore.js';
+import {
+    APIError,
+    ValidationError,
+    NotFoundError,
+    ForbiddenError,
+    RateLimitError,
+    GSCNotConnectedError
+} from '../utils/errors.js';
+
+const TOKEN_URL = 'https://oauth2.googleapis.com/token';
+const WEBMASTERS_API = 'https://www.googleapis.com/webmasters/v3';
+const URL_INSPECTION_API = 'https://searchconsole.googleapis.com/v1/urlInspection/index:inspect';
+
+const MAX_ATTEMPTS = 4;
+const BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 8000;
+
+// Another isolate holding the refresh lock gets this long to publish its token
+const REFRESH_LOCK_TTL = 60;
+const LOCK_POLL_MS = 250;
+const LOCK_POLL_ATTEMPTS = 8;
+
+// Refreshes in flight in this isolate, keyed by user id
+const inflightRefreshes = new Map();
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function isRetryable(status) {
+    return status === 429 || status >= 500;
+}
+
+// Helper function to compute the backoff delay, honouring Retry-After when Google sends it
+function retryDelay(attempt, response) {
+    const retryAfter = parseInt(response?.headers.get('Retry-After'), 10);
+    if (retryAfter > 0) {
+        return Math.min(retryAfter * 1000, MAX_DELAY_MS);
+    }
+    const delay = Math.min(BASE_DELAY_MS * 2 ** attempt, MAX_DELAY_MS);
+    return delay / 2 + Math.random() * delay / 2;
+}
+
+// Helper function to fetch with retries on 429, 5xx and network errors
+async function fetchWithRetry(url, init) {
+    for (let attempt = 0; ; attempt++) {
+        let response;
+        try {
+            response = await fetch(url, init);
+        } catch (error) {
+            if (attempt + 1 >= MAX_ATTEMPTS) {
+                throw new APIError('Google Search Console is unreachable', 502, 'GSC_API_ERROR', { error: error.message });
+            }
+            await sleep(retryDelay(attempt));
+            continue;
+        }
+
+        if (!isRetryable(response.status) || attempt + 1 >= MAX_ATTEMPTS) {
+            return response;
+        }
+
+        // Google asks for a longer wait than we would sleep: give up now instead of retrying too early
+        const retryAfter = parseInt(response.headers.get('Retry-After'), 10);
+        if (retryAfter * 1000 > MAX_DELAY_MS) {
+            if (response.status === 429) {
+                throw await toAPIError(response, url);
+            }
+            return response;
+        }
+
+        console.warn(`Google API ${response.status} for ${url}, retrying (attempt ${attempt + 1})`);
+        await sleep(retryDelay(attempt, response));
+    }
+}
+
+// Helper function to turn a failed Google response into an APIError subclass
+async function toAPIError(response, url) {
+    const errorText = await response.text();
+    let message = errorText;
+    try {
+        message = JSON.parse(errorText).error?.message || errorText;
+    } catch (parseError) {
+        // Not JSON, keep the raw text
+    }
+    const details = { gscStatus: response.status, message, url };
+
+    switch (response.status) {
+        case 400:
+            return new ValidationError(`Google Search Console rejected the request: ${message}`, details);
+        case 401:
+            return new GSCNotConnectedError('Google Search Console access was revoked', details);
+        case 403:
+            return new ForbiddenError(message || 'You do not have permission to access this site in Google Search Console', {
+                ...details,
+                permissionDenied: true
+            });
+        case 404:
+            return new NotFoundError(message || 'Resource not found in Google Search Console', details);
+        case 429: {
+            const retryAfter = parseInt(response.headers.get('Retry-After'), 10) || 60;
+            return new RateLimitError('Google Search Console quota exceeded', 0, Date.now() + retryAfter * 1000, details);
+        }
+        default:
+            return new APIError(`Google Search Console request failed: ${message}`, 502, 'GSC_API_ERROR', details);
+    }
+}
+
+// Helper function to exchange the stored refresh token for a new access token
+async function exchangeRefreshToken(env, userId) {
+    const user = await env.DB.prepare(
+        'SELECT gsc_refresh_token FROM users WHERE id = ?'
+    ).bind(userId).first();
+
+    if (!user || !user.gsc_refresh_token) {
+        if (user) {
+            await env.DB.prepare('UPDATE users SET gsc_connected = 0 WHERE id = ?').bind(userId).run();
+        }
+        throw new GSCNotConnectedError();
+    }
+
+    const response = await fetchWithRetry(TOKEN_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({
+            refresh_token: await decryptRefreshToken(env, userId, user.gsc_refresh_token),
+            client_id: env.GOOGLE_CLIENT_ID,
+            client_secret: env.GOOGLE_CLIENT_SECRET,
+            grant_type: 'refresh_token'
+        })
+    });
+
+    if (!response.ok) {
+        const errorText = await response.text();
+        console.error(`Token refresh failed for user ${userId} (${response.status}): ${errorText}`);
+
+        // invalid_grant and friends: the user has to connect again
+        if (response.status === 400 || response.status === 401) {
+            await env.DB.prepare('UPDATE users SET gsc_connected = 0 WHERE id = ?').bind(userId).run();
+            throw new GSCNotConnectedError('Google Search Console access expired, please reconnect', { errorText });
+        }
+        throw new APIError('Failed to refresh Google access token', 502, 'GSC_TOKEN_ERROR', { errorText });
+    }
+
+    const { access_token, expires_in } = await response.json();
+    await cacheAccessToken(env, userId, access_token, expires_in);
+    await env.DB.prepare('UPDATE users SET gsc_connected = 1 WHERE id = ?').bind(userId).run();
+
+    return access_token;
+}
+
+// Helper function to refresh under a KV lock so isolates don't refresh the same user at once.
+// KV is eventually consistent, so the lock is best effort; waiters refresh themselves if no token appears.
+async function refreshWithLock(env, userId) {
+    const lockKey = `gsc_refresh_lock:${userId}`;
+
+    if (await env.AUTH_STORE.get(lockKey)) {
+        for (let i = 0; i < LOCK_POLL_ATTEMPTS; i++) {
+            await sleep(LOCK_POLL_MS);
+            const accessToken = await getCachedAccessToken(env, userId);
+            if (accessToken) {
+                return accessToken;
+            }
+        }
+    }
+
+    await env.AUTH_STORE.put(lockKey, '1', { expirationTtl: REFRESH_LOCK_TTL });
+    try {
+        return await exchangeRefreshToken(env, userId);
+    } finally {
+        await env.AUTH_STORE.delete(lockKey);
+    }
+}
+
+/**
+ * Refresh a user's Google access token. Concurrent callers share one refresh.
+ * @param {Object} env - Worker environment
+ * @param {number} userId - User ID
+ * @returns {Promise<string>} New access token
+ */
+export function refreshAccessToken(env, userId) {
+    const key = String(userId);
+    if (!inflightRefreshes.has(key)) {
+        inflightRefreshes.set(key, refreshWithLock(env, userId).finally(() => inflightRefreshes.delete(key)));
+    }
+    return inflightRefreshes.get(key);
+}
+
+/**
+ * Get a valid Google access token, refreshing it when the cache is empty
+ * @param {Object} env - Worker environment
+ * @param {number} userId - User ID
+ * @returns {Promise<string>} Access token
+ */
+export async function getAccessToken(env, userId) {
+    return (await getCachedAccessToken(env, userId)) || refreshAccessToken(env, userId);
+}
+
+/**
+ * Call a Google Search Console endpoint as a user. A 401 refreshes the token
+ * and retries once; other failures throw APIError subclasses.
+ * @param {Object} env - Worker environment
+ * @param {number} userId - User ID
+ * @param {string} url - Full API URL
+ * @param {Object} options - Request options
+ * @param {string} options.method - HTTP method
+ * @param {Object} options.body - JSON body
+ * @returns {Promise<Object>} Parsed response body ({} when empty)
+ */
+export async function gscRequest(env, userId, url, { method = 'GET', body } = {}) {
+    const send = accessToken => fetchWithRetry(url, {
+        method,
+        headers: {
+            'Authorization': `Bearer ${accessToken}`,
+            'Content-Type': 'application/json'
+        },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+
+    let response = await send(await getAccessToken(env, userId));
+
+    if (response.status === 401) {
+        await clearCachedAccessToken(env, userId);
+        response = await send(await refreshAccessToken(env, userId));
+    }
+
+    if (!response.ok) {
+        throw await toAPIError(response, url);
+    }
+
+    // Sitemap submission answers with an empty body
+    const text = await response.text();
+    return text ? JSON.parse(text) : {};
+}
+
+/**
+ * Run a searchAnalytics query and return Google's full response
+ * @param {Object} env - Worker environment
+ * @param {number} userId - User ID
+ * @param {string} siteUrl - GSC property
+ * @param {Object} body - searchAnalytics.query request body
+ * @returns {Promise<Object>} { rows, responseAggregationType }
+ */
+export function searchAnalytics(env, userId, siteUrl, body) {
+    return gscRequest(
+        env,
+        userId,
+        `${WEBMASTERS_API}/sites/${encodeURIComponent(siteUrl)}/searchAnalytics/query`,
+        { method: 'POST', body }
+    );
+}
+
+/**
+ * Run a searchAnalytics query
+ * @param {Object} env - Worker environment
+ * @param {number} userId - User ID
+ * @param {string} siteUrl - GSC property
+ * @param {Object} body - searchAnalytics.query request body
+ * @returns {Promise<Array>} Result rows
+ */
+export async function querySearchAnalytics(env, userId, siteUrl, body) {
+    const data = await searchAnalytics(env, userId, siteUrl, body);
+    return data.rows || [];
+}
+
+/**
+ * List the user's Search Console properties
+ * @param {Object} env - Worker environment
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} sites.list response ({ siteEntry })
+ */
+export function listSites(env, userId) {
+    return gscRequest(env, userId, `${WEBMASTERS_API}/sites`);
+}
+
+/**
+ * List the sitemaps submitted for a property
+ * @param {Object} env - Worker environment
+ * @param {number} userId - User ID
+ * @param {string} siteUrl - GSC property
+ * @returns {Promise<Array>} Sitemaps
+ */
+export async function listSitemaps(env, userId, siteUrl) {
+    const data = await gscRequest(env, userId, `${WEBMASTERS_API}/sites/${encodeURIComponent(siteUrl)}/sitemaps`);
+    return data.sitemap || [];
+}
+
+/**
+ * Submit a sitemap (requires the full webmasters scope)
+ * @param {Object} env - Worker environment
+ * @param {number} userId - User ID
+ * @param {string} siteUrl - GSC property
+ * @param {string} feedpath - Absolute sitemap URL
+ * @returns {Promise<void>}
+ */
+export async function addSitemap(env, userId, siteUrl, feedpath) {
+    await gscRequest(
+        env,
+        userId,
+        `${WEBMASTERS_API}/sites/${encodeURIComponent(siteUrl)}/sitemaps/${encodeURIComponent(feedpath)}`,
+        { method: 'PUT' }
+    );
+}
+
+/**
+ * Inspect a URL with the URL Inspection API
+ * @param {Object} env - Worker environment
+ * @param {number} userId - User ID
+ * @param {Object} body - { inspectionUrl, siteUrl, languageCode }
+ * @returns {Promise<Object>} inspectionResult
+ */
+export async function runUrlInspection(env, userId, body) {
+    const data = await gscRequest(env, userId, URL_INSPECTION_API, { method: 'POST', body });
+    return data.inspectionResult || {};
+}
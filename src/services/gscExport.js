@@ -0,0 +1,199 @@
+// Large searchAnalytics pulls, paged with startRow and stored in chunks
+import { querySearchAnalytics } from './gscClient.js';
+import { RateLimitError } from '../utils/errors.js';
+
+export const GSC_PAGE_SIZE = 25000; // Maximum rowLimit of a single searchAnalytics request
+export const SYNC_MAX_ROWS = 50000;
+const DEFAULT_MAX_EXPORT_ROWS = 1000000;
+const MAX_PAGES_PER_RUN = 4;
+const MAX_JOBS_PER_RUN = 5;
+const CHUNK_TTL = 24 * 3600;
+// How long a run owns a job; a run that dies without releasing it is taken over after this
+const JOB_LEASE_MS = 10 * 60 * 1000;
+
+/**
+ * Maximum number of rows a single export may collect
+ * @param {Object} env - Worker environment
+ * @returns {number} Row cap
+ */
+export function getMaxExportRows(env) {
+    return parseInt(env.GSC_MAX_EXPORT_ROWS, 10) || DEFAULT_MAX_EXPORT_ROWS;
+}
+
+/**
+ * Collect rows by paging through searchAnalytics with startRow
+ * @param {Function} fetchPage - async (body) => rows, runs one searchAnalytics request
+ * @param {Object} body - searchAnalytics request body
+ * @param {number} maxRows - Maximum rows to collect
+ * @returns {Promise<{rows: Array, pages: number, truncated: boolean}>}
+ */
+export async function fetchPagedRows(fetchPage, body, maxRows) {
+    const rows = [];
+    const pageSize = Math.min(body.rowLimit || GSC_PAGE_SIZE, GSC_PAGE_SIZE);
+    let startRow = body.startRow || 0;
+    let pages = 0;
+
+    while (rows.length < maxRows) {
+        const rowLimit = Math.min(pageSize, maxRows - rows.length);
+        const page = await fetchPage({ ...body, startRow, rowLimit });
+        rows.push(...page);
+        pages++;
+
+        // A short page means the result set is exhausted
+        if (page.length < rowLimit) {
+            return { rows, pages, truncated: false };
+        }
+        startRow += page.length;
+    }
+
+    return { rows, pages, truncated: true };
+}
+
+/**
+ * Create an export job, processed later by the cron trigger
+ * @param {Object} env - Worker environment
+ * @param {number} userId - User ID
+ * @param {string} siteUrl - GSC property
+ * @param {Object} body - searchAnalytics request body
+ * @param {number} maxRows - Maximum rows to collect
+ * @returns {Promise<string>} Job id
+ */
+export async function createExportJob(env, userId, siteUrl, body, maxRows) {
+    const jobId = crypto.randomUUID();
+    const now = new Date().toISOString();
+
+    await env.DB.prepare(
+        `INSERT INTO gsc_export_jobs
+           (id, user_id, site_url, request, status, max_rows, next_start_row, row_count, chunk_count, created_at, updated_at)
+         VALUES (?, ?, ?, ?, 'pending', ?, ?, 0, 0, ?, ?)`
+    ).bind(jobId, userId, siteUrl, JSON.stringify(body), maxRows, body.startRow || 0, now, now).run();
+
+    return jobId;
+}
+
+/**
+ * Get an export job; callers check that user_id (the account it runs as) is accessible
+ * @param {Object} env - Worker environment
+ * @param {string} jobId - Job id
+ * @returns {Promise<Object|null>} Job row
+ */
+export async function getExportJob(env, jobId) {
+    return env.DB.prepare(
+        `SELECT id, user_id, site_url, status, max_rows, row_count, chunk_count, error, created_at, updated_at
+         FROM gsc_export_jobs WHERE id = ?`
+    ).bind(jobId).first();
+}
+
+/**
+ * Read one stored chunk of an export
+ * @param {Object} env - Worker environment
+ * @param {string} jobId - Job id
+ * @param {number} chunk - Chunk index
+ * @returns {Promise<Array|null>} Rows or null if missing/expired
+ */
+export async function readExportChunk(env, jobId, chunk) {
+    return env.GSC_CACHE.get(`gsc_export:${jobId}:${chunk}`, 'json');
+}
+
+/**
+ * Advance pending export jobs, a bounded number of pages per job.
+ *
+ * Both cron triggers call this, so runs can overlap. A run only works on jobs
+ * it has claimed with a lease, and only saves progress while it still holds it.
+ * @param {Object} env - Worker environment
+ * @returns {Promise<number>} Number of jobs touched
+ */
+export async function processPendingExportJobs(env) {
+    const now = new Date().toISOString();
+    const { results: candidates = [] } = await env.DB.prepare(
+        `SELECT * FROM gsc_export_jobs
+         WHERE status IN ('pending', 'running') AND (lease_until IS NULL OR lease_until < ?)
+         ORDER BY created_at LIMIT ?`
+    ).bind(now, MAX_JOBS_PER_RUN).all();
+
+    let touched = 0;
+    for (const candidate of candidates) {
+        const job = await claimExportJob(env, candidate);
+        if (!job) {
+            continue;
+        }
+        touched++;
+
+        try {
+            await processExportJob(env, job);
+        } catch (error) {
+            // Out of Google quota: release the job as is and resume on a later tick
+            if (error instanceof RateLimitError) {
+                console.warn(`Export job ${job.id} paused: ${error.message}`);
+                await env.DB.prepare(
+                    'UPDATE gsc_export_jobs SET lease_until = NULL WHERE id = ? AND lease_until = ?'
+                ).bind(job.id, job.lease_until).run();
+                continue;
+            }
+            console.error(`Export job ${job.id} failed:`, error);
+            await env.DB.prepare(
+                `UPDATE gsc_export_jobs SET status = 'failed', error = ?, lease_until = NULL, updated_at = ?
+                 WHERE id = ? AND lease_until = ?`
+            ).bind(error.message, new Date().toISOString(), job.id, job.lease_until).run();
+        }
+    }
+
+    return touched;
+}
+
+// Helper function to take a job's lease, unless another run holds it
+async function claimExportJob(env, job) {
+    const now = new Date();
+    const leaseUntil = new Date(now.getTime() + JOB_LEASE_MS).toISOString();
+
+    const result = await env.DB.prepare(
+        `UPDATE gsc_export_jobs SET status = 'running', lease_until = ?, updated_at = ?
+         WHERE id = ? AND status IN ('pending', 'running') AND (lease_until IS NULL OR lease_until < ?)`
+    ).bind(leaseUntil, now.toISOString(), job.id, now.toISOString()).run();
+
+    return result.meta.changes ? { ...job, status: 'running', lease_until: leaseUntil } : null;
+}
+
+/**
+ * Fetch the next pages of a job and store each page as a KV chunk
+ * @param {Object} env - Worker environment
+ * @param {Object} job - gsc_export_jobs row
+ * @returns {Promise<void>}
+ */
+async function processExportJob(env, job) {
+    const body = JSON.parse(job.request);
+    const pageSize = Math.min(body.rowLimit || GSC_PAGE_SIZE, GSC_PAGE_SIZE);
+    let { next_start_row: startRow, row_count: rowCount, chunk_count: chunkCount } = job;
+    let status = 'running';
+
+    for (let i = 0; i < MAX_PAGES_PER_RUN; i++) {
+        const rowLimit = Math.min(pageSize, job.max_rows - rowCount);
+        const rows = await querySearchAnalytics(env, job.user_id, job.site_url, { ...body, startRow, rowLimit });
+        if (rows.length > 0) {
+            await env.GSC_CACHE.put(`gsc_export:${job.id}:${chunkCount}`, JSON.stringify(rows), {
+                expirationTtl: CHUNK_TTL
+            });
+            chunkCount++;
+        }
+
+        rowCount += rows.length;
+        startRow += rows.length;
+
+        if (rows.length < rowLimit || rowCount >= job.max_rows) {
+            status = 'completed';
+            break;
+        }
+    }
+
+    // Progress is saved after each run so the next cron tick resumes from next_start_row,
+    // unless the lease ran out and another run took the job over
+    const result = await env.DB.prepare(
+        `UPDATE gsc_export_jobs
+         SET status = ?, next_start_row = ?, row_count = ?, chunk_count = ?, lease_until = NULL, updated_at = ?
+         WHERE id = ? AND lease_until = ?`
+    ).bind(status, startRow, rowCount, chunkCount, new Date().toISOString(), job.id, job.lease_until).run();
+
+    if (!result.meta.changes) {
+        console.warn(`Export job ${job.id} lease expired; progress of this run discarded`);
+    }
+}
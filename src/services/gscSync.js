@@ -0,0 +1,189 @@
+// Nightly Google Search Console sync, driven by the cron trigger in wrangler.toml
+import { toDailyMetrics, upsertDailyMetrics } from './metricsWarehouse.js';
+import { querySearchAnalytics, listSites } from './gscClient.js';
+import { syncUserProperties } from '../properties.js';
+import { getPropertyAllowance } from './entitlements.js';
+import { GSCNotConnectedError } from '../utils/errors.js';
+
+const SYNC_STATE_KEY = 'sync:gsc:state';
+const MIN_PROPERTIES_PER_RUN = 25;
+const MAX_RUN_MS = 20000;
+// Properties synced side by side, so a run gets through more of them within MAX_RUN_MS
+const SYNC_CONCURRENCY = 5;
+// Connected users without stored properties whose site list is fetched per run
+const DISCOVERY_USERS_PER_RUN = 10;
+// Nightly window of the "*/10 2-4 * * *" trigger in wrangler.toml: last tick at 04:50 UTC
+const NIGHTLY_TICK_MINUTES = 10;
+const NIGHTLY_LAST_TICK_MINUTE = 4 * 60 + 50;
+const SNAPSHOT_DIMENSIONS = ['query', 'page', 'device', 'country'];
+const SNAPSHOT_ROW_LIMIT = 5000;
+// Google finalizes a day's data after about two days; syncing later stores final numbers only
+const FINAL_DATA_LAG_DAYS = 3;
+
+/**
+ * Sync the search analytics of the most recent final day (FINAL_DATA_LAG_DAYS
+ * ago) for every connected property.
+ *
+ * Each run first fetches the site list of a few connected users who have no
+ * stored properties yet, so accounts that never opened the property list are
+ * synced too. Work is then spread over the ticks left in the nightly window:
+ * a run takes its share of the remaining properties (at least
+ * MIN_PROPERTIES_PER_RUN), syncs them SYNC_CONCURRENCY at a time and stops
+ * after MAX_RUN_MS. Progress is kept in KV as the last processed
+ * user_properties id, so the next cron tick resumes where this one stopped
+ * until the day is complete. Properties outside their owner's plan are skipped.
+ * @param {Object} env - Worker environment
+ * @param {Object} options - Sync options
+ * @param {Date} options.now - Current time, used to pick the target date
+ * @param {number} options.maxProperties - Maximum properties to sync in this run; defaults to this run's share
+ * @returns {Promise<Object>} Sync state after this run
+ */
+export async function runNightlySync(env, options = {}) {
+    const { now = new Date() } = options;
+    const startedAt = Date.now();
+    const targetDate = daysBefore(now, FINAL_DATA_LAG_DAYS);
+
+    let state = await env.AUTH_STORE.get(SYNC_STATE_KEY, 'json');
+    if (!state || state.date !== targetDate) {
+        state = { date: targetDate, lastPropertyId: 0, lastDiscoveredUserId: 0, synced: 0, failed: 0, skipped: 0, completed: false };
+    }
+
+    if (state.completed) {
+        console.log(`GSC sync for ${targetDate} already completed`);
+        return state;
+    }
+
+    await discoverProperties(env, state);
+
+    const activeProperties = `FROM user_properties up
+         JOIN users u ON u.id = up.user_id
+         WHERE u.gsc_connected = 1 AND u.gsc_refresh_token IS NOT NULL
+           AND up.verified = 1 AND up.archived_at IS NULL AND up.removed_at IS NULL
+           AND up.id > ?`;
+
+    let { maxProperties } = options;
+    if (!maxProperties) {
+        const { remaining } = await env.DB.prepare(
+            `SELECT COUNT(*) AS remaining ${activeProperties}`
+        ).bind(state.lastPropertyId).first();
+        maxProperties = Math.max(MIN_PROPERTIES_PER_RUN, Math.ceil(remaining / ticksLeft(now)));
+    }
+
+    const { results: properties = [] } = await env.DB.prepare(
+        `SELECT up.id, up.user_id, up.site_url ${activeProperties}
+         ORDER BY up.id
+         LIMIT ?`
+    ).bind(state.lastPropertyId, maxProperties + 1).all();
+
+    const failedUsers = new Set();
+    // Properties each owner's plan covers, looked up once per owner per run
+    const allowances = new Map();
+    const batch = properties.slice(0, maxProperties);
+    let processed = 0;
+
+    const syncProperty = async property => {
+        if (!allowances.has(property.user_id)) {
+            allowances.set(property.user_id, getPropertyAllowance(env, property.user_id));
+        }
+        if (!(await allowances.get(property.user_id)).siteUrls.has(property.site_url)) {
+            state.skipped = (state.skipped || 0) + 1;
+            return;
+        }
+
+        try {
+            if (failedUsers.has(property.user_id)) {
+                throw new Error('Google Search Console access failed earlier in this run');
+            }
+            await syncPropertySnapshot(env, property, targetDate);
+            state.synced++;
+        } catch (error) {
+            if (error instanceof GSCNotConnectedError) {
+                failedUsers.add(property.user_id);
+            }
+            console.error(`GSC sync failed for property ${property.id} (${property.site_url}):`, error.message);
+            state.failed++;
+        }
+    };
+
+    while (processed < batch.length && Date.now() - startedAt <= MAX_RUN_MS) {
+        const chunk = batch.slice(processed, processed + SYNC_CONCURRENCY);
+        await Promise.all(chunk.map(syncProperty));
+
+        state.lastPropertyId = chunk[chunk.length - 1].id;
+        processed += chunk.length;
+    }
+
+    state.completed = processed === properties.length;
+    await env.AUTH_STORE.put(SYNC_STATE_KEY, JSON.stringify(state), {
+        expirationTtl: 7 * 24 * 3600
+    });
+
+    if (!state.completed && ticksLeft(now) === 1) {
+        console.warn(`GSC sync for ${targetDate} did not finish in the nightly window`, state);
+    }
+    console.log(`GSC sync for ${targetDate}: processed ${processed} properties`, state);
+    return state;
+}
+
+// Helper function to store the Google site list of connected users who have no stored properties
+async function discoverProperties(env, state) {
+    const { results: users = [] } = await env.DB.prepare(
+        `SELECT u.id FROM users u
+         WHERE u.gsc_connected = 1 AND u.gsc_refresh_token IS NOT NULL AND u.id > ?
+           AND NOT EXISTS (SELECT 1 FROM user_properties up WHERE up.user_id = u.id)
+         ORDER BY u.id
+         LIMIT ?`
+    ).bind(state.lastDiscoveredUserId || 0, DISCOVERY_USERS_PER_RUN).all();
+
+    for (const user of users) {
+        try {
+            const sites = await listSites(env, user.id);
+            await syncUserProperties(env, user.id, sites.siteEntry || []);
+        } catch (error) {
+            console.error(`Failed to list GSC properties for user ${user.id}:`, error.message);
+        }
+        state.lastDiscoveredUserId = user.id;
+    }
+}
+
+// Helper function to count the nightly ticks from now until the end of the window, this one included
+function ticksLeft(now) {
+    const minute = now.getUTCHours() * 60 + now.getUTCMinutes();
+    const ticks = Math.floor((NIGHTLY_LAST_TICK_MINUTE - minute) / NIGHTLY_TICK_MINUTES) + 1;
+    return Math.max(1, ticks);
+}
+
+/**
+ * Fetch one day of search analytics for a property and upsert it into the warehouse.
+ * Site totals and the full query/page/device/country breakdown are stored.
+ * @param {Object} env - Worker environment
+ * @param {Object} property - user_properties row
+ * @param {string} date - Date to sync (YYYY-MM-DD)
+ * @returns {Promise<void>}
+ */
+async function syncPropertySnapshot(env, property, date) {
+    for (const dimensions of [[], SNAPSHOT_DIMENSIONS]) {
+        const rows = await querySearchAnalytics(env, property.user_id, property.site_url, {
+            startDate: date,
+            endDate: date,
+            dimensions,
+            dataState: 'final',
+            rowLimit: SNAPSHOT_ROW_LIMIT
+        });
+
+        // Upserts keep re-runs of the same day idempotent
+        await upsertDailyMetrics(env.DB, property.user_id, property.site_url, toDailyMetrics(rows, dimensions, date));
+    }
+}
+
+/**
+ * Format the UTC day a number of days before the given date as YYYY-MM-DD
+ * @param {Date} now - Reference date
+ * @param {number} days - Days to go back
+ * @returns {string} Earlier day
+ */
+function daysBefore(now, days) {
+    const date = new Date(now.getTime());
+    date.setUTCDate(date.getUTCDate() - days);
+    return date.toISOString().split('T')[0];
+}
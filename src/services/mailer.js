@@ -0,0 +1,99 @@
+/**
+ * Outgoing mail behind a small sender interface.
+ *
+ * A sender is an object with send({ to, subject, text }) returning a promise.
+ * MAIL_PROVIDER picks the sender. "resend" delivers through the Resend API
+ * (RESEND_API_KEY secret, MAIL_FROM var). "console" only logs the message for
+ * local development and is refused unless ENVIRONMENT is development or test,
+ * so mailed tokens never reach production logs; it is also the default there.
+ * Add providers with registerMailSender.
+ */
+import { APIError } from '../utils/errors.js';
+import { isDevelopmentEnvironment } from '../utils/environment.js';
+
+const RESEND_API_URL = 'https://api.resend.com/emails';
+
+const senderFactories = new Map();
+
+function configurationError(message) {
+    console.error(message);
+    return new APIError('The server is missing required configuration.', 500, 'CONFIGURATION_ERROR');
+}
+
+/**
+ * Register a mail sender factory under a MAIL_PROVIDER name
+ * @param {string} name - Provider name
+ * @param {Function} factory - (env) => sender with send({ to, subject, text })
+ * @param {Object} [options]
+ * @param {boolean} [options.developmentOnly] - Refuse the sender outside development and test
+ */
+export function registerMailSender(name, factory, { developmentOnly = false } = {}) {
+    senderFactories.set(name, { factory, developmentOnly });
+}
+
+// Development sender: writes the message to the Worker log instead of delivering it
+registerMailSender('console', () => ({
+    async send({ to, subject, text }) {
+        console.log(`[mail] To: ${to}\n[mail] Subject: ${subject}\n${text}`);
+    }
+}), { developmentOnly: true });
+
+registerMailSender('resend', env => ({
+    async send({ to, subject, text }) {
+        if (!env.RESEND_API_KEY || !env.MAIL_FROM) {
+            throw configurationError('RESEND_API_KEY and MAIL_FROM must be set to send mail');
+        }
+
+        const response = await fetch(RESEND_API_URL, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${env.RESEND_API_KEY}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ from: env.MAIL_FROM, to: [to], subject, text })
+        });
+
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            console.error('Resend request failed:', response.status, data.name);
+            throw new APIError('Email could not be sent', 502, 'MAIL_PROVIDER_ERROR', {
+                providerStatus: response.status
+            });
+        }
+    }
+}));
+
+/**
+ * Get the configured mail sender
+ * @param {Object} env - Worker environment
+ * @returns {{send: Function}} Mail sender
+ * @throws {APIError} If no usable sender is configured for this environment
+ */
+export function getMailSender(env) {
+    const development = isDevelopmentEnvironment(env);
+    const provider = env.MAIL_PROVIDER || (development ? 'console' : null);
+    if (!provider) {
+        throw configurationError('MAIL_PROVIDER is not set');
+    }
+
+    const registered = senderFactories.get(provider);
+    if (!registered) {
+        throw configurationError(`Unknown MAIL_PROVIDER "${provider}"`);
+    }
+    if (registered.developmentOnly && !development) {
+        throw configurationError(`MAIL_PROVIDER "${provider}" only runs in development and test`);
+    }
+
+    return registered.factory(env);
+}
+
+/**
+ * Send an email with the configured sender
+ * @param {Object} env - Worker environment
+ * @param {Object} message - { to, subject, text }
+ * @returns {Promise<void>}
+ * @throws {APIError} If no usable sender is configured or delivery fails
+ */
+export async function sendMail(env, message) {
+    await getMailSender(env).send(message);
+}
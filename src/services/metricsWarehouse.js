@@ -0,0 +1,187 @@
+// Normalized daily GSC metrics stored in D1 (gsc_daily_metrics)
+
+export const WAREHOUSE_DIMENSIONS = ['query', 'page', 'device', 'country'];
+const UPSERT_BATCH_SIZE = 100;
+const BACKFILL_CURSOR_KEY = 'warehouse:backfill:lastId';
+const BACKFILL_BATCH_SIZE = 200;
+const BACKFILL_MAX_MS = 10000;
+
+/**
+ * The property name rows are stored under: bare domains are treated as
+ * domain properties, the way Google names them
+ * @param {string} siteUrl - Property as given by the client
+ * @returns {string} sc-domain:example.com, https://example.com/, ...
+ */
+export function normalizeSiteUrl(siteUrl) {
+    return /^(sc-domain:|https?:\/\/)/.test(siteUrl) ? siteUrl : `sc-domain:${siteUrl}`;
+}
+
+/**
+ * Convert searchAnalytics rows into warehouse records.
+ *
+ * Dimensions that were not requested are stored as '' (aggregated over that
+ * dimension). Rows can only be stored when they can be attributed to a single
+ * day, either through a 'date' dimension or a single-day request.
+ * @param {Array} rows - GSC API rows
+ * @param {string[]} dimensions - Dimensions the rows were requested with
+ * @param {string|null} fallbackDate - Date to use when 'date' is not a dimension
+ * @returns {Array|null} Warehouse records, or null if the rows cannot be stored
+ */
+export function toDailyMetrics(rows, dimensions, fallbackDate = null) {
+    const storable = dimensions.every(d => d === 'date' || WAREHOUSE_DIMENSIONS.includes(d));
+    const dateIndex = dimensions.indexOf('date');
+
+    if (!storable || (dateIndex === -1 && !fallbackDate)) {
+        return null;
+    }
+
+    return (rows || []).map(row => {
+        const keys = row.keys || [];
+        const record = {
+            date: dateIndex === -1 ? fallbackDate : keys[dateIndex],
+            clicks: row.clicks || 0,
+            impressions: row.impressions || 0,
+            ctr: row.ctr || 0,
+            position: row.position || 0
+        };
+        for (const dimension of WAREHOUSE_DIMENSIONS) {
+            const index = dimensions.indexOf(dimension);
+            record[dimension] = index === -1 ? '' : keys[index];
+        }
+        return record;
+    });
+}
+
+/**
+ * Idempotently upsert warehouse records for a property
+ * @param {D1Database} db - D1 database
+ * @param {number} userId - User ID
+ * @param {string} siteUrl - GSC property
+ * @param {Array} records - Records from toDailyMetrics
+ * @param {Object} options - Write options
+ * @param {boolean} options.overwrite - Replace stored rows; false keeps them, for data older than what is stored
+ * @returns {Promise<number>} Number of records written
+ */
+export async function upsertDailyMetrics(db, userId, siteUrl, records, { overwrite = true } = {}) {
+    const updatedAt = new Date().toISOString();
+    const onConflict = overwrite
+        ? `DO UPDATE SET
+           clicks = excluded.clicks,
+           impressions = excluded.impressions,
+           ctr = excluded.ctr,
+           position = excluded.position,
+           updated_at = excluded.updated_at`
+        : 'DO NOTHING';
+    const statement = db.prepare(
+        `INSERT INTO gsc_daily_metrics
+           (user_id, site_url, date, query, page, device, country, clicks, impressions, ctr, position, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+         ON CONFLICT (user_id, site_url, date, query, page, device, country) ${onConflict}`
+    );
+
+    for (let i = 0; i < records.length; i += UPSERT_BATCH_SIZE) {
+        const chunk = records.slice(i, i + UPSERT_BATCH_SIZE);
+        await db.batch(chunk.map(r => statement.bind(
+            userId, siteUrl, r.date, r.query, r.page, r.device, r.country,
+            r.clicks, r.impressions, r.ctr, r.position, updatedAt
+        )));
+    }
+
+    return records.length;
+}
+
+/**
+ * Daily trend for a property, read from the warehouse.
+ *
+ * Without a dimension the site totals (rows aggregated over every dimension)
+ * are returned. With a dimension, fully broken-down rows matching the value
+ * are summed per day, with position weighted by impressions.
+ * @param {D1Database} db - D1 database
+ * @param {Object} params - Query parameters
+ * @returns {Promise<Array>} Daily rows ordered by date
+ */
+export async function queryDailyTrend(db, { userId, siteUrl, startDate, endDate, dimension = null, value = null }) {
+    if (dimension && !WAREHOUSE_DIMENSIONS.includes(dimension)) {
+        throw new Error(`Unsupported warehouse dimension: ${dimension}`);
+    }
+
+    const conditions = ['user_id = ?', 'site_url = ?', 'date >= ?', 'date <= ?'];
+    const bindings = [userId, siteUrl, startDate, endDate];
+
+    if (dimension) {
+        conditions.push(...WAREHOUSE_DIMENSIONS.map(d => `${d} != ''`));
+        conditions.push(`${dimension} = ?`);
+        bindings.push(value);
+    } else {
+        conditions.push(...WAREHOUSE_DIMENSIONS.map(d => `${d} = ''`));
+    }
+
+    const { results = [] } = await db.prepare(
+        `SELECT date,
+                SUM(clicks) AS clicks,
+                SUM(impressions) AS impressions,
+                CASE WHEN SUM(impressions) > 0 THEN CAST(SUM(clicks) AS REAL) / SUM(impressions) ELSE 0 END AS ctr,
+                CASE WHEN SUM(impressions) > 0 THEN SUM(position * impressions) / SUM(impressions) ELSE 0 END AS position
+         FROM gsc_daily_metrics
+         WHERE ${conditions.join(' AND ')}
+         GROUP BY date
+         ORDER BY date`
+    ).bind(...bindings).all();
+
+    return results;
+}
+
+/**
+ * Convert legacy gsc_data JSON blobs into warehouse rows, a batch at a time.
+ *
+ * The cursor is kept in KV so repeated calls (e.g. from the cron trigger)
+ * work through the table; a call stops after BACKFILL_MAX_MS. Blobs covering
+ * several days without a 'date' dimension cannot be attributed to a day and
+ * are skipped. Legacy data never replaces rows already in the warehouse,
+ * which were fetched later.
+ * @param {Object} env - Worker environment
+ * @param {number} batchSize - Number of gsc_data rows to convert
+ * @returns {Promise<{converted: number, skipped: number, done: boolean}>}
+ */
+export async function backfillFromGSCData(env, batchSize = BACKFILL_BATCH_SIZE) {
+    const startedAt = Date.now();
+    const lastId = parseInt(await env.AUTH_STORE.get(BACKFILL_CURSOR_KEY), 10) || 0;
+
+    const { results = [] } = await env.DB.prepare(
+        'SELECT id, user_id, site_url, date_range, dimensions, data FROM gsc_data WHERE id > ? ORDER BY id LIMIT ?'
+    ).bind(lastId, batchSize).all();
+
+    let converted = 0;
+    let skipped = 0;
+    let processed = 0;
+
+    for (const row of results) {
+        if (Date.now() - startedAt > BACKFILL_MAX_MS) {
+            break;
+        }
+
+        try {
+            const [startDate, endDate] = row.date_range.split(' to ');
+            const fallbackDate = startDate && startDate === endDate ? startDate : null;
+            const data = JSON.parse(row.data);
+            const records = toDailyMetrics(data.rows, row.dimensions.split(','), fallbackDate);
+
+            if (records) {
+                await upsertDailyMetrics(env.DB, row.user_id, normalizeSiteUrl(row.site_url), records, { overwrite: false });
+                converted++;
+            } else {
+                skipped++;
+            }
+        } catch (error) {
+            console.error(`Failed to backfill gsc_data row ${row.id}:`, error);
+            skipped++;
+        }
+        processed++;
+    }
+
+    if (processed > 0) {
+        await env.AUTH_STORE.put(BACKFILL_CURSOR_KEY, String(results[processed - 1].id));
+    }
+
+    return { converted, skipped, done: processed === results.length && results.length < batchSize };
+}
@@ -0,0 +1,440 @@
+/**
+ * Organizations, member roles and access to shared properties.
+ *
+ * Roles are ranked viewer < analyst < admin < owner and each permission names
+ * the lowest role that holds it. Access tokens carry the active organization
+ * (org_id, org_role) as context, but roles are always re-read from D1 so
+ * removals and demotions take effect immediately.
+ */
+import { ForbiddenError, NotFoundError, ValidationError } from '../utils/errors.js';
+import { sha256Hex, randomBytes, toHex } from '../utils/crypto.js';
+import { sendMail } from './mailer.js';
+
+export const ROLES = ['viewer', 'analyst', 'admin', 'owner'];
+
+export const PERMISSIONS = {
+    'gsc:read': 'viewer',
+    'insights:read': 'viewer',
+    'insights:generate': 'analyst',
+    'gsc:inspect': 'analyst',
+    'site:manage': 'admin',
+    'org:manage': 'admin',
+    'org:delete': 'owner'
+};
+
+export const INVITATION_TTL = 7 * 24 * 60 * 60;
+
+function roleRank(role) {
+    return ROLES.indexOf(role);
+}
+
+/**
+ * Whether a role holds a permission
+ * @param {string} role - Member role
+ * @param {string} permission - Key of PERMISSIONS
+ * @returns {boolean}
+ */
+export function hasPermission(role, permission) {
+    const required = PERMISSIONS[permission];
+    if (!required) {
+        throw new Error(`Unknown permission ${permission}`);
+    }
+    return roleRank(role) >= roleRank(required);
+}
+
+/**
+ * Get a user's membership in an organization
+ * @param {Object} env - Worker environment
+ * @param {number} orgId - Organization ID
+ * @param {number} userId - User ID
+ * @returns {Promise<Object|null>} { id, name, role }
+ */
+export async function getMembership(env, orgId, userId) {
+    return env.DB.prepare(
+        `SELECT o.id, o.name, m.role
+         FROM organization_members m JOIN organizations o ON o.id = m.org_id
+         WHERE m.org_id = ? AND m.user_id = ?`
+    ).bind(orgId, userId).first();
+}
+
+/**
+ * Organization a new session starts in: the one the user joined first
+ * @param {Object} env - Worker environment
+ * @param {number} userId - User ID
+ * @returns {Promise<Object|null>} { id, name, role }
+ */
+export async function getDefaultMembership(env, userId) {
+    return env.DB.prepare(
+        `SELECT o.id, o.name, m.role
+         FROM organization_members m JOIN organizations o ON o.id = m.org_id
+         WHERE m.user_id = ?
+         ORDER BY m.joined_at, o.id
+         LIMIT 1`
+    ).bind(userId).first();
+}
+
+/**
+ * Load a membership and check it holds a permission
+ * @param {Object} env - Worker environment
+ * @param {number} orgId - Organization ID
+ * @param {number} userId - User ID
+ * @param {string} permission - Key of PERMISSIONS
+ * @returns {Promise<Object>} { id, name, role }
+ * @throws {NotFoundError} If the user is not a member
+ * @throws {ForbiddenError} If the role lacks the permission
+ */
+export async function requireMembership(env, orgId, userId, permission) {
+    const membership = await getMembership(env, orgId, userId);
+
+    // Non-members can't tell whether the organization exists
+    if (!membership) {
+        throw new NotFoundError('Organization not found', { id: orgId });
+    }
+    if (permission && !hasPermission(membership.role, permission)) {
+        throw new ForbiddenError(`Your role (${membership.role}) does not allow this action`, {
+            role: membership.role,
+            requiredRole: PERMISSIONS[permission]
+        });
+    }
+
+    return membership;
+}
+
+/**
+ * Work out whose Google connection and stored data serve a property for a request.
+ *
+ * A property shared with the user's active organization is served through the
+ * account that shared it and requires the permission; anything else is the
+ * user's own property, where they hold every permission.
+ * @param {Object} env - Worker environment
+ * @param {Object} user - Access token payload (user_id, org_id)
+ * @param {string} siteUrl - GSC property
+ * @param {string} permission - Key of PERMISSIONS
+ * @returns {Promise<Object>} { siteUrl, userId, orgId, role }
+ * @throws {ForbiddenError} If the user's role lacks the permission
+ */
+export async function resolveSiteAccess(env, user, siteUrl, permission) {
+    const personal = { siteUrl, userId: user.user_id, orgId: null, role: null };
+
+    if (!user.org_id) {
+        return personal;
+    }
+
+    const shared = await env.DB.prepare(
+        `SELECT p.owner_user_id, m.role
+         FROM organization_properties p
+         JOIN organization_members m ON m.org_id = p.org_id AND m.user_id = ?
+         WHERE p.org_id = ? AND p.site_url = ?`
+    ).bind(user.user_id, user.org_id, siteUrl).first();
+
+    // Not shared here (or no longer a member), or the user shared it themselves
+    if (!shared || shared.owner_user_id === user.user_id) {
+        return personal;
+    }
+
+    if (!hasPermission(shared.role, permission)) {
+        throw new ForbiddenError(`Your role (${shared.role}) does not allow this action on ${siteUrl}`, {
+            role: shared.role,
+            requiredRole: PERMISSIONS[permission],
+            siteUrl
+        });
+    }
+
+    return { siteUrl, userId: shared.owner_user_id, orgId: user.org_id, role: shared.role };
+}
+
+/**
+ * Whether a user can reach another account's property through their active
+ * organization. Unlike resolveSiteAccess it doesn't throw when the role lacks
+ * the permission, so lookups by id can answer 404 without revealing the id exists.
+ * @param {Object} env - Worker environment
+ * @param {Object} user - Access token payload (user_id, org_id)
+ * @param {string} siteUrl - GSC property
+ * @param {number} ownerId - Account the property belongs to
+ * @param {string} permission - Key of PERMISSIONS
+ * @returns {Promise<boolean>}
+ */
+export async function canAccessSharedSite(env, user, siteUrl, ownerId, permission) {
+    try {
+        return (await resolveSiteAccess(env, user, siteUrl, permission)).userId === ownerId;
+    } catch (error) {
+        if (error instanceof ForbiddenError) {
+            return false;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Create an organization with the user as its owner
+ * @param {Object} env - Worker environment
+ * @param {number} userId - Creating user
+ * @param {string} name - Organization name
+ * @returns {Promise<Object>} { id, name, role }
+ */
+export async function createOrganization(env, userId, name) {
+    const now = new Date().toISOString();
+
+    // One batch, so an organization never exists without its owner
+    const [created] = await env.DB.batch([
+        env.DB.prepare(
+            'INSERT INTO organizations (name, created_by, created_at) VALUES (?, ?, ?) RETURNING id, name'
+        ).bind(name, userId, now),
+        env.DB.prepare(
+            `INSERT INTO organization_members (org_id, user_id, role, joined_at) VALUES (last_insert_rowid(), ?, 'owner', ?)`
+        ).bind(userId, now)
+    ]);
+
+    return { ...created.results[0], role: 'owner' };
+}
+
+/**
+ * Check that an actor may give or take away a role: nobody acts above their own role
+ * @param {string} actorRole - Role of the member making the change
+ * @param {...string} roles - Roles being granted or revoked
+ * @throws {ForbiddenError}
+ */
+export function assertCanManageRole(actorRole, ...roles) {
+    const highest = roles.reduce((top, role) => roleRank(role) > roleRank(top) ? role : top);
+    if (roleRank(highest) > roleRank(actorRole)) {
+        throw new ForbiddenError(`Only an ${highest === 'owner' ? 'owner' : 'admin'} can manage ${highest} members`, {
+            role: actorRole
+        });
+    }
+}
+
+// Helper function to refuse leaving an organization without an owner
+async function assertNotLastOwner(env, orgId, member) {
+    if (member.role !== 'owner') {
+        return;
+    }
+
+    const { owners } = await env.DB.prepare(
+        `SELECT COUNT(*) AS owners FROM organization_members WHERE org_id = ? AND role = 'owner'`
+    ).bind(orgId).first();
+
+    if (owners <= 1) {
+        throw new ValidationError('An organization needs at least one owner; make someone else owner first');
+    }
+}
+
+/**
+ * Change a member's role
+ * @param {Object} env - Worker environment
+ * @param {Object} actor - Acting membership ({ role })
+ * @param {number} orgId - Organization ID
+ * @param {number} userId - Member to change
+ * @param {string} role - New role
+ * @returns {Promise<void>}
+ */
+export async function updateMemberRole(env, actor, orgId, userId, role) {
+    const member = await env.DB.prepare(
+        'SELECT user_id, role FROM organization_members WHERE org_id = ? AND user_id = ?'
+    ).bind(orgId, userId).first();
+
+    if (!member) {
+        throw new NotFoundError('Member not found', { userId });
+    }
+
+    assertCanManageRole(actor.role, member.role, role);
+    if (role !== 'owner') {
+        await assertNotLastOwner(env, orgId, member);
+    }
+
+    await env.DB.prepare(
+        'UPDATE organization_members SET role = ? WHERE org_id = ? AND user_id = ?'
+    ).bind(role, orgId, userId).run();
+}
+
+/**
+ * Remove a member (or let a member leave). Properties they shared stop being shared,
+ * since they were served through that member's Google connection.
+ * @param {Object} env - Worker environment
+ * @param {Object} actor - Acting membership ({ role }), the member themselves when leaving
+ * @param {number} actorId - Acting user ID
+ * @param {number} orgId - Organization ID
+ * @param {number} userId - Member to remove
+ * @returns {Promise<void>}
+ */
+export async function removeMember(env, actor, actorId, orgId, userId) {
+    const member = await env.DB.prepare(
+        'SELECT user_id, role FROM organization_members WHERE org_id = ? AND user_id = ?'
+    ).bind(orgId, userId).first();
+
+    if (!member) {
+        throw new NotFoundError('Member not found', { userId });
+    }
+
+    if (userId !== actorId) {
+        if (!hasPermission(actor.role, 'org:manage')) {
+            throw new ForbiddenError(`Your role (${actor.role}) does not allow this action`, { role: actor.role });
+        }
+        assertCanManageRole(actor.role, member.role);
+    }
+    await assertNotLastOwner(env, orgId, member);
+
+    await env.DB.batch([
+        env.DB.prepare('DELETE FROM organization_members WHERE org_id = ? AND user_id = ?').bind(orgId, userId),
+        env.DB.prepare('DELETE FROM organization_properties WHERE org_id = ? AND owner_user_id = ?').bind(orgId, userId)
+    ]);
+}
+
+/**
+ * Delete an organization with its members, invitations and shares
+ * @param {Object} env - Worker environment
+ * @param {number} orgId - Organization ID
+ * @returns {Promise<void>}
+ */
+export async function deleteOrganization(env, orgId) {
+    await env.DB.batch([
+        env.DB.prepare('DELETE FROM organization_properties WHERE org_id = ?').bind(orgId),
+        env.DB.prepare('DELETE FROM organization_invitations WHERE org_id = ?').bind(orgId),
+        env.DB.prepare('DELETE FROM organization_members WHERE org_id = ?').bind(orgId),
+        env.DB.prepare('DELETE FROM organizations WHERE id = ?').bind(orgId)
+    ]);
+}
+
+/**
+ * Invite an email address to an organization and mail the link
+ * @param {Object} env - Worker environment
+ * @param {Object} org - Inviting membership ({ id, name, role })
+ * @param {number} invitedBy - Inviting user ID
+ * @param {string} email - Invitee email
+ * @param {string} role - Role granted on acceptance
+ * @returns {Promise<Object>} { id, email, role, expiresAt }
+ */
+export async function createInvitation(env, org, invitedBy, email, role) {
+    assertCanManageRole(org.role, role);
+
+    const existing = await env.DB.prepare(
+        `SELECT 1 FROM organization_members m JOIN users u ON u.id = m.user_id
+         WHERE m.org_id = ? AND lower(u.email) = lower(?)`
+    ).bind(org.id, email).first();
+    if (existing) {
+        throw new ValidationError('This person is already a member', { email });
+    }
+
+    const token = toHex(randomBytes(32));
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + INVITATION_TTL * 1000).toISOString();
+
+    const invitation = await env.DB.prepare(
+        `INSERT INTO organization_invitations (org_id, email, role, token_hash, invited_by, created_at, expires_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)
+         RETURNING id, email, role, expires_at`
+    ).bind(org.id, email, role, await sha256Hex(token), invitedBy, now.toISOString(), expiresAt).first();
+
+    await sendMail(env, {
+        to: email,
+        subject: `You have been invited to ${org.name}`,
+        text: `You have been invited to join ${org.name} as ${role}. Log in or create an account with this address, then open this link within 7 days:\n\n${env.FRONTEND_URL}/invitations?token=${token}\n`
+    });
+
+    return { id: invitation.id, email: invitation.email, role: invitation.role, expiresAt: invitation.expires_at };
+}
+
+/**
+ * Accept an invitation as the logged-in user; the invitation must be addressed to their email
+ * @param {Object} env - Worker environment
+ * @param {Object} user - User row with id and email
+ * @param {string} token - Token from the invitation link
+ * @returns {Promise<Object>} { id, name, role }
+ * @throws {ValidationError} If the token is unknown, expired, used or for another address
+ */
+export async function acceptInvitation(env, user, token) {
+    const invitation = await env.DB.prepare(
+        `SELECT i.id, i.org_id, i.email, i.role, i.expires_at, i.accepted_at, o.name
+         FROM organization_invitations i JOIN organizations o ON o.id = i.org_id
+         WHERE i.token_hash = ?`
+    ).bind(await sha256Hex(token)).first();
+
+    if (!invitation || invitation.accepted_at || invitation.expires_at < new Date().toISOString()) {
+        throw new ValidationError('Invitation is invalid or has expired');
+    }
+    if (invitation.email.toLowerCase() !== user.email.toLowerCase()) {
+        throw new ForbiddenError('This invitation was sent to a different email address');
+    }
+
+    // Claiming the invitation is the single-use check; a second accept changes nothing
+    const now = new Date().toISOString();
+    const [claimed] = await env.DB.batch([
+        env.DB.prepare(
+            'UPDATE organization_invitations SET accepted_at = ?, accepted_by = ? WHERE id = ? AND accepted_at IS NULL'
+        ).bind(now, user.id, invitation.id),
+        env.DB.prepare(
+            `INSERT INTO organization_members (org_id, user_id, role, joined_at)
+             SELECT ?, ?, ?, ? WHERE changes() > 0
+             ON CONFLICT (org_id, user_id) DO NOTHING`
+        ).bind(invitation.org_id, user.id, invitation.role, now)
+    ]);
+
+    if (!claimed.meta.changes) {
+        throw new ValidationError('Invitation is invalid or has expired');
+    }
+
+    return getMembership(env, invitation.org_id, user.id);
+}
+
+/**
+ * Share one of the user's properties with an organization
+ * @param {Object} env - Worker environment
+ * @param {number} orgId - Organization ID
+ * @param {number} userId - Sharing user; their Google connection serves the property
+ * @param {string} siteUrl - GSC property
+ * @returns {Promise<Object>} Shared property
+ */
+export async function shareProperty(env, orgId, userId, siteUrl) {
+    const property = await env.DB.prepare(
+        `SELECT site_url FROM user_properties
+         WHERE user_id = ? AND site_url = ? AND removed_at IS NULL AND verified = 1`
+    ).bind(userId, siteUrl).first();
+
+    if (!property) {
+        throw new ValidationError('You can only share verified properties from your own Search Console account', { siteUrl });
+    }
+
+    const shared = await env.DB.prepare(
+        `INSERT INTO organization_properties (org_id, site_url, owner_user_id, created_at)
+         VALUES (?, ?, ?, ?)
+         ON CONFLICT (org_id, site_url) DO NOTHING
+         RETURNING id, site_url, owner_user_id, created_at`
+    ).bind(orgId, siteUrl, userId, new Date().toISOString()).first();
+
+    if (!shared) {
+        throw new ValidationError('This property is already shared with the organization', { siteUrl });
+    }
+
+    return formatSharedProperty(shared);
+}
+
+/**
+ * List the properties shared with an organization
+ * @param {Object} env - Worker environment
+ * @param {number} orgId - Organization ID
+ * @returns {Promise<Array>} Shared properties
+ */
+export async function listSharedProperties(env, orgId) {
+    const { results = [] } = await env.DB.prepare(
+        `SELECT p.id, p.site_url, p.owner_user_id, p.created_at, u.email AS owner_email
+         FROM organization_properties p JOIN users u ON u.id = p.owner_user_id
+         WHERE p.org_id = ?
+         ORDER BY p.site_url`
+    ).bind(orgId).all();
+
+    return results.map(formatSharedProperty);
+}
+
+/**
+ * Shape an organization_properties row for API responses
+ * @param {Object} row - organization_properties row
+ * @returns {Object} Shared property
+ */
+function formatSharedProperty(row) {
+    return {
+        id: row.id,
+        siteUrl: row.site_url,
+        sharedBy: row.owner_user_id,
+        sharedByEmail: row.owner_email,
+        sharedAt: row.created_at
+    };
+}
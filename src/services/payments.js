@@ -0,0 +1,240 @@
+/**
+ * Payment providers behind a small adapter interface.
+ *
+ * A provider is an object with
+ *   createCheckoutSession({ order, product, user, successUrl, cancelUrl }) -> { id, url }
+ *   parseWebhook(request, payload) -> normalized event, after checking its signature
+ *
+ * Normalized events have an id and one of these types:
+ *   checkout.completed    { orderId, checkoutId, subscriptionId }
+ *   invoice.paid          { orderId, subscriptionId, invoiceId, periodEnd }
+ *   subscription.canceled { subscriptionId }
+ *   ignored               anything the billing code doesn't act on
+ *
+ * PAYMENT_PROVIDER picks the provider: "stripe" uses Stripe Checkout; "fake" is
+ * a local stand-in whose checkouts charge nothing and whose webhooks carry
+ * normalized events directly. "fake" is the default in development and test
+ * and refused anywhere else.
+ * Both sign webhooks as t=<unix seconds>,v1=<hex HMAC-SHA256 of "t.payload">
+ * with PAYMENT_WEBHOOK_SECRET. Add providers with registerPaymentProvider.
+ */
+import { APIError, AuthError } from '../utils/errors.js';
+import { hmacSha256Hex, timingSafeEqual } from '../utils/crypto.js';
+import { isDevelopmentEnvironment } from '../utils/environment.js';
+
+// Signed webhooks older or newer than this are refused to stop replays
+const WEBHOOK_TOLERANCE_SECONDS = 5 * 60;
+
+const STRIPE_API_URL = 'https://api.stripe.com/v1';
+
+const providerFactories = new Map();
+
+function configurationError(message) {
+    console.error(message);
+    return new APIError('The server is missing required configuration.', 500, 'CONFIGURATION_ERROR');
+}
+
+/**
+ * Register a payment provider factory under a PAYMENT_PROVIDER name
+ * @param {string} name - Provider name
+ * @param {Function} factory - (env) => provider
+ * @param {Object} [options]
+ * @param {boolean} [options.developmentOnly] - Refuse the provider outside development and test
+ */
+export function registerPaymentProvider(name, factory, { developmentOnly = false } = {}) {
+    providerFactories.set(name, { factory, developmentOnly });
+}
+
+/**
+ * Get the configured payment provider
+ * @param {Object} env - Worker environment
+ * @returns {Object} Provider with name, createCheckoutSession and parseWebhook
+ * @throws {APIError} If no usable provider is configured for this environment
+ */
+export function getPaymentProvider(env) {
+    const development = isDevelopmentEnvironment(env);
+    const name = env.PAYMENT_PROVIDER || (development ? 'fake' : null);
+    if (!name) {
+        throw configurationError('PAYMENT_PROVIDER is not set');
+    }
+
+    const registered = providerFactories.get(name);
+    if (!registered) {
+        throw configurationError(`Unknown PAYMENT_PROVIDER "${name}"`);
+    }
+    if (registered.developmentOnly && !development) {
+        throw configurationError(`PAYMENT_PROVIDER "${name}" only runs in development and test`);
+    }
+
+    return { name, ...registered.factory(env) };
+}
+
+/**
+ * Check a t=...,v1=... webhook signature header against the raw payload
+ * @param {string} secret - Webhook signing secret
+ * @param {string|null} header - Signature header
+ * @param {string} payload - Raw request body
+ * @returns {Promise<void>}
+ * @throws {AuthError} If the signature is missing, stale or wrong
+ */
+export async function verifyWebhookSignature(secret, header, payload) {
+    if (!secret) {
+        throw configurationError('PAYMENT_WEBHOOK_SECRET is not set');
+    }
+
+    const parts = (header || '').split(',').map(part => part.trim().split('='));
+    const timestamp = parseInt(parts.find(([key]) => key === 't')?.[1], 10);
+    const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+
+    if (!Number.isInteger(timestamp) || signatures.length === 0) {
+        throw new AuthError('Invalid webhook signature');
+    }
+    if (Math.abs(Date.now() / 1000 - timestamp) > WEBHOOK_TOLERANCE_SECONDS) {
+        throw new AuthError('Webhook signature has expired');
+    }
+
+    const expected = await hmacSha256Hex(secret, `${timestamp}.${payload}`);
+    if (!signatures.some(signature => timingSafeEqual(signature, expected))) {
+        throw new AuthError('Invalid webhook signature');
+    }
+}
+
+// Helper function to parse a webhook body that passed its signature check
+function parsePayload(payload) {
+    try {
+        return JSON.parse(payload);
+    } catch {
+        throw new AuthError('Invalid webhook payload');
+    }
+}
+
+// Local stand-in: checkout "succeeds" when a signed checkout.completed event is posted to the webhook
+registerPaymentProvider('fake', env => ({
+    async createCheckoutSession({ successUrl }) {
+        const id = `fake_cs_${crypto.randomUUID()}`;
+        const url = new URL(successUrl);
+        url.searchParams.set('fake_session', id);
+        return { id, url: url.toString() };
+    },
+
+    async parseWebhook(request, payload) {
+        await verifyWebhookSignature(env.PAYMENT_WEBHOOK_SECRET, request.headers.get('X-Fake-Signature'), payload);
+        const event = parsePayload(payload);
+
+        if (typeof event.id !== 'string' || typeof event.type !== 'string') {
+            throw new AuthError('Invalid webhook payload');
+        }
+        return event;
+    }
+}), { developmentOnly: true });
+
+// Helper function to flatten nested params into Stripe's form encoding (a[b][c]=value)
+function toStripeForm(params, prefix = '', form = new URLSearchParams()) {
+    for (const [key, value] of Object.entries(params)) {
+        if (value === undefined || value === null) {
+            continue;
+        }
+        const name = prefix ? `${prefix}[${key}]` : key;
+        if (typeof value === 'object') {
+            toStripeForm(value, name, form);
+        } else {
+            form.append(name, String(value));
+        }
+    }
+    return form;
+}
+
+// Helper function to map a Stripe event to a normalized event
+function normalizeStripeEvent(event) {
+    const object = event.data?.object || {};
+
+    switch (event.type) {
+        case 'checkout.session.completed':
+        case 'checkout.session.async_payment_succeeded':
+            // Delayed payment methods complete the session unpaid and succeed later
+            if (object.payment_status === 'unpaid') {
+                break;
+            }
+            return {
+                id: event.id,
+                type: 'checkout.completed',
+                orderId: object.client_reference_id || object.metadata?.order_id,
+                checkoutId: object.id,
+                subscriptionId: object.subscription || null
+            };
+
+        case 'invoice.paid': {
+            // Newer API versions nest the subscription under parent.subscription_details
+            const details = object.parent?.subscription_details || object.subscription_details || {};
+            const subscriptionId = details.subscription || object.subscription;
+            if (!subscriptionId) {
+                break;
+            }
+            const periodEnd = object.lines?.data?.[0]?.period?.end;
+            return {
+                id: event.id,
+                type: 'invoice.paid',
+                orderId: details.metadata?.order_id || null,
+                subscriptionId,
+                invoiceId: object.id,
+                periodEnd: periodEnd ? new Date(periodEnd * 1000).toISOString() : null
+            };
+        }
+
+        case 'customer.subscription.deleted':
+            return { id: event.id, type: 'subscription.canceled', subscriptionId: object.id };
+    }
+
+    return { id: event.id, type: 'ignored' };
+}
+
+registerPaymentProvider('stripe', env => ({
+    async createCheckoutSession({ order, product, user, successUrl, cancelUrl }) {
+        if (!env.STRIPE_SECRET_KEY) {
+            throw configurationError('STRIPE_SECRET_KEY is not set');
+        }
+
+        const subscription = product.kind === 'subscription';
+        const response = await fetch(`${STRIPE_API_URL}/checkout/sessions`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${env.STRIPE_SECRET_KEY}`,
+                'Content-Type': 'application/x-www-form-urlencoded',
+                'Idempotency-Key': order.id
+            },
+            body: toStripeForm({
+                mode: subscription ? 'subscription' : 'payment',
+                success_url: successUrl,
+                cancel_url: cancelUrl,
+                client_reference_id: order.id,
+                customer_email: user.email,
+                metadata: { order_id: order.id },
+                subscription_data: subscription ? { metadata: { order_id: order.id } } : undefined,
+                line_items: [{
+                    quantity: 1,
+                    price_data: {
+                        currency: product.currency,
+                        unit_amount: product.amountCents,
+                        product_data: { name: product.name },
+                        recurring: subscription ? { interval: product.interval } : undefined
+                    }
+                }]
+            })
+        });
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            console.error('Stripe checkout session failed:', response.status, data.error?.message);
+            throw new APIError('Payment provider request failed', 502, 'PAYMENT_PROVIDER_ERROR', {
+                providerStatus: response.status
+            });
+        }
+
+        return { id: data.id, url: data.url };
+    },
+
+    async parseWebhook(request, payload) {
+        await verifyWebhookSignature(env.PAYMENT_WEBHOOK_SECRET, request.headers.get('Stripe-Signature'), payload);
+        return normalizeStripeEvent(parsePayload(payload));
+    }
+}));
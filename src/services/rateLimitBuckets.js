@@ -0,0 +1,40 @@
+/**
+ * Durable Object holding token buckets for one rate limit subject.
+ *
+ * Each bucket holds up to `burst` tokens and refills at `limit` tokens per
+ * `window` seconds, so clients can burst briefly but not exceed the sustained
+ * rate. One object instance serves one subject (a user, API key, client IP or
+ * the whole API), and a Durable Object handles one call at a time, so taking
+ * tokens is an atomic read-modify-write. The arithmetic lives in
+ * src/utils/tokenBucket.js. Use it through src/utils/rateLimiter.js.
+ */
+import { DurableObject } from 'cloudflare:workers';
+import { takeFromBuckets } from '../utils/tokenBucket.js';
+
+export class RateLimiter extends DurableObject {
+    /**
+     * Take one token from every bucket, or none if any bucket is empty
+     * @param {Array<Object>} buckets - { key, limit, window, burst } per bucket
+     * @returns {Promise<Object>} { allowed, buckets } where each bucket has key, limit,
+     *   remaining, reset (ms timestamp when it is full again) and retryAfter (seconds until a token)
+     */
+    async take(buckets) {
+        const now = Date.now();
+        const stored = await this.ctx.storage.get(buckets.map(bucket => bucket.key));
+        const { allowed, buckets: results, entries, fullAt } = takeFromBuckets(stored, buckets, now);
+
+        await this.ctx.storage.put(entries);
+
+        // Once every bucket has refilled the stored state equals no state, so drop it then
+        const alarm = await this.ctx.storage.getAlarm();
+        if (!alarm || alarm < fullAt) {
+            await this.ctx.storage.setAlarm(fullAt);
+        }
+
+        return { allowed, buckets: results };
+    }
+
+    async alarm() {
+        await this.ctx.storage.deleteAll();
+    }
+}
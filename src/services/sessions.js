@@ -0,0 +1,215 @@
+/**
+ * Login sessions: short-lived access JWTs plus rotating refresh tokens.
+ *
+ * AUTH_STORE keys:
+ *   session:<userId>:<sessionId>        current refresh token hash and recently rotated hashes
+ *   revoked_session:<sessionId>         access tokens of a revoked session, kept until they expire
+ *   sessions_revoked_before:<userId>    access tokens issued up to this time (ms) are rejected
+ */
+import { sign } from '@tsndr/cloudflare-worker-jwt';
+import { AuthError } from '../utils/errors.js';
+import { sha256Hex, randomBytes, toHex } from '../utils/crypto.js';
+import { getMembership } from './organizations.js';
+
+export const ACCESS_TOKEN_TTL = 15 * 60;
+export const REFRESH_TOKEN_TTL = 30 * 24 * 60 * 60;
+// Rotated refresh token hashes remembered for reuse detection
+const MAX_PREVIOUS_HASHES = 10;
+
+function sessionKey(userId, sessionId) {
+    return `session:${userId}:${sessionId}`;
+}
+
+// Refresh tokens look like <userId>.<sessionId>.<secret>
+function parseRefreshToken(refreshToken) {
+    const parts = typeof refreshToken === 'string' ? refreshToken.split('.') : [];
+    if (parts.length !== 3 || !parts.every(Boolean)) {
+        return null;
+    }
+
+    const [userId, sessionId, secret] = parts;
+    return { userId, sessionId, secret };
+}
+
+// Access tokens carry the active organization; org is null for the personal workspace.
+// iat_ms lets a login right after "log out everywhere" tell itself apart from revoked tokens
+function signAccessToken(env, user, sessionId, org) {
+    const issuedAt = Date.now();
+    const now = Math.floor(issuedAt / 1000);
+    return sign({
+        user_id: user.id,
+        email: user.email,
+        sid: sessionId,
+        org_id: org ? org.id : null,
+        org_role: org ? org.role : null,
+        iat: now,
+        iat_ms: issuedAt,
+        exp: now + ACCESS_TOKEN_TTL
+    }, env.JWT_SECRET);
+}
+
+async function issueTokens(env, user, sessionId, org) {
+    const secret = toHex(randomBytes(32));
+    const accessToken = await signAccessToken(env, user, sessionId, org);
+
+    return {
+        accessToken,
+        refreshToken: `${user.id}.${sessionId}.${secret}`,
+        tokenHash: await sha256Hex(secret),
+        expiresIn: ACCESS_TOKEN_TTL
+    };
+}
+
+/**
+ * Start a new session for a user who just logged in
+ * @param {Object} env - Worker environment
+ * @param {Object} user - User row with id and email
+ * @param {Object|null} org - Active organization membership ({ id, role }), null for the personal workspace
+ * @returns {Promise<Object>} { accessToken, refreshToken, expiresIn }
+ */
+export async function createSession(env, user, org = null) {
+    const sessionId = crypto.randomUUID();
+    const { tokenHash, ...tokens } = await issueTokens(env, user, sessionId, org);
+    const now = new Date().toISOString();
+
+    await env.AUTH_STORE.put(sessionKey(user.id, sessionId), JSON.stringify({
+        email: user.email,
+        orgId: org ? org.id : null,
+        tokenHash,
+        previousHashes: [],
+        createdAt: now,
+        lastUsedAt: now
+    }), { expirationTtl: REFRESH_TOKEN_TTL });
+
+    return tokens;
+}
+
+/**
+ * Exchange a refresh token for a new access token and refresh token.
+ * Presenting an already-rotated refresh token revokes the whole session.
+ * @param {Object} env - Worker environment
+ * @param {string} refreshToken - Refresh token from login or the previous refresh
+ * @returns {Promise<Object>} { accessToken, refreshToken, expiresIn }
+ */
+export async function rotateSession(env, refreshToken) {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) {
+        throw new AuthError('Invalid refresh token');
+    }
+
+    const key = sessionKey(parsed.userId, parsed.sessionId);
+    const session = await env.AUTH_STORE.get(key, 'json');
+    if (!session) {
+        throw new AuthError('Session expired or revoked');
+    }
+
+    const presentedHash = await sha256Hex(parsed.secret);
+
+    if (presentedHash !== session.tokenHash) {
+        if (session.previousHashes.includes(presentedHash)) {
+            console.warn(`Refresh token reuse detected for user ${parsed.userId}, revoking session ${parsed.sessionId}`);
+            await revokeSession(env, parsed.userId, parsed.sessionId);
+            throw new AuthError('Refresh token has already been used; the session was revoked');
+        }
+        throw new AuthError('Invalid refresh token');
+    }
+
+    // Pick up role changes; a user removed from the organization falls back to the personal workspace
+    const user = { id: Number(parsed.userId), email: session.email };
+    const org = session.orgId ? await getMembership(env, session.orgId, user.id) : null;
+    const { tokenHash, ...tokens } = await issueTokens(env, user, parsed.sessionId, org);
+
+    await env.AUTH_STORE.put(key, JSON.stringify({
+        ...session,
+        tokenHash,
+        orgId: org ? org.id : null,
+        previousHashes: [session.tokenHash, ...session.previousHashes].slice(0, MAX_PREVIOUS_HASHES),
+        lastUsedAt: new Date().toISOString()
+    }), { expirationTtl: REFRESH_TOKEN_TTL });
+
+    return tokens;
+}
+
+/**
+ * Move a session to another organization (or the personal workspace) and issue
+ * an access token for it; the refresh token stays the same and keeps the choice.
+ * @param {Object} env - Worker environment
+ * @param {Object} payload - Verified access token payload
+ * @param {Object|null} org - Membership to switch to ({ id, role }), null for the personal workspace
+ * @returns {Promise<Object>} { accessToken, expiresIn }
+ */
+export async function switchSessionOrganization(env, payload, org) {
+    const key = sessionKey(payload.user_id, payload.sid);
+    const session = await env.AUTH_STORE.get(key, 'json');
+    if (!session) {
+        throw new AuthError('Session expired or revoked');
+    }
+
+    await env.AUTH_STORE.put(key, JSON.stringify({
+        ...session,
+        orgId: org ? org.id : null,
+        lastUsedAt: new Date().toISOString()
+    }), { expirationTtl: REFRESH_TOKEN_TTL });
+
+    const user = { id: payload.user_id, email: payload.email };
+    return {
+        accessToken: await signAccessToken(env, user, payload.sid, org),
+        expiresIn: ACCESS_TOKEN_TTL
+    };
+}
+
+/**
+ * Revoke one session: its refresh token stops working and its access tokens are rejected
+ * @param {Object} env - Worker environment
+ * @param {number|string} userId - User ID
+ * @param {string} sessionId - Session ID (the access token's sid claim)
+ * @returns {Promise<void>}
+ */
+export async function revokeSession(env, userId, sessionId) {
+    await Promise.all([
+        env.AUTH_STORE.delete(sessionKey(userId, sessionId)),
+        env.AUTH_STORE.put(`revoked_session:${sessionId}`, '1', { expirationTtl: ACCESS_TOKEN_TTL })
+    ]);
+}
+
+/**
+ * Revoke every session of a user ("log out everywhere")
+ * @param {Object} env - Worker environment
+ * @param {number|string} userId - User ID
+ * @returns {Promise<number>} Number of refresh sessions removed
+ */
+export async function revokeAllSessions(env, userId) {
+    await env.AUTH_STORE.put(
+        `sessions_revoked_before:${userId}`,
+        String(Date.now()),
+        { expirationTtl: ACCESS_TOKEN_TTL }
+    );
+
+    let removed = 0;
+    let cursor;
+    do {
+        const page = await env.AUTH_STORE.list({ prefix: `session:${userId}:`, cursor });
+        await Promise.all(page.keys.map(({ name }) => env.AUTH_STORE.delete(name)));
+        removed += page.keys.length;
+        cursor = page.list_complete ? undefined : page.cursor;
+    } while (cursor);
+
+    return removed;
+}
+
+/**
+ * Check an access token's claims against the revocation list
+ * @param {Object} env - Worker environment
+ * @param {Object} payload - Verified JWT payload
+ * @returns {Promise<boolean>} True when the token must be rejected
+ */
+export async function isAccessTokenRevoked(env, payload) {
+    const [sessionRevoked, revokedBefore] = await Promise.all([
+        env.AUTH_STORE.get(`revoked_session:${payload.sid}`),
+        env.AUTH_STORE.get(`sessions_revoked_before:${payload.user_id}`)
+    ]);
+
+    // Tokens from before iat_ms existed count as issued at the start of their second, so none slip through
+    const issuedAt = payload.iat_ms || payload.iat * 1000;
+    return !!sessionRevoked || (!!revokedBefore && issuedAt <= parseInt(revokedBefore, 10));
+}
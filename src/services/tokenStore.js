@@ -0,0 +1,103 @@
+/**
+ * Encrypted storage of Google OAuth tokens.
+ *
+ * Refresh tokens live in users.gsc_refresh_token, cached access tokens in
+ * AUTH_STORE under gsc_token:<userId>; both are encrypted with encryptSecret,
+ * bound to the user they belong to.
+ */
+import { encryptSecret, decryptSecret, needsReencryption } from '../utils/encryption.js';
+
+// Encryption contexts: a token only decrypts for the user and place it was stored for
+function refreshTokenContext(userId) {
+    return `users.gsc_refresh_token:${userId}`;
+}
+
+function accessTokenContext(userId) {
+    return `gsc_token:${userId}`;
+}
+
+/**
+ * Read the cached Google access token
+ * @param {Object} env - Worker environment
+ * @param {number} userId - User ID
+ * @returns {Promise<string|null>} Access token
+ */
+export async function getCachedAccessToken(env, userId) {
+    const stored = await env.AUTH_STORE.get(`gsc_token:${userId}`);
+    return stored ? decryptSecret(env, stored, accessTokenContext(userId)) : null;
+}
+
+/**
+ * Cache a Google access token until it expires
+ * @param {Object} env - Worker environment
+ * @param {number} userId - User ID
+ * @param {string} accessToken - Access token
+ * @param {number} expiresIn - Lifetime in seconds
+ * @returns {Promise<void>}
+ */
+export async function cacheAccessToken(env, userId, accessToken, expiresIn) {
+    await env.AUTH_STORE.put(
+        `gsc_token:${userId}`,
+        await encryptSecret(env, accessToken, accessTokenContext(userId)),
+        { expirationTtl: expiresIn }
+    );
+}
+
+/**
+ * Drop the cached Google access token so the next request refreshes it
+ * @param {Object} env - Worker environment
+ * @param {number} userId - User ID
+ * @returns {Promise<void>}
+ */
+export async function clearCachedAccessToken(env, userId) {
+    await env.AUTH_STORE.delete(`gsc_token:${userId}`);
+}
+
+/**
+ * Encrypt a Google refresh token for users.gsc_refresh_token
+ * @param {Object} env - Worker environment
+ * @param {number} userId - User the token is stored for
+ * @param {string} refreshToken - Refresh token
+ * @returns {Promise<string>} Encrypted value
+ */
+export function encryptRefreshToken(env, userId, refreshToken) {
+    return encryptSecret(env, refreshToken, refreshTokenContext(userId));
+}
+
+/**
+ * Decrypt a users.gsc_refresh_token value
+ * @param {Object} env - Worker environment
+ * @param {number} userId - User the row belongs to
+ * @param {string|null} stored - Column value
+ * @returns {Promise<string|null>} Refresh token
+ */
+export function decryptRefreshToken(env, userId, stored) {
+    return decryptSecret(env, stored, refreshTokenContext(userId));
+}
+
+/**
+ * Build UPDATE statements that (re-)encrypt refresh tokens which are plaintext,
+ * not yet bound to their user, or wrapped by a key other than the active one.
+ * Each update only applies if the row still holds the value that was read.
+ * @param {Object} env - Worker environment
+ * @returns {Promise<D1PreparedStatement[]>} Statements to run in one batch
+ */
+export async function buildRefreshTokenReencryption(env) {
+    const { results = [] } = await env.DB.prepare(
+        'SELECT id, gsc_refresh_token FROM users WHERE gsc_refresh_token IS NOT NULL'
+    ).all();
+
+    const statements = [];
+    for (const row of results) {
+        if (!needsReencryption(env, row.gsc_refresh_token)) {
+            continue;
+        }
+
+        const plaintext = await decryptRefreshToken(env, row.id, row.gsc_refresh_token);
+        statements.push(env.DB.prepare(
+            'UPDATE users SET gsc_refresh_token = ? WHERE id = ? AND gsc_refresh_token = ?'
+        ).bind(await encryptRefreshToken(env, row.id, plaintext), row.id, row.gsc_refresh_token));
+    }
+
+    return statements;
+}
@@ -0,0 +1,152 @@
+// Period-over-period comparison helpers for GSC metrics
+
+const METRICS = ['clicks', 'impressions', 'ctr', 'position'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a YYYY-MM-DD string as a UTC date
+ * @param {string} value - Date string
+ * @returns {Date|null} Parsed date or null if invalid
+ */
+function parseDate(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return null;
+    }
+    const date = new Date(`${value}T00:00:00Z`);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Format a UTC date as YYYY-MM-DD
+ * @param {Date} date - Date
+ * @returns {string} Formatted date
+ */
+function formatDate(date) {
+    return date.toISOString().split('T')[0];
+}
+
+/**
+ * Validate a { startDate, endDate } range
+ * @param {Object} range - Date range
+ * @returns {boolean} Whether the range is valid
+ */
+export function isValidRange(range) {
+    const start = parseDate(range?.startDate);
+    const end = parseDate(range?.endDate);
+    return !!start && !!end && start <= end;
+}
+
+/**
+ * Resolve the comparison range from a preset
+ * @param {Object} current - Current { startDate, endDate } range
+ * @param {string} preset - 'previous_period' or 'same_period_last_year'
+ * @returns {Object} Previous { startDate, endDate } range
+ */
+export function resolvePreviousRange(current, preset) {
+    const start = parseDate(current.startDate);
+    const end = parseDate(current.endDate);
+
+    if (preset === 'same_period_last_year') {
+        const shift = date => {
+            const shifted = new Date(date.getTime());
+            shifted.setUTCFullYear(shifted.getUTCFullYear() - 1);
+            return shifted;
+        };
+        return { startDate: formatDate(shift(start)), endDate: formatDate(shift(end)) };
+    }
+
+    // previous_period: the same number of days immediately before the current range
+    const days = Math.round((end - start) / DAY_MS) + 1;
+    return {
+        startDate: formatDate(new Date(start.getTime() - days * DAY_MS)),
+        endDate: formatDate(new Date(start.getTime() - DAY_MS))
+    };
+}
+
+/**
+ * Extract metrics from a GSC row, defaulting to zero
+ * @param {Object} row - GSC row
+ * @returns {Object} Metrics
+ */
+function pickMetrics(row) {
+    return METRICS.reduce((acc, metric) => {
+        acc[metric] = row ? row[metric] || 0 : 0;
+        return acc;
+    }, {});
+}
+
+/**
+ * Compute absolute and relative change between two metric sets.
+ * Position change is current minus previous, so negative means a better rank.
+ * @param {Object} current - Current metrics
+ * @param {Object} previous - Previous metrics
+ * @returns {{change: Object, changePercent: Object}}
+ */
+export function diffMetrics(current, previous) {
+    const change = {};
+    const changePercent = {};
+
+    for (const metric of METRICS) {
+        change[metric] = current[metric] - previous[metric];
+        changePercent[metric] = previous[metric]
+            ? Math.round((change[metric] / previous[metric]) * 10000) / 100
+            : null;
+    }
+
+    return { change, changePercent };
+}
+
+/**
+ * Compare rows from two periods for a single dimension
+ * @param {Array} currentRows - GSC rows for the current period
+ * @param {Array} previousRows - GSC rows for the previous period
+ * @param {number} limit - Maximum entries per list
+ * @returns {{changes: Array, new: Array, lost: Array}}
+ */
+export function compareRows(currentRows, previousRows, limit = 100) {
+    const previousByKey = new Map(previousRows.map(row => [row.keys[0], row]));
+    const currentKeys = new Set(currentRows.map(row => row.keys[0]));
+
+    const changes = [];
+    const added = [];
+
+    for (const row of currentRows) {
+        const key = row.keys[0];
+        const current = pickMetrics(row);
+        const previousRow = previousByKey.get(key);
+
+        if (!previousRow) {
+            added.push({ key, ...current });
+            continue;
+        }
+
+        const previous = pickMetrics(previousRow);
+        changes.push({ key, current, previous, ...diffMetrics(current, previous) });
+    }
+
+    const lost = previousRows
+        .filter(row => !currentKeys.has(row.keys[0]))
+        .map(row => ({ key: row.keys[0], ...pickMetrics(row) }));
+
+    changes.sort((a, b) => Math.abs(b.change.clicks) - Math.abs(a.change.clicks));
+    added.sort((a, b) => b.clicks - a.clicks);
+    lost.sort((a, b) => b.clicks - a.clicks);
+
+    return {
+        changes: changes.slice(0, limit),
+        new: added.slice(0, limit),
+        lost: lost.slice(0, limit)
+    };
+}
+
+/**
+ * Compare period totals
+ * @param {Object} currentTotals - Aggregate row for the current period
+ * @param {Object} previousTotals - Aggregate row for the previous period
+ * @returns {Object} Totals with change
+ */
+export function compareTotals(currentTotals, previousTotals) {
+    const current = pickMetrics(currentTotals);
+    const previous = pickMetrics(previousTotals);
+    return { current, previous, ...diffMetrics(current, previous) };
+}
@@ -0,0 +1,111 @@
+// Web Crypto helpers shared by auth, tokens and hashing
+
+/**
+ * Hex-encoded SHA-256 digest of a string
+ * @param {string} message - Input text
+ * @returns {Promise<string>} Hex digest
+ */
+export async function sha256Hex(message) {
+    const buffer = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(message));
+    return toHex(new Uint8Array(buffer));
+}
+
+/**
+ * Cryptographically random bytes
+ * @param {number} length - Number of bytes
+ * @returns {Uint8Array} Random bytes
+ */
+export function randomBytes(length) {
+    return crypto.getRandomValues(new Uint8Array(length));
+}
+
+/**
+ * Hex-encode bytes
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Hex string
+ */
+export function toHex(bytes) {
+    return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Base64-encode bytes
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Base64 string
+ */
+export function toBase64(bytes) {
+    let binary = '';
+    for (const byte of bytes) {
+        binary += String.fromCharCode(byte);
+    }
+    return btoa(binary);
+}
+
+/**
+ * Decode a base64 string
+ * @param {string} value - Base64 string
+ * @returns {Uint8Array} Decoded bytes
+ */
+export function fromBase64(value) {
+    return Uint8Array.from(atob(value), char => char.charCodeAt(0));
+}
+
+/**
+ * Base64url-encode bytes without padding
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Base64url string
+ */
+export function toBase64Url(bytes) {
+    return toBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+async function hmacSign(secret, message) {
+    const encoder = new TextEncoder();
+    const key = await crypto.subtle.importKey(
+        'raw',
+        encoder.encode(secret),
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign']
+    );
+    return new Uint8Array(await crypto.subtle.sign('HMAC', key, encoder.encode(message)));
+}
+
+/**
+ * Base64url-encoded HMAC-SHA256 of a message
+ * @param {string} secret - HMAC key
+ * @param {string} message - Message to sign
+ * @returns {Promise<string>} Base64url signature
+ */
+export async function hmacSha256(secret, message) {
+    return toBase64Url(await hmacSign(secret, message));
+}
+
+/**
+ * Hex-encoded HMAC-SHA256 of a message, the form most webhook signatures use
+ * @param {string} secret - HMAC key
+ * @param {string} message - Message to sign
+ * @returns {Promise<string>} Hex signature
+ */
+export async function hmacSha256Hex(secret, message) {
+    return toHex(await hmacSign(secret, message));
+}
+
+/**
+ * Compare two strings in constant time for their common length
+ * @param {string} a - First value
+ * @param {string} b - Second value
+ * @returns {boolean} True when equal
+ */
+export function timingSafeEqual(a, b) {
+    const encoder = new TextEncoder();
+    const left = encoder.encode(a);
+    const right = encoder.encode(b);
+    let diff = left.length ^ right.length;
+
+    for (let i = 0; i < right.length; i++) {
+        diff |= (left[i] ?? 0) ^ right[i];
+    }
+
+    return diff === 0;
+}
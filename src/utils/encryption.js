@@ -0,0 +1,141 @@
+// AES-GCM envelope encryption for secrets stored in D1 and KV
+import { APIError } from './errors.js';
+import { randomBytes, toBase64, fromBase64 } from './crypto.js';
+
+// v2 binds each value to where it is stored (AES-GCM additional data); v1 values are still read
+const PREFIX = 'enc:v2';
+const LEGACY_PREFIX = 'enc:v1';
+const IV_BYTES = 12;
+
+const keyCache = new Map();
+
+/**
+ * Parse the TOKEN_ENCRYPTION_KEYS secret: comma-separated <keyId>:<base64 256-bit key>
+ * entries, newest first. The first key encrypts; all keys decrypt.
+ * @param {Object} env - Worker environment
+ * @returns {Array<{id: string, key: string}>} Key ring
+ */
+function getKeyRing(env) {
+    const entries = (env.TOKEN_ENCRYPTION_KEYS || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map(entry => {
+            const separator = entry.indexOf(':');
+            return separator < 0 ? {} : { id: entry.slice(0, separator), key: entry.slice(separator + 1) };
+        });
+
+    if (entries.length === 0 || entries.some(entry => !entry.id || !entry.key)) {
+        console.error('TOKEN_ENCRYPTION_KEYS is missing or malformed');
+        throw new APIError('The server is missing required configuration.', 500, 'CONFIGURATION_ERROR');
+    }
+
+    return entries;
+}
+
+// Helper function to import a key-encryption key once per isolate
+async function importKey({ id, key }) {
+    const cacheKey = `${id}:${key}`;
+    if (!keyCache.has(cacheKey)) {
+        keyCache.set(cacheKey, crypto.subtle.importKey('raw', fromBase64(key), 'AES-GCM', false, ['encrypt', 'decrypt']));
+    }
+    return keyCache.get(cacheKey);
+}
+
+async function aesGcm(mode, key, iv, data, context = null) {
+    const params = context === null
+        ? { name: 'AES-GCM', iv }
+        : { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(context) };
+    const result = await crypto.subtle[mode](params, key, data);
+    return new Uint8Array(result);
+}
+
+/**
+ * Whether a stored value was produced by encryptSecret
+ * @param {string} value - Stored value
+ * @returns {boolean}
+ */
+export function isEncrypted(value) {
+    return typeof value === 'string' && (value.startsWith(`${PREFIX}:`) || value.startsWith(`${LEGACY_PREFIX}:`));
+}
+
+/**
+ * Whether a stored value should be encrypted again: it is plaintext, not bound
+ * to its context, or wrapped by a key other than the active one
+ * @param {Object} env - Worker environment
+ * @param {string} value - Stored value
+ * @returns {boolean}
+ */
+export function needsReencryption(env, value) {
+    return !value.startsWith(`${PREFIX}:`) || getKeyId(value) !== getActiveKeyId(env);
+}
+
+/**
+ * Id of the key that wrapped an encrypted value
+ * @param {string} value - Stored value
+ * @returns {string|null} Key id, or null for plaintext
+ */
+export function getKeyId(value) {
+    return isEncrypted(value) ? value.split(':')[2] : null;
+}
+
+/**
+ * Id of the key new values are encrypted with
+ * @param {Object} env - Worker environment
+ * @returns {string} Active key id
+ */
+export function getActiveKeyId(env) {
+    return getKeyRing(env)[0].id;
+}
+
+/**
+ * Encrypt a secret with a fresh data key, wrapped by the active key. The
+ * context names where the value is stored (such as the row and column) and is
+ * authenticated with both the data key and the secret, so a value copied to
+ * another row or key fails to decrypt.
+ * Format: enc:v2:<keyId>:<wrapIv>:<wrappedDataKey>:<iv>:<ciphertext>
+ * @param {Object} env - Worker environment
+ * @param {string} plaintext - Secret to encrypt
+ * @param {string} context - Where the value is stored, e.g. users.gsc_refresh_token:42
+ * @returns {Promise<string>} Encrypted value
+ */
+export async function encryptSecret(env, plaintext, context) {
+    const activeKey = getKeyRing(env)[0];
+    const dataKeyBytes = randomBytes(32);
+    const dataKey = await crypto.subtle.importKey('raw', dataKeyBytes, 'AES-GCM', false, ['encrypt']);
+
+    const wrapIv = randomBytes(IV_BYTES);
+    const wrappedDataKey = await aesGcm('encrypt', await importKey(activeKey), wrapIv, dataKeyBytes, context);
+    const iv = randomBytes(IV_BYTES);
+    const ciphertext = await aesGcm('encrypt', dataKey, iv, new TextEncoder().encode(plaintext), context);
+
+    return [PREFIX, activeKey.id, toBase64(wrapIv), toBase64(wrappedDataKey), toBase64(iv), toBase64(ciphertext)].join(':');
+}
+
+/**
+ * Decrypt a value produced by encryptSecret. Plaintext values written before
+ * encryption was introduced are returned unchanged, and v1 values, written
+ * before values were bound to a context, are decrypted without one.
+ * @param {Object} env - Worker environment
+ * @param {string|null} value - Stored value
+ * @param {string} context - The context the value was encrypted with
+ * @returns {Promise<string|null>} Plaintext secret
+ */
+export async function decryptSecret(env, value, context) {
+    if (!isEncrypted(value)) {
+        return value;
+    }
+
+    const [, version, keyId, wrapIv, wrappedDataKey, iv, ciphertext] = value.split(':');
+    const aad = `enc:${version}` === LEGACY_PREFIX ? null : context;
+    const keyEntry = getKeyRing(env).find(entry => entry.id === keyId);
+    if (!keyEntry) {
+        throw new APIError(`Encryption key ${keyId} is not configured`, 500, 'CONFIGURATION_ERROR');
+    }
+
+    const dataKeyBytes = await aesGcm('decrypt', await importKey(keyEntry), fromBase64(wrapIv), fromBase64(wrappedDataKey), aad);
+    const dataKey = await crypto.subtle.importKey('raw', dataKeyBytes, 'AES-GCM', false, ['decrypt']);
+    const plaintext = await aesGcm('decrypt', dataKey, fromBase64(iv), fromBase64(ciphertext), aad);
+
+    return new TextDecoder().decode(plaintext);
+}
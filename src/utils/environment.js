@@ -0,0 +1,14 @@
+// Which deployment the Worker runs as, from the ENVIRONMENT var
+
+// Environments where local stand-ins (console mail, fake payments) may run
+const DEVELOPMENT_ENVIRONMENTS = ['development', 'test'];
+
+/**
+ * Whether the Worker runs locally or under test. An unset ENVIRONMENT counts as
+ * production, so a missing setting never enables a stand-in.
+ * @param {Object} env - Worker environment
+ * @returns {boolean}
+ */
+export function isDevelopmentEnvironment(env) {
+    return DEVELOPMENT_ENVIRONMENTS.includes(env.ENVIRONMENT);
+}
@@ -56,6 +56,48 @@ export class NotFoundError extends APIError {
     }
 }
 
+/**
+ * Permission errors
+ */
+export class ForbiddenError extends APIError {
+    constructor(message, details = null) {
+        super(message, 403, 'FORBIDDEN', details);
+        this.name = 'ForbiddenError';
+    }
+}
+
+/**
+ * The user's credit balance can't cover a charge
+ */
+export class InsufficientCreditsError extends APIError {
+    constructor(required, available, details = null) {
+        super('Insufficient credits', 402, 'INSUFFICIENT_CREDITS', { required, available, ...details });
+        this.name = 'InsufficientCreditsError';
+        this.required = required;
+        this.available = available;
+    }
+}
+
+/**
+ * The user's plan doesn't include what was asked for
+ */
+export class PlanLimitError extends APIError {
+    constructor(message, details = null) {
+        super(message, 403, 'PLAN_LIMIT', details);
+        this.name = 'PlanLimitError';
+    }
+}
+
+/**
+ * Google Search Console is not connected or its grant was revoked
+ */
+export class GSCNotConnectedError extends APIError {
+    constructor(message = 'Google Search Console not connected', details = null) {
+        super(message, 400, 'GSC_NOT_CONNECTED', { needsConnection: true, ...details });
+        this.name = 'GSCNotConnectedError';
+    }
+}
+
 /**
  * Create a standardized error response
  * @param {Error} error - Error object
@@ -73,8 +115,10 @@ export function createErrorResponse(error, headers = {}) {
 
     // Add rate limit headers if present
     if (error instanceof RateLimitError) {
+        const retryAfter = error.details?.retryAfter ?? Math.ceil((error.reset - Date.now()) / 1000);
         headers['X-RateLimit-Remaining'] = error.remaining.toString();
         headers['X-RateLimit-Reset'] = error.reset.toString();
+        headers['Retry-After'] = Math.max(retryAfter, 1).toString();
     }
 
     // Always include CORS headers
@@ -95,32 +139,41 @@ export function createErrorResponse(error, headers = {}) {
     });
 }
 
+/**
+ * Convert any thrown error into a standardized error response
+ * @param {Error} error - Error object
+ * @returns {Response} Error response
+ */
+export function handleError(error) {
+    console.error('Handler error:', error);
+    
+    // If it's already an APIError, use it as is
+    if (error instanceof APIError) {
+        return createErrorResponse(error);
+    }
+    
+    // For unknown errors, wrap them in a generic APIError
+    return createErrorResponse(
+        new APIError(
+            'An unexpected error occurred',
+            500,
+            'INTERNAL_ERROR',
+            error.message
+        )
+    );
+}
+
 /**
  * Handle async errors in route handlers
  * @param {Function} handler - Route handler function
  * @returns {Function} Wrapped handler with error handling
  */
 export function withErrorHandling(handler) {
-    return async (request, env) => {
+    return async (request, env, ...args) => {
         try {
-            return await handler(request, env);
+            return await handler(request, env, ...args);
         } catch (error) {
-            console.error('Handler error:', error);
-            
-            // If it's already an APIError, use it as is
-            if (error instanceof APIError) {
-                return createErrorResponse(error);
-            }
-            
-            // For unknown errors, wrap them in a generic APIError
-            return createErrorResponse(
-                new APIError(
-                    'An unexpected error occurred',
-                    500,
-                    'INTERNAL_ERROR',
-                    error.message
-                )
-            );
+            return handleError(error);
         }
     };
 }
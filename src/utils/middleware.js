@@ -0,0 +1,358 @@
+// Router middleware: request ids, CORS, auth, site permissions, rate limiting and validation
+import jwt from '@tsndr/cloudflare-worker-jwt';
+import { RATE_LIMITS, takeTokens, takeGlobalToken, tighterRateLimit } from './rateLimiter.js';
+import { parseWithSchema } from './validation.js';
+import { timingSafeEqual } from './crypto.js';
+import { isAccessTokenRevoked } from '../services/sessions.js';
+import { resolveSiteAccess } from '../services/organizations.js';
+import { isApiKey, verifyApiKey, recordApiKeyUse } from '../services/apiKeys.js';
+import { getRequestEntitlements, assertPropertyAllowed } from '../services/entitlements.js';
+import { ensureSchema } from '../db.js';
+import {
+    APIError,
+    AuthError,
+    ForbiddenError,
+    RateLimitError,
+    ValidationError,
+    createErrorResponse
+} from './errors.js';
+
+const REQUIRED_ENV_VARS = ['JWT_SECRET', 'GOOGLE_CLIENT_ID', 'GOOGLE_CLIENT_SECRET', 'TOKEN_ENCRYPTION_KEYS', 'RATE_LIMITER'];
+
+/**
+ * CORS headers applied to every response
+ * @param {Object} env - Worker environment
+ * @returns {Object} CORS headers
+ */
+export function getCorsHeaders(env) {
+    return {
+        'Access-Control-Allow-Origin': env.FRONTEND_URL || 'https://analytics.k-o.pro',
+        'Access-Control-Allow-Methods': 'GET, HEAD, POST, PUT, PATCH, DELETE, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Client-Name-Version, X-Request-Id',
+        'Access-Control-Expose-Headers': 'X-Request-Id, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset, Retry-After',
+        'Access-Control-Allow-Credentials': 'true',
+        'Access-Control-Max-Age': '86400'
+    };
+}
+
+/**
+ * Assign a request id, reusing the client's X-Request-Id when present
+ * @param {Request} request - Incoming request
+ */
+export function withRequestId(request) {
+    request.id = request.headers.get('X-Request-Id') || crypto.randomUUID();
+}
+
+/**
+ * Answer CORS preflight requests
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker environment
+ * @returns {Response|undefined} Preflight response
+ */
+export function handlePreflight(request, env) {
+    if (request.method === 'OPTIONS') {
+        return new Response(null, {
+            status: 204,
+            headers: {
+                ...getCorsHeaders(env),
+                'Access-Control-Allow-Headers': request.headers.get('Access-Control-Request-Headers') || getCorsHeaders(env)['Access-Control-Allow-Headers']
+            }
+        });
+    }
+}
+
+/**
+ * Reject requests when required configuration is missing
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker environment
+ */
+export function requireConfiguration(request, env) {
+    const missingVars = REQUIRED_ENV_VARS.filter(v => !env[v]);
+
+    if (missingVars.length > 0) {
+        console.error(`Missing required environment variables: ${missingVars.join(', ')}`);
+        throw new APIError(
+            'The server is missing required configuration.',
+            500,
+            'CONFIGURATION_ERROR'
+        );
+    }
+}
+
+// Helper function to authenticate with an API key; keys only work on routes that declare a scope
+async function authenticateApiKey(request, env, ctx, token, scope) {
+    if (!scope) {
+        throw new ForbiddenError('API keys cannot be used for this endpoint');
+    }
+
+    const keyUser = await verifyApiKey(env, token);
+    if (!keyUser.scopes.includes(scope)) {
+        throw new ForbiddenError(`API key is missing the ${scope} scope`, { requiredScope: scope });
+    }
+
+    const recordUse = recordApiKeyUse(env, keyUser, request.headers.get('CF-Connecting-IP'))
+        .catch(error => console.error('Failed to record API key use:', error));
+    if (ctx && ctx.waitUntil) {
+        ctx.waitUntil(recordUse);
+    } else {
+        await recordUse;
+    }
+
+    const { last_used_at, ...user } = keyUser;
+    request.user = user;
+}
+
+/**
+ * Authenticate the request with a Bearer JWT or API key
+ * @param {Object} options - Auth options
+ * @param {boolean} options.optional - Continue without a user instead of failing
+ * @param {string} options.scope - API key scope that grants access; without one API keys are refused
+ * @returns {Function} Middleware
+ */
+export function authenticate({ optional = false, scope } = {}) {
+    return async (request, env, ctx) => {
+        const authHeader = request.headers.get('Authorization');
+        const token = authHeader && authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null;
+
+        if (token && isApiKey(token)) {
+            await authenticateApiKey(request, env, ctx, token, scope);
+        } else if (token) {
+            let payload = null;
+            try {
+                const verified = await jwt.verify(token, env.JWT_SECRET);
+                payload = verified ? verified.payload : null;
+            } catch (error) {
+                console.error('JWT verification error:', error);
+            }
+
+            // Tokens without a session or expiry predate revocable sessions and are not accepted
+            if (payload && payload.sid && payload.exp) {
+                if (await isAccessTokenRevoked(env, payload)) {
+                    throw new AuthError('Session has been revoked');
+                }
+                request.user = payload;
+            }
+        }
+
+        if (!request.user && !optional) {
+            throw new AuthError('Authentication required');
+        }
+    };
+}
+
+/**
+ * Authenticate operator requests with the ADMIN_TOKEN secret
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker environment
+ */
+export function requireAdmin(request, env) {
+    const authHeader = request.headers.get('Authorization') || '';
+    const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : '';
+
+    if (!env.ADMIN_TOKEN || !timingSafeEqual(token, env.ADMIN_TOKEN)) {
+        throw new AuthError('Admin authentication required');
+    }
+}
+
+// Helper function to name the rate limit subject of the client's address
+function clientSubject(request) {
+    return `ip:${request.headers.get('CF-Connecting-IP') || 'unknown'}`;
+}
+
+// Helper function to pick the caller's rate limit subject and their plan's multiplier
+async function rateLimitSubject(request, env) {
+    if (!request.user) {
+        return { subject: clientSubject(request), scope: 'ip', multiplier: 1 };
+    }
+
+    // API keys get their own buckets so scripts don't eat into the user's browser quota
+    const { rateLimitMultiplier } = await getRequestEntitlements(request, env);
+    return request.user.api_key_id
+        ? { subject: `api_key:${request.user.api_key_id}`, scope: 'apiKey', multiplier: rateLimitMultiplier }
+        : { subject: `user:${request.user.user_id}`, scope: 'user', multiplier: rateLimitMultiplier };
+}
+
+// Helper function to remember the result to report in the X-RateLimit headers, and refuse when limited
+function applyRateLimit(request, result, message) {
+    request.rateLimit = tighterRateLimit(request.rateLimit, result);
+
+    if (result.limited) {
+        throw new RateLimitError(message, result.remaining, result.reset, { retryAfter: result.retryAfter });
+    }
+}
+
+/**
+ * Hold requests until pending schema migrations are applied, so new code
+ * never serves requests on the previous schema. The migration admin routes
+ * stay reachable so a failing migration can be inspected and retried.
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker environment
+ * @returns {Promise<void>}
+ * @throws {APIError} If a pending migration can't be applied
+ */
+export async function requireSchema(request, env) {
+    if (new URL(request.url).pathname.startsWith('/admin/migrations')) {
+        return;
+    }
+
+    try {
+        await ensureSchema(env);
+    } catch (error) {
+        console.error('Schema migration failed:', error);
+        throw new APIError('The service is being updated, please retry shortly', 503, 'SCHEMA_UNAVAILABLE');
+    }
+}
+
+/**
+ * Rate limit every request by client IP before routing, so preflight, not
+ * found and unauthenticated responses are limited and carry X-RateLimit headers too
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker environment
+ * @returns {Promise<void>}
+ * @throws {RateLimitError} If the client's bucket is empty
+ */
+export async function rateLimitClient(request, env) {
+    const result = await takeTokens(env, clientSubject(request), [{ key: 'client', ...RATE_LIMITS.client }]);
+    applyRateLimit(request, result, 'Rate limit exceeded');
+}
+
+/**
+ * Rate limit every routed request with token buckets: the caller's own
+ * bucket (user, API key, or client IP for anonymous requests) and, when the
+ * route declares one, a per-endpoint bucket for the caller, then a shard of
+ * the global bucket once those allow the request. Signed-in callers get
+ * their limits times their plan's rateLimitMultiplier.
+ * @param {string} name - Endpoint bucket name
+ * @param {number[]} [endpoint] - [limit, windowSeconds, burst] for the endpoint bucket on the free plan
+ * @returns {Function} Middleware
+ */
+export function rateLimit(name, endpoint = null) {
+    return async (request, env) => {
+        const { subject, scope, multiplier } = await rateLimitSubject(request, env);
+        const own = RATE_LIMITS[scope];
+        const buckets = [{
+            key: 'all',
+            limit: own.limit * multiplier,
+            window: own.window,
+            burst: own.burst * multiplier
+        }];
+
+        if (endpoint) {
+            const [limit, window = 60, burst = limit] = endpoint;
+            buckets.push({ key: name, limit: limit * multiplier, window, burst: burst * multiplier });
+        }
+
+        const result = await takeTokens(env, subject, buckets);
+        applyRateLimit(request, result, scope === 'apiKey' ? 'API key rate limit exceeded' : 'Rate limit exceeded');
+
+        // Taken only for requests the caller's buckets allow, so refused requests don't use global capacity
+        const global = await takeGlobalToken(env);
+        if (global) {
+            applyRateLimit(request, global, 'The API is busy, please retry shortly');
+        }
+    };
+}
+
+/**
+ * Take a token from a per-endpoint bucket inside a handler, for limits that
+ * only apply on some paths (such as calls to Google after a cache miss)
+ * @param {Request} request - Request that passed authentication
+ * @param {Object} env - Worker environment
+ * @param {string} name - Endpoint bucket name
+ * @param {number} limit - Requests per window on the free plan
+ * @param {number} window - Window in seconds
+ * @returns {Promise<void>}
+ * @throws {RateLimitError} If the bucket is empty
+ */
+export async function enforceRateLimit(request, env, name, limit, window = 60) {
+    const { subject, multiplier } = await rateLimitSubject(request, env);
+    const result = await takeTokens(env, subject, [{ key: name, limit: limit * multiplier, window }]);
+    applyRateLimit(request, result, 'Rate limit exceeded');
+}
+
+/**
+ * Resolve access to the property named by the siteUrl query parameter or body field.
+ * Sets request.site ({ siteUrl, userId, orgId, role }); request.site.userId is the
+ * account whose Google connection and stored data serve the property, and that
+ * account's plan must cover the property. Requests without a siteUrl get the
+ * user's own account and the handler validates the rest.
+ * @param {string} permission - Permission needed on properties shared with the active organization
+ * @returns {Function} Middleware
+ */
+export function requireSitePermission(permission) {
+    return async (request, env) => {
+        let siteUrl = new URL(request.url).searchParams.get('siteUrl');
+
+        if (!siteUrl && request.method !== 'GET') {
+            const body = await request.clone().json().catch(() => null);
+            siteUrl = body && typeof body.siteUrl === 'string' ? body.siteUrl : null;
+        }
+
+        request.site = siteUrl
+            ? await resolveSiteAccess(env, request.user, siteUrl, permission)
+            : { siteUrl: null, userId: request.user.user_id, orgId: null, role: null };
+
+        if (siteUrl) {
+            await assertPropertyAllowed(env, request.site.userId, siteUrl);
+        }
+    };
+}
+
+/**
+ * Validate the JSON body against a Zod schema; the handler can still read the body
+ * @param {z.ZodTypeAny} schema - Zod schema
+ * @returns {Function} Middleware
+ */
+export function validateBody(schema) {
+    return async request => {
+        let body;
+        try {
+            body = await request.clone().json();
+        } catch (error) {
+            throw new ValidationError('Request body must be valid JSON');
+        }
+
+        request.validated = parseWithSchema(schema, body);
+    };
+}
+
+/**
+ * Apply CORS and request id headers to the final response
+ * @param {Response} response - Route response
+ * @param {Request} request - Incoming request
+ * @param {Object} env - Worker environment
+ * @returns {Response} Finalized response
+ */
+export function finalizeResponse(response, request, env) {
+    if (!response) {
+        response = createErrorResponse(new APIError('Not found', 404, 'NOT_FOUND', { path: new URL(request.url).pathname }));
+    }
+
+    // Copy so headers are mutable even for passthrough responses
+    const finalized = new Response(response.body, response);
+    for (const [key, value] of Object.entries(getCorsHeaders(env))) {
+        if (key === 'Access-Control-Allow-Headers' && request.method === 'OPTIONS') {
+            continue;
+        }
+        finalized.headers.set(key, value);
+    }
+
+    // Errors such as Google's quota responses carry their own Remaining and Reset
+    if (request.rateLimit) {
+        const { limit, remaining, reset, limited, retryAfter } = request.rateLimit;
+        finalized.headers.set('X-RateLimit-Limit', limit.toString());
+        if (!finalized.headers.has('X-RateLimit-Remaining')) {
+            finalized.headers.set('X-RateLimit-Remaining', remaining.toString());
+            finalized.headers.set('X-RateLimit-Reset', reset.toString());
+        }
+        if (limited) {
+            finalized.headers.set('Retry-After', retryAfter.toString());
+        }
+    }
+
+    if (request.id) {
+        finalized.headers.set('X-Request-Id', request.id);
+    }
+
+    return finalized;
+}
@@ -0,0 +1,72 @@
+// Password hashing with PBKDF2-SHA256 and per-user salts
+import { sha256Hex, randomBytes, toBase64, fromBase64, timingSafeEqual } from './crypto.js';
+
+const ALGORITHM = 'pbkdf2_sha256';
+// Workers cap PBKDF2 at 100,000 iterations
+export const PBKDF2_ITERATIONS = 100000;
+const SALT_BYTES = 16;
+const KEY_BITS = 256;
+
+// Verified against when no account matches, so unknown emails take as long as wrong passwords
+export const DUMMY_PASSWORD_HASH = `${ALGORITHM}$${PBKDF2_ITERATIONS}$nkOXCEngqaymV5CZV8nwiA==$ttbquMqwRlh2dpIQLpzypORmu0tcw1gL36puIb3XkEo=`;
+
+// Helper function to derive the PBKDF2 key for a password
+async function deriveKey(password, salt, iterations) {
+    const keyMaterial = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(password),
+        'PBKDF2',
+        false,
+        ['deriveBits']
+    );
+    const bits = await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        keyMaterial,
+        KEY_BITS
+    );
+    return new Uint8Array(bits);
+}
+
+/**
+ * Hash a password for storage.
+ * Format: pbkdf2_sha256$<iterations>$<base64 salt>$<base64 hash>
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} Encoded hash
+ */
+export async function hashPassword(password) {
+    const salt = randomBytes(SALT_BYTES);
+    const hash = await deriveKey(password, salt, PBKDF2_ITERATIONS);
+    return `${ALGORITHM}$${PBKDF2_ITERATIONS}$${toBase64(salt)}$${toBase64(hash)}`;
+}
+
+/**
+ * Verify a password against a stored hash. Hashes without an algorithm prefix
+ * are legacy SHA-256(password + PASSWORD_SALT) hex digests.
+ * @param {string} password - Plain-text password
+ * @param {string} storedHash - Value of users.password_hash
+ * @param {string} legacySalt - Global PASSWORD_SALT used by legacy hashes
+ * @returns {Promise<Object>} { valid, needsRehash }
+ */
+export async function verifyPassword(password, storedHash, legacySalt) {
+    if (!storedHash) {
+        return { valid: false, needsRehash: false };
+    }
+
+    if (!storedHash.includes('$')) {
+        const valid = !!legacySalt && timingSafeEqual(await sha256Hex(password + legacySalt), storedHash);
+        return { valid, needsRehash: valid };
+    }
+
+    const [algorithm, iterationsText, saltText, hashText] = storedHash.split('$');
+    const iterations = parseInt(iterationsText, 10);
+
+    if (algorithm !== ALGORITHM || !iterations || !saltText || !hashText) {
+        console.error('Unrecognized password hash format');
+        return { valid: false, needsRehash: false };
+    }
+
+    const hash = await deriveKey(password, fromBase64(saltText), iterations);
+    const valid = timingSafeEqual(toBase64(hash), hashText);
+
+    return { valid, needsRehash: valid && iterations < PBKDF2_ITERATIONS };
+}
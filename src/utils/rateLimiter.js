@@ -1,100 +1,91 @@
-// Rate limiter utility for API calls
+// Rate limiter client for the token buckets kept by the RATE_LIMITER Durable Object
+import { APIError } from './errors.js';
 
-const DEFAULT_LIMIT = 100; // requests per minute
-const DEFAULT_WINDOW = 60; // seconds
+/**
+ * Buckets every request takes a token from, besides any per-endpoint bucket.
+ * limit tokens refill every window seconds (the sustained rate) and a bucket
+ * holds at most burst tokens. Signed-in subjects are scaled by their plan.
+ */
+export const RATE_LIMITS = {
+    // Whole API, shared by every client and split over GLOBAL_SHARDS objects
+    global: { limit: 1000, window: 1, burst: 2000 },
+    // Per client IP for every request, before authentication; roomy enough for an office behind one address
+    client: { limit: 600, window: 60, burst: 120 },
+    // Per signed-in user, across all routes
+    user: { limit: 300, window: 60, burst: 60 },
+    // Per API key, across all routes; separate from the owner's browser quota
+    apiKey: { limit: 120, window: 60, burst: 30 },
+    // Per client IP for anonymous requests
+    ip: { limit: 60, window: 60, burst: 20 }
+};
 
 /**
- * Check if a request should be rate limited
- * @param {KVNamespace} kv - Cloudflare KV namespace
- * @param {string} key - Rate limit key
- * @param {number} limit - Maximum requests allowed in window
- * @param {number} window - Time window in seconds
- * @returns {Promise<{limited: boolean, remaining: number, reset: number}>}
+ * Take one token from each of a subject's buckets, all or nothing
+ * @param {Object} env - Worker environment
+ * @param {string} subject - Who the buckets belong to (user:1, api_key:2, ip:..., global:0)
+ * @param {Array<Object>} buckets - { key, limit, window, burst }; burst defaults to limit
+ * @returns {Promise<{limited: boolean, limit: number, remaining: number, reset: number, retryAfter: number}>}
+ *   The bucket that refused the request, or else the one closest to empty
+ * @throws {APIError} If the limiter can't be reached; requests are refused rather than let through unlimited
  */
-export async function checkRateLimit(kv, key, limit = DEFAULT_LIMIT, window = DEFAULT_WINDOW) {
+export async function takeTokens(env, subject, buckets) {
+    let result;
     try {
-        const now = Date.now();
-        const windowKey = `${key}:${Math.floor(now / (window * 1000))}`;
-        
-        // Get current count for this window
-        const current = await kv.get(windowKey, 'json') || { count: 0, reset: now + (window * 1000) };
-        
-        // If window expired, reset counter
-        if (now > current.reset) {
-            await kv.put(windowKey, JSON.stringify({
-                count: 1,
-                reset: now + (window * 1000)
-            }), {
-                expirationTtl: window
-            });
-            return {
-                limited: false,
-                remaining: limit - 1,
-                reset: now + (window * 1000)
-            };
-        }
-        
-        // Check if limit exceeded
-        if (current.count >= limit) {
-            return {
-                limited: true,
-                remaining: 0,
-                reset: current.reset
-            };
-        }
-        
-        // Increment counter
-        await kv.put(windowKey, JSON.stringify({
-            count: current.count + 1,
-            reset: current.reset
-        }), {
-            expirationTtl: window
-        });
-        
-        return {
-            limited: false,
-            remaining: limit - (current.count + 1),
-            reset: current.reset
-        };
+        const stub = env.RATE_LIMITER.get(env.RATE_LIMITER.idFromName(subject));
+        result = await stub.take(buckets.map(bucket => ({ burst: bucket.limit, ...bucket })));
     } catch (error) {
-        console.error('Rate limit check error:', error);
-        // On error, allow the request to proceed
-        return {
-            limited: false,
-            remaining: limit,
-            reset: Date.now() + (window * 1000)
-        };
+        console.error('Rate limiter error:', error);
+        throw new APIError('Rate limiting is temporarily unavailable', 503, 'RATE_LIMIT_UNAVAILABLE');
     }
+
+    const blocking = result.allowed
+        ? result.buckets.reduce((a, b) => (b.remaining < a.remaining ? b : a))
+        : result.buckets.reduce((a, b) => (b.retryAfter > a.retryAfter ? b : a));
+
+    return {
+        limited: !result.allowed,
+        limit: blocking.limit,
+        remaining: blocking.remaining,
+        reset: blocking.reset,
+        retryAfter: blocking.retryAfter
+    };
 }
 
+// Objects the global bucket is split over, so no single object limits throughput or takes the API down
+export const GLOBAL_SHARDS = 16;
+
 /**
- * Generate a rate limit key for GSC API calls
- * @param {string} userId - User ID
- * @param {string} endpoint - API endpoint
- * @returns {string} Rate limit key
+ * Take one token from a random shard of the global bucket. Each shard holds
+ * its share of the global limit, so together they allow about the global rate.
+ * @param {Object} env - Worker environment
+ * @returns {Promise<Object|null>} Result as from takeTokens, or null if the shard
+ *   can't be reached; the caller's own buckets still apply then, so the request goes ahead
  */
-export function generateGSCRateLimitKey(userId, endpoint) {
-    return `rate_limit:gsc:${userId}:${endpoint}`;
+export async function takeGlobalToken(env) {
+    const { limit, window, burst } = RATE_LIMITS.global;
+    const shard = Math.floor(Math.random() * GLOBAL_SHARDS);
+
+    try {
+        return await takeTokens(env, `global:${shard}`, [{
+            key: 'all',
+            limit: Math.ceil(limit / GLOBAL_SHARDS),
+            window,
+            burst: Math.ceil(burst / GLOBAL_SHARDS)
+        }]);
+    } catch (error) {
+        return null;
+    }
 }
 
 /**
- * Create a rate limit response
- * @param {number} remaining - Remaining requests
- * @param {number} reset - Reset timestamp
- * @returns {Response} Rate limit response
+ * Of two rate limit results, the one to report to the client
+ * @param {Object|null} current - Result reported so far
+ * @param {Object} next - New result from takeTokens
+ * @returns {Object} The limited result, or the one with fewer requests remaining
  */
-export function createRateLimitResponse(remaining, reset) {
-    return new Response(JSON.stringify({
-        success: false,
-        error: 'Rate limit exceeded',
-        remaining,
-        reset
-    }), {
-        status: 429,
-        headers: {
-            'Content-Type': 'application/json',
-            'X-RateLimit-Remaining': remaining.toString(),
-            'X-RateLimit-Reset': reset.toString()
-        }
-    });
-} 
\ No newline at end of file
+export function tighterRateLimit(current, next) {
+    if (!current || next.limited) {
+        return next;
+    }
+    return !current.limited && next.remaining < current.remaining ? next : current;
+}
@@ -0,0 +1,55 @@
+/**
+ * Token bucket arithmetic for the RateLimiter Durable Object, free of storage
+ * so it can be tested on its own. Stored state is { tokens, updatedAt } per bucket key.
+ */
+
+// Helper function to refill a stored bucket up to the moment of the request
+function refill(stored, bucket, now) {
+    const capacity = bucket.burst;
+    const ratePerMs = bucket.limit / (bucket.window * 1000);
+
+    if (!stored) {
+        return { tokens: capacity, ratePerMs, capacity };
+    }
+    const tokens = Math.min(capacity, stored.tokens + (now - stored.updatedAt) * ratePerMs);
+    return { tokens, ratePerMs, capacity };
+}
+
+/**
+ * Take one token from every bucket, or none if any bucket is empty
+ * @param {Map<string, Object>} stored - Stored state by bucket key; missing buckets start full
+ * @param {Array<Object>} buckets - { key, limit, window, burst } per bucket
+ * @param {number} now - Current time in ms
+ * @returns {Object} { allowed, buckets, entries, fullAt } where each bucket has key, limit,
+ *   remaining, reset (ms timestamp when it is full again) and retryAfter (seconds until a token);
+ *   entries is the state to store by key and fullAt the time every bucket is full again
+ */
+export function takeFromBuckets(stored, buckets, now) {
+    const states = buckets.map(bucket => refill(stored.get(bucket.key), bucket, now));
+    const allowed = states.every(state => state.tokens >= 1);
+
+    if (allowed) {
+        for (const state of states) {
+            state.tokens -= 1;
+        }
+    }
+
+    const entries = {};
+    let fullAt = now;
+    const results = buckets.map((bucket, i) => {
+        const { tokens, ratePerMs, capacity } = states[i];
+        const reset = Math.ceil(now + (capacity - tokens) / ratePerMs);
+        entries[bucket.key] = { tokens, updatedAt: now };
+        fullAt = Math.max(fullAt, reset);
+
+        return {
+            key: bucket.key,
+            limit: bucket.limit,
+            remaining: Math.floor(tokens),
+            reset,
+            retryAfter: tokens >= 1 ? 0 : Math.ceil((1 - tokens) / ratePerMs / 1000)
+        };
+    });
+
+    return { allowed, buckets: results, entries, fullAt };
+}
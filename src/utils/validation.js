@@ -0,0 +1,216 @@
+// Request validation schemas built on Zod
+import { z } from 'zod';
+import { ValidationError } from './errors.js';
+import { API_KEY_SCOPES } from '../services/apiKeys.js';
+import { PRODUCT_IDS } from '../services/creditCatalog.js';
+import { PLAN_IDS } from '../services/entitlements.js';
+import { isValidRange } from './comparison.js';
+
+const isoDate = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Expected a date in YYYY-MM-DD format');
+
+export const GSC_DIMENSIONS = ['query', 'page', 'device', 'country', 'date', 'searchAppearance'];
+export const GSC_SEARCH_TYPES = ['web', 'image', 'video', 'news', 'discover', 'googleNews'];
+
+const dimensionFilterSchema = z.object({
+    dimension: z.enum(['query', 'page', 'device', 'country', 'searchAppearance']),
+    operator: z.enum(['equals', 'notEquals', 'contains', 'notContains', 'includingRegex', 'excludingRegex']).default('equals'),
+    expression: z.string().min(1)
+});
+
+const dimensionFilterGroupSchema = z.object({
+    groupType: z.literal('and').default('and'),
+    filters: z.array(dimensionFilterSchema).min(1)
+});
+
+export const COMPARE_DIMENSIONS = ['query', 'page', 'device', 'country'];
+export const COMPARE_PRESETS = ['previous_period', 'same_period_last_year'];
+
+const dateRangeSchema = z.object({
+    startDate: isoDate,
+    endDate: isoDate
+}).refine(isValidRange, { message: 'Expected a valid { startDate, endDate } range with endDate not before startDate' });
+
+/**
+ * Body of POST /gsc/compare; previous overrides preset
+ */
+export const compareSchema = z.object({
+    siteUrl: z.string().min(1),
+    current: dateRangeSchema,
+    previous: dateRangeSchema.optional(),
+    preset: z.enum(COMPARE_PRESETS).default('previous_period'),
+    dimensions: z.array(z.enum(COMPARE_DIMENSIONS)).default(['query', 'page']),
+    // Entries per list (changes, new, lost) and dimension
+    limit: z.number().int().min(1).max(1000).default(100)
+});
+
+/**
+ * Body of POST /gsc/data, mirroring the searchAnalytics.query request
+ */
+export const gscDataRequestSchema = z.object({
+    siteUrl: z.string().min(1),
+    startDate: isoDate,
+    endDate: isoDate,
+    dimensions: z.array(z.enum(GSC_DIMENSIONS)).default(['query', 'page']),
+    searchType: z.enum(GSC_SEARCH_TYPES).default('web'),
+    aggregationType: z.enum(['auto', 'byPage', 'byProperty', 'byNewsShowcasePanel']).default('auto'),
+    dataState: z.enum(['final', 'all']).default('final'),
+    dimensionFilterGroups: z.array(dimensionFilterGroupSchema).optional(),
+    rowLimit: z.number().int().min(1).max(25000).default(500),
+    startRow: z.number().int().min(0).default(0),
+    // Total rows to collect by paging with startRow; defaults to a single page of rowLimit rows
+    maxRows: z.number().int().min(1).optional(),
+    // Run the pull as a background export job and return its id
+    async: z.boolean().default(false)
+}).superRefine((body, ctx) => {
+    if (body.startDate > body.endDate) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['endDate'], message: 'endDate must not be before startDate' });
+    }
+
+    // Discover and Google News report no query data
+    const usesQuery = body.dimensions.includes('query') ||
+        (body.dimensionFilterGroups || []).some(group => group.filters.some(f => f.dimension === 'query'));
+    if (['discover', 'googleNews'].includes(body.searchType) && usesQuery) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['dimensions'], message: `The query dimension is not available for searchType ${body.searchType}` });
+    }
+
+    // Property aggregation cannot be grouped or filtered by page
+    const usesPage = body.dimensions.includes('page') ||
+        (body.dimensionFilterGroups || []).some(group => group.filters.some(f => f.dimension === 'page'));
+    if (body.aggregationType === 'byProperty' && usesPage) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['aggregationType'], message: 'byProperty aggregation cannot be used with the page dimension or page filters' });
+    }
+});
+
+// Passwords chosen at registration or reset; the upper bound keeps PBKDF2 hashing cheap to refuse
+const newPasswordSchema = z.string()
+    .min(8, 'Password must be at least 8 characters')
+    .max(256, 'Password must be at most 256 characters');
+
+/**
+ * Body of POST /auth/login; any stored password must still be accepted
+ */
+export const credentialsSchema = z.object({
+    name: z.string().max(200).optional(),
+    email: z.string().trim().email(),
+    password: z.string().min(1)
+});
+
+/**
+ * Body of POST /auth/register
+ */
+export const registerSchema = credentialsSchema.extend({
+    password: newPasswordSchema
+});
+
+/**
+ * Body of POST /auth/password-reset/request
+ */
+export const emailSchema = z.object({
+    email: z.string().trim().email()
+});
+
+/**
+ * Body of POST /auth/password-reset/confirm
+ */
+export const passwordResetSchema = z.object({
+    token: z.string().min(1),
+    password: newPasswordSchema
+});
+
+/**
+ * Body of POST /auth/verify-email/confirm
+ */
+export const emailTokenSchema = z.object({
+    token: z.string().min(1)
+});
+
+const roleSchema = z.enum(['owner', 'admin', 'analyst', 'viewer']);
+
+/**
+ * Body of POST /auth/switch-org; null switches to the personal workspace
+ */
+export const switchOrganizationSchema = z.object({
+    orgId: z.number().int().positive().nullable()
+});
+
+/**
+ * Body of POST /orgs
+ */
+export const organizationSchema = z.object({
+    name: z.string().trim().min(1).max(200)
+});
+
+/**
+ * Body of POST /orgs/:id/invitations
+ */
+export const invitationSchema = z.object({
+    email: z.string().trim().email(),
+    role: roleSchema.default('viewer')
+});
+
+/**
+ * Body of PATCH /orgs/:id/members/:userId
+ */
+export const memberRoleSchema = z.object({
+    role: roleSchema
+});
+
+/**
+ * Body of POST /orgs/:id/properties
+ */
+export const sharePropertySchema = z.object({
+    siteUrl: z.string().min(1)
+});
+
+/**
+ * Body of POST /api-keys
+ */
+export const apiKeySchema = z.object({
+    name: z.string().trim().min(1).max(100),
+    scopes: z.array(z.enum(Object.keys(API_KEY_SCOPES))).min(1),
+    expiresInDays: z.number().int().min(1).max(3650).optional()
+});
+
+/**
+ * Body of POST /credits/use
+ */
+export const creditUseSchema = z.object({
+    amount: z.number().int().min(1).max(100).default(1),
+    purpose: z.string().trim().min(1).max(100)
+});
+
+/**
+ * Body of POST /billing/checkout
+ */
+export const checkoutSchema = z.object({
+    productId: z.enum(PRODUCT_IDS)
+});
+
+/**
+ * Body of POST /admin/users/:id/plan
+ */
+export const planSchema = z.object({
+    plan: z.enum(PLAN_IDS).nullable()
+});
+
+/**
+ * Validate data against a Zod schema
+ * @param {z.ZodTypeAny} schema - Zod schema
+ * @param {*} data - Data to validate
+ * @returns {*} Parsed data with defaults applied
+ * @throws {ValidationError} If validation fails
+ */
+export function parseWithSchema(schema, data) {
+    const result = schema.safeParse(data);
+
+    if (!result.success) {
+        throw new ValidationError('Invalid request', {
+            issues: result.error.issues.map(issue => ({
+                path: issue.path.join('.'),
+                message: issue.message
+            }))
+        });
+    }
+
+    return result.data;
+}
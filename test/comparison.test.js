@@ -0,0 +1,183 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { isValidRange, resolvePreviousRange, diffMetrics, compareRows, compareTotals } from '../src/utils/comparison.js';
+import { fetchPagedRows } from '../src/services/gscExport.js';
+
+// Helper function to build a GSC row for one dimension value
+function row(key, clicks, impressions = clicks * 10, position = 5) {
+    return { keys: [key], clicks, impressions, ctr: impressions ? clicks / impressions : 0, position };
+}
+
+describe('resolvePreviousRange', () => {
+    it('takes the same number of days right before the current range', () => {
+        assert.deepEqual(
+            resolvePreviousRange({ startDate: '2026-03-08', endDate: '2026-03-14' }, 'previous_period'),
+            { startDate: '2026-03-01', endDate: '2026-03-07' }
+        );
+        assert.deepEqual(
+            resolvePreviousRange({ startDate: '2026-03-01', endDate: '2026-03-01' }, 'previous_period'),
+            { startDate: '2026-02-28', endDate: '2026-02-28' }
+        );
+    });
+
+    it('crosses month, leap day and year boundaries', () => {
+        assert.deepEqual(
+            resolvePreviousRange({ startDate: '2024-03-01', endDate: '2024-03-31' }, 'previous_period'),
+            { startDate: '2024-01-30', endDate: '2024-02-29' }
+        );
+        assert.deepEqual(
+            resolvePreviousRange({ startDate: '2026-01-01', endDate: '2026-01-10' }, 'previous_period'),
+            { startDate: '2025-12-22', endDate: '2025-12-31' }
+        );
+    });
+
+    it('counts days in UTC regardless of daylight saving changes', () => {
+        // Covers the last Sunday of March, when Europe moves its clocks
+        assert.deepEqual(
+            resolvePreviousRange({ startDate: '2026-03-29', endDate: '2026-04-04' }, 'previous_period'),
+            { startDate: '2026-03-22', endDate: '2026-03-28' }
+        );
+    });
+
+    it('shifts the range back a year for same_period_last_year', () => {
+        assert.deepEqual(
+            resolvePreviousRange({ startDate: '2026-06-01', endDate: '2026-06-30' }, 'same_period_last_year'),
+            { startDate: '2025-06-01', endDate: '2025-06-30' }
+        );
+        // There is no 29 February the year before, so the day rolls over
+        assert.deepEqual(
+            resolvePreviousRange({ startDate: '2024-02-29', endDate: '2024-02-29' }, 'same_period_last_year'),
+            { startDate: '2023-03-01', endDate: '2023-03-01' }
+        );
+    });
+});
+
+describe('isValidRange', () => {
+    it('accepts ordered YYYY-MM-DD dates only', () => {
+        assert.equal(isValidRange({ startDate: '2026-01-01', endDate: '2026-01-01' }), true);
+        assert.equal(isValidRange({ startDate: '2026-01-02', endDate: '2026-01-01' }), false);
+        assert.equal(isValidRange({ startDate: '2026-1-1', endDate: '2026-01-02' }), false);
+        assert.equal(isValidRange({ startDate: '2026-13-01', endDate: '2026-13-02' }), false);
+        assert.equal(isValidRange(null), false);
+    });
+});
+
+describe('diffMetrics', () => {
+    it('reports absolute and percent change', () => {
+        const { change, changePercent } = diffMetrics(
+            { clicks: 150, impressions: 1000, ctr: 0.15, position: 4 },
+            { clicks: 100, impressions: 1000, ctr: 0.1, position: 5 }
+        );
+
+        assert.equal(change.clicks, 50);
+        assert.equal(changePercent.clicks, 50);
+        assert.equal(changePercent.impressions, 0);
+        assert.equal(change.position, -1);
+        assert.equal(changePercent.position, -20);
+    });
+
+    it('has no percent change from a zero baseline', () => {
+        const { change, changePercent } = diffMetrics(
+            { clicks: 12, impressions: 0, ctr: 0, position: 3 },
+            { clicks: 0, impressions: 0, ctr: 0, position: 0 }
+        );
+
+        assert.equal(change.clicks, 12);
+        assert.equal(changePercent.clicks, null);
+        assert.equal(changePercent.impressions, null);
+        assert.equal(changePercent.position, null);
+    });
+
+    it('rounds percent change to two decimals', () => {
+        const { changePercent } = diffMetrics(
+            { clicks: 1, impressions: 0, ctr: 0, position: 0 },
+            { clicks: 3, impressions: 1, ctr: 0, position: 0 }
+        );
+
+        assert.equal(changePercent.clicks, -66.67);
+    });
+});
+
+describe('compareRows', () => {
+    it('splits rows into changed, new and lost keys', () => {
+        const result = compareRows(
+            [row('kept', 20), row('added', 5)],
+            [row('kept', 10), row('gone', 7)]
+        );
+
+        assert.deepEqual(
+            result.changes.map(entry => [entry.key, entry.change.clicks, entry.changePercent.clicks]),
+            [['kept', 10, 100]]
+        );
+        assert.deepEqual(result.new.map(entry => [entry.key, entry.clicks]), [['added', 5]]);
+        assert.deepEqual(result.lost.map(entry => [entry.key, entry.clicks]), [['gone', 7]]);
+    });
+
+    it('orders by the size of the change and keeps the top entries of each list', () => {
+        const result = compareRows(
+            [row('a', 10), row('b', 0), row('c', 31), row('n1', 1), row('n2', 9)],
+            [row('a', 12), row('b', 40), row('c', 30), row('l1', 3), row('l2', 8)],
+            2
+        );
+
+        assert.deepEqual(result.changes.map(entry => entry.key), ['b', 'a']);
+        assert.deepEqual(result.new.map(entry => entry.key), ['n2', 'n1']);
+        assert.deepEqual(result.lost.map(entry => entry.key), ['l2', 'l1']);
+    });
+
+    it('treats missing metrics as zero', () => {
+        const result = compareRows([{ keys: ['a'], clicks: 4 }], [{ keys: ['a'] }]);
+
+        assert.deepEqual(result.changes[0].previous, { clicks: 0, impressions: 0, ctr: 0, position: 0 });
+        assert.equal(result.changes[0].changePercent.clicks, null);
+    });
+});
+
+describe('compareTotals', () => {
+    it('compares aggregate rows, treating a missing period as zero', () => {
+        const totals = compareTotals({ clicks: 30, impressions: 300, ctr: 0.1, position: 7 }, undefined);
+
+        assert.deepEqual(totals.previous, { clicks: 0, impressions: 0, ctr: 0, position: 0 });
+        assert.equal(totals.change.clicks, 30);
+        assert.equal(totals.changePercent.clicks, null);
+    });
+});
+
+describe('fetchPagedRows truncation', () => {
+    // Helper function to serve a result set of `total` rows a page at a time
+    function pagedSource(total) {
+        const requests = [];
+        const fetchPage = async body => {
+            requests.push({ startRow: body.startRow, rowLimit: body.rowLimit });
+            const count = Math.max(0, Math.min(body.rowLimit, total - body.startRow));
+            return Array.from({ length: count }, (_, i) => row(`q${body.startRow + i}`, 1));
+        };
+        return { requests, fetchPage };
+    }
+
+    it('is not truncated when the result set ends within the limit', async () => {
+        const source = pagedSource(25);
+        const result = await fetchPagedRows(source.fetchPage, { rowLimit: 10 }, 100);
+
+        assert.equal(result.rows.length, 25);
+        assert.equal(result.truncated, false);
+        assert.deepEqual(source.requests.map(request => request.startRow), [0, 10, 20]);
+    });
+
+    it('is truncated when the limit is reached with rows left over', async () => {
+        const source = pagedSource(50);
+        const result = await fetchPagedRows(source.fetchPage, { rowLimit: 10 }, 25);
+
+        assert.equal(result.rows.length, 25);
+        assert.equal(result.truncated, true);
+        assert.deepEqual(source.requests.at(-1), { startRow: 20, rowLimit: 5 });
+    });
+
+    it('is truncated when the result set is exactly as large as the limit', async () => {
+        // The last page is full, so there is no telling whether more rows exist
+        const result = await fetchPagedRows(pagedSource(20).fetchPage, { rowLimit: 10 }, 20);
+
+        assert.equal(result.rows.length, 20);
+        assert.equal(result.truncated, true);
+    });
+});
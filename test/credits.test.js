@@ -0,0 +1,222 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestEnv, createUser } from './helpers.js';
+import {
+    getBalance,
+    grantCredits,
+    debitCredits,
+    reserveCredits,
+    commitReservation,
+    releaseReservation,
+    releaseExpiredReservations
+} from '../src/services/credits.js';
+import { InsufficientCreditsError, NotFoundError, ValidationError } from '../src/utils/errors.js';
+
+// Helper function to read a user's ledger, oldest entry first
+async function ledger(env, userId) {
+    const { results } = await env.DB.prepare(
+        `SELECT amount, entry_type, purpose, reference, reservation_id, balance_after
+         FROM credit_logs WHERE user_id = ? ORDER BY id`
+    ).bind(userId).all();
+    return results;
+}
+
+// Helper function to read a reservation's status
+async function reservationStatus(env, id) {
+    const row = await env.DB.prepare('SELECT status FROM credit_reservations WHERE id = ?').bind(id).first();
+    return row?.status;
+}
+
+describe('credit ledger', () => {
+    let env;
+    let dispose;
+
+    before(async () => {
+        ({ env, dispose } = await createTestEnv());
+    });
+
+    after(() => dispose());
+
+    describe('debitCredits', () => {
+        it('takes the credits and writes a debit with the balance after it', async () => {
+            const user = await createUser(env, { credits: 10 });
+
+            assert.equal(await debitCredits(env, user.id, 3, 'insight', { reference: 'https://a.com/' }), 7);
+            assert.equal(await getBalance(env, user.id), 7);
+            assert.deepEqual(await ledger(env, user.id), [{
+                amount: -3,
+                entry_type: 'debit',
+                purpose: 'insight',
+                reference: 'https://a.com/',
+                reservation_id: null,
+                balance_after: 7
+            }]);
+        });
+
+        it('refuses a debit the balance does not cover and leaves no trace', async () => {
+            const user = await createUser(env, { credits: 2 });
+
+            await assert.rejects(debitCredits(env, user.id, 3, 'insight'), error => {
+                assert.ok(error instanceof InsufficientCreditsError);
+                assert.equal(error.required, 3);
+                assert.equal(error.available, 2);
+                return true;
+            });
+            assert.equal(await getBalance(env, user.id), 2);
+            assert.deepEqual(await ledger(env, user.id), []);
+        });
+
+        it('never overspends under concurrent debits', async () => {
+            const user = await createUser(env, { credits: 3 });
+
+            const outcomes = await Promise.allSettled(
+                Array.from({ length: 5 }, () => debitCredits(env, user.id, 1, 'insight'))
+            );
+
+            assert.equal(outcomes.filter(outcome => outcome.status === 'fulfilled').length, 3);
+            assert.ok(outcomes
+                .filter(outcome => outcome.status === 'rejected')
+                .every(outcome => outcome.reason instanceof InsufficientCreditsError));
+            assert.equal(await getBalance(env, user.id), 0);
+            assert.deepEqual((await ledger(env, user.id)).map(entry => entry.balance_after).sort(), [0, 1, 2]);
+        });
+
+        it('reports a missing user', async () => {
+            await assert.rejects(debitCredits(env, 999999, 1, 'insight'), NotFoundError);
+        });
+
+        it('rejects amounts that are not positive integers', async () => {
+            const user = await createUser(env, { credits: 10 });
+
+            for (const amount of [0, -1, 1.5, '2']) {
+                await assert.rejects(debitCredits(env, user.id, amount, 'insight'), ValidationError);
+            }
+            assert.equal(await getBalance(env, user.id), 10);
+        });
+    });
+
+    describe('reservations', () => {
+        it('takes the credits when reserving and keeps them on commit', async () => {
+            const user = await createUser(env, { credits: 5 });
+
+            const reservation = await reserveCredits(env, user.id, 2, 'top_pages');
+            assert.equal(reservation.balance, 3);
+            assert.equal(await reservationStatus(env, reservation.id), 'held');
+
+            assert.equal(await commitReservation(env, reservation), true);
+            assert.equal(await reservationStatus(env, reservation.id), 'committed');
+
+            // Releasing after the commit, even through a fresh handle, refunds nothing
+            assert.equal(await releaseReservation(env, reservation), false);
+            assert.equal(await releaseReservation(env, { id: reservation.id }), false);
+            assert.equal(await getBalance(env, user.id), 3);
+
+            const entries = await ledger(env, user.id);
+            assert.equal(entries.length, 1);
+            assert.equal(entries[0].reservation_id, reservation.id);
+        });
+
+        it('refunds a released reservation exactly once', async () => {
+            const user = await createUser(env, { credits: 5 });
+
+            const reservation = await reserveCredits(env, user.id, 2, 'top_pages', { reference: 'https://a.com/' });
+            assert.equal(await releaseReservation(env, reservation), true);
+            assert.equal(await releaseReservation(env, { id: reservation.id }), false);
+
+            assert.equal(await reservationStatus(env, reservation.id), 'released');
+            assert.equal(await getBalance(env, user.id), 5);
+            assert.deepEqual(await ledger(env, user.id), [
+                {
+                    amount: -2,
+                    entry_type: 'debit',
+                    purpose: 'top_pages',
+                    reference: 'https://a.com/',
+                    reservation_id: reservation.id,
+                    balance_after: 3
+                },
+                {
+                    amount: 2,
+                    entry_type: 'refund',
+                    purpose: 'top_pages',
+                    reference: 'https://a.com/',
+                    reservation_id: reservation.id,
+                    balance_after: 5
+                }
+            ]);
+        });
+
+        it('stores no reservation when the balance does not cover it', async () => {
+            const user = await createUser(env, { credits: 1 });
+
+            await assert.rejects(reserveCredits(env, user.id, 2, 'top_pages'), InsufficientCreditsError);
+
+            const row = await env.DB.prepare(
+                'SELECT COUNT(*) AS count FROM credit_reservations WHERE user_id = ?'
+            ).bind(user.id).first();
+            assert.equal(row.count, 0);
+            assert.equal(await getBalance(env, user.id), 1);
+        });
+
+        it('releases expired reservations and leaves live ones held', async () => {
+            const user = await createUser(env, { credits: 5 });
+
+            const expired = await reserveCredits(env, user.id, 2, 'top_pages');
+            const live = await reserveCredits(env, user.id, 1, 'top_pages');
+            await env.DB.prepare(
+                'UPDATE credit_reservations SET expires_at = ? WHERE id = ?'
+            ).bind(new Date(Date.now() - 1000).toISOString(), expired.id).run();
+
+            assert.equal(await releaseExpiredReservations(env), 1);
+            assert.equal(await reservationStatus(env, expired.id), 'released');
+            assert.equal(await reservationStatus(env, live.id), 'held');
+            assert.equal(await getBalance(env, user.id), 4);
+        });
+    });
+
+    describe('grantCredits', () => {
+        it('applies a grant with a reference only once', async () => {
+            const user = await createUser(env, { credits: 0 });
+
+            assert.deepEqual(await grantCredits(env, user.id, 10, 'purchase', { reference: 'order_1' }), {
+                balance: 10,
+                granted: true
+            });
+            assert.deepEqual(await grantCredits(env, user.id, 10, 'purchase', { reference: 'order_1' }), {
+                balance: 10,
+                granted: false
+            });
+
+            const entries = await ledger(env, user.id);
+            assert.equal(entries.length, 1);
+            assert.equal(entries[0].balance_after, 10);
+        });
+
+        it('applies every grant without a reference', async () => {
+            const user = await createUser(env, { credits: 0 });
+
+            await grantCredits(env, user.id, 3, 'bonus');
+            const result = await grantCredits(env, user.id, 3, 'bonus');
+
+            assert.deepEqual(result, { balance: 6, granted: true });
+            assert.equal((await ledger(env, user.id)).length, 2);
+        });
+
+        it('keeps the ledger summing to the balance', async () => {
+            const user = await createUser(env, { credits: 0 });
+
+            await grantCredits(env, user.id, 8, 'purchase', { reference: 'order_2' });
+            await debitCredits(env, user.id, 3, 'insight');
+            const reservation = await reserveCredits(env, user.id, 2, 'top_pages');
+            await releaseReservation(env, reservation);
+            await grantCredits(env, user.id, 8, 'purchase', { reference: 'order_2' });
+
+            const total = (await ledger(env, user.id)).reduce((sum, entry) => sum + entry.amount, 0);
+            assert.equal(total, 5);
+            assert.equal(await getBalance(env, user.id), 5);
+        });
+
+        it('reports a missing user', async () => {
+            await assert.rejects(grantCredits(env, 999999, 1, 'bonus'), NotFoundError);
+        });
+    });
+});
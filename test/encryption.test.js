@@ -0,0 +1,123 @@
+import { describe, it, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomBytes } from 'node:crypto';
+import {
+    encryptSecret,
+    decryptSecret,
+    isEncrypted,
+    needsReencryption,
+    getKeyId,
+    getActiveKeyId
+} from '../src/utils/encryption.js';
+import { encryptRefreshToken, decryptRefreshToken } from '../src/services/tokenStore.js';
+
+const OLD_KEY = `k0:${randomBytes(32).toString('base64')}`;
+const NEW_KEY = `k1:${randomBytes(32).toString('base64')}`;
+const env = { TOKEN_ENCRYPTION_KEYS: NEW_KEY };
+const CONTEXT = 'users.gsc_refresh_token:1';
+const SECRET = '1//refresh-token-value';
+
+// Helper function to encrypt a value the way v1 did: same envelope, no additional data
+async function encryptV1(keyEntry, plaintext) {
+    const [keyId, keyText] = keyEntry.split(':');
+    const aesGcm = async (keyBytes, data) => {
+        const key = await crypto.subtle.importKey('raw', keyBytes, 'AES-GCM', false, ['encrypt']);
+        const iv = randomBytes(12);
+        return [iv, new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, data))];
+    };
+
+    const dataKey = randomBytes(32);
+    const [wrapIv, wrapped] = await aesGcm(Buffer.from(keyText, 'base64'), dataKey);
+    const [iv, ciphertext] = await aesGcm(dataKey, new TextEncoder().encode(plaintext));
+    const base64 = bytes => Buffer.from(bytes).toString('base64');
+
+    return ['enc:v1', keyId, base64(wrapIv), base64(wrapped), base64(iv), base64(ciphertext)].join(':');
+}
+
+describe('encryptSecret', () => {
+    it('round-trips a secret through the v2 envelope', async () => {
+        const encrypted = await encryptSecret(env, SECRET, CONTEXT);
+
+        assert.ok(encrypted.startsWith('enc:v2:k1:'));
+        assert.equal(encrypted.split(':').length, 7);
+        assert.ok(!encrypted.includes(SECRET));
+        assert.equal(isEncrypted(encrypted), true);
+        assert.equal(await decryptSecret(env, encrypted, CONTEXT), SECRET);
+    });
+
+    it('uses fresh randomness for every value', async () => {
+        assert.notEqual(await encryptSecret(env, SECRET, CONTEXT), await encryptSecret(env, SECRET, CONTEXT));
+    });
+
+    it('fails to decrypt with another context', async () => {
+        const encrypted = await encryptSecret(env, SECRET, CONTEXT);
+
+        await assert.rejects(decryptSecret(env, encrypted, 'users.gsc_refresh_token:2'));
+        await assert.rejects(decryptSecret(env, encrypted, 'gsc_token:1'));
+    });
+
+    it('fails to decrypt a changed ciphertext', async () => {
+        const parts = (await encryptSecret(env, SECRET, CONTEXT)).split(':');
+        const ciphertext = Buffer.from(parts[6], 'base64');
+        ciphertext[0] ^= 1;
+        parts[6] = ciphertext.toString('base64');
+
+        await assert.rejects(decryptSecret(env, parts.join(':'), CONTEXT));
+    });
+});
+
+describe('refresh token encryption', () => {
+    it('decrypts only for the user the token was stored for', async () => {
+        const stored = await encryptRefreshToken(env, 42, SECRET);
+
+        assert.equal(await decryptRefreshToken(env, 42, stored), SECRET);
+        await assert.rejects(decryptRefreshToken(env, 43, stored));
+    });
+});
+
+describe('decryptSecret', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('returns plaintext written before encryption unchanged', async () => {
+        assert.equal(await decryptSecret(env, SECRET, CONTEXT), SECRET);
+        assert.equal(await decryptSecret(env, null, CONTEXT), null);
+        assert.equal(needsReencryption(env, SECRET), true);
+    });
+
+    it('still reads v1 values, which are bound to no context', async () => {
+        const legacy = await encryptV1(NEW_KEY, SECRET);
+
+        assert.equal(await decryptSecret(env, legacy, CONTEXT), SECRET);
+        assert.equal(await decryptSecret(env, legacy, 'anything'), SECRET);
+        assert.equal(needsReencryption(env, legacy), true);
+    });
+
+    it('decrypts with older keys after rotation and flags them for re-encryption', async () => {
+        const encrypted = await encryptSecret({ TOKEN_ENCRYPTION_KEYS: OLD_KEY }, SECRET, CONTEXT);
+        const rotated = { TOKEN_ENCRYPTION_KEYS: `${NEW_KEY},${OLD_KEY}` };
+
+        assert.equal(getKeyId(encrypted), 'k0');
+        assert.equal(getActiveKeyId(rotated), 'k1');
+        assert.equal(await decryptSecret(rotated, encrypted, CONTEXT), SECRET);
+        assert.equal(needsReencryption(rotated, encrypted), true);
+        assert.equal(needsReencryption(rotated, await encryptSecret(rotated, SECRET, CONTEXT)), false);
+    });
+
+    it('refuses values wrapped by a key that is not configured', async () => {
+        const encrypted = await encryptSecret({ TOKEN_ENCRYPTION_KEYS: OLD_KEY }, SECRET, CONTEXT);
+
+        await assert.rejects(decryptSecret(env, encrypted, CONTEXT), { code: 'CONFIGURATION_ERROR', status: 500 });
+    });
+
+    it('refuses a missing or malformed key ring', async () => {
+        mock.method(console, 'error', () => {});
+
+        for (const keys of [undefined, '', 'no-separator', ':abc', 'k1:']) {
+            await assert.rejects(
+                encryptSecret({ TOKEN_ENCRYPTION_KEYS: keys }, SECRET, CONTEXT),
+                { code: 'CONFIGURATION_ERROR' },
+                `keys ${keys}`
+            );
+        }
+    });
+});
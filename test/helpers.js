@@ -0,0 +1,51 @@
+// Test environment: D1 and KV from a local Miniflare instance, with every migration applied
+import { Miniflare } from 'miniflare';
+import { applyMigrations } from '../src/db.js';
+
+/**
+ * Create a Worker environment backed by in-memory D1 and KV
+ * @param {Object} [bindings] - Extra bindings, e.g. secrets
+ * @returns {Promise<Object>} { env, dispose }
+ */
+export async function createTestEnv(bindings = {}) {
+    const mf = new Miniflare({
+        modules: true,
+        script: 'export default { fetch() { return new Response(null, { status: 404 }); } };',
+        compatibilityDate: '2025-03-01',
+        d1Databases: ['DB'],
+        kvNamespaces: ['AUTH_STORE']
+    });
+
+    const env = {
+        DB: await mf.getD1Database('DB'),
+        AUTH_STORE: await mf.getKVNamespace('AUTH_STORE'),
+        ENVIRONMENT: 'test',
+        JWT_SECRET: 'test-jwt-secret',
+        ...bindings
+    };
+
+    const { error } = await applyMigrations(env);
+    if (error) {
+        await mf.dispose();
+        throw new Error(`Migration ${error.version}_${error.name} failed: ${error.message}`);
+    }
+
+    return { env, dispose: () => mf.dispose() };
+}
+
+/**
+ * Insert a user
+ * @param {Object} env - Worker environment
+ * @param {Object} [user]
+ * @param {string} [user.email] - Email address
+ * @param {number} [user.credits] - Starting balance
+ * @returns {Promise<Object>} { id, email }
+ */
+export async function createUser(env, { email = `${crypto.randomUUID()}@example.com`, credits = 0 } = {}) {
+    const user = await env.DB.prepare(
+        `INSERT INTO users (email, password_hash, created_at, credits)
+         VALUES (?, 'unused', ?, ?) RETURNING id, email`
+    ).bind(email, new Date().toISOString(), credits).first();
+
+    return user;
+}
@@ -0,0 +1,83 @@
+import { describe, it, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { sendMail } from '../src/services/mailer.js';
+
+const MESSAGE = {
+    to: 'user@example.com',
+    subject: 'Reset your password',
+    text: 'https://app.example.com/reset-password?token=secret'
+};
+
+describe('sendMail', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('logs through the console sender in development and test', async () => {
+        const log = mock.method(console, 'log', () => {});
+
+        await sendMail({ ENVIRONMENT: 'test' }, MESSAGE);
+        await sendMail({ ENVIRONMENT: 'development', MAIL_PROVIDER: 'console' }, MESSAGE);
+
+        assert.equal(log.mock.callCount(), 2);
+        assert.match(log.mock.calls[0].arguments[0], /token=secret/);
+    });
+
+    it('never logs the message outside development', async () => {
+        const log = mock.method(console, 'log', () => {});
+        mock.method(console, 'error', () => {});
+
+        const environments = [
+            { MAIL_PROVIDER: 'console' },
+            { ENVIRONMENT: 'production', MAIL_PROVIDER: 'console' },
+            { ENVIRONMENT: 'production' }
+        ];
+        for (const env of environments) {
+            await assert.rejects(sendMail(env, MESSAGE), { code: 'CONFIGURATION_ERROR', status: 500 });
+        }
+        assert.equal(log.mock.callCount(), 0);
+    });
+
+    it('refuses unknown providers', async () => {
+        mock.method(console, 'error', () => {});
+
+        await assert.rejects(sendMail({ ENVIRONMENT: 'test', MAIL_PROVIDER: 'pigeon' }, MESSAGE), { code: 'CONFIGURATION_ERROR' });
+    });
+
+    describe('resend sender', () => {
+        const env = { ENVIRONMENT: 'production', MAIL_PROVIDER: 'resend', RESEND_API_KEY: 're_test', MAIL_FROM: 'App <no-reply@example.com>' };
+
+        it('posts the message to the Resend API', async () => {
+            const fetch = mock.method(globalThis, 'fetch', async () => new Response(JSON.stringify({ id: 'email_1' })));
+
+            await sendMail(env, MESSAGE);
+
+            assert.equal(fetch.mock.callCount(), 1);
+            const [url, init] = fetch.mock.calls[0].arguments;
+            assert.equal(url, 'https://api.resend.com/emails');
+            assert.equal(init.method, 'POST');
+            assert.equal(init.headers.Authorization, 'Bearer re_test');
+            assert.deepEqual(JSON.parse(init.body), {
+                from: 'App <no-reply@example.com>',
+                to: ['user@example.com'],
+                subject: MESSAGE.subject,
+                text: MESSAGE.text
+            });
+        });
+
+        it('fails when Resend refuses the message', async () => {
+            mock.method(globalThis, 'fetch', async () => new Response(JSON.stringify({ name: 'validation_error' }), { status: 422 }));
+            const error = mock.method(console, 'error', () => {});
+
+            await assert.rejects(sendMail(env, MESSAGE), { code: 'MAIL_PROVIDER_ERROR', status: 502 });
+            assert.ok(!JSON.stringify(error.mock.calls).includes('token=secret'));
+        });
+
+        it('fails without an API key or sender address', async () => {
+            const fetch = mock.method(globalThis, 'fetch', async () => new Response('{}'));
+            mock.method(console, 'error', () => {});
+
+            await assert.rejects(sendMail({ ...env, RESEND_API_KEY: undefined }, MESSAGE), { code: 'CONFIGURATION_ERROR' });
+            await assert.rejects(sendMail({ ...env, MAIL_FROM: undefined }, MESSAGE), { code: 'CONFIGURATION_ERROR' });
+            assert.equal(fetch.mock.callCount(), 0);
+        });
+    });
+});
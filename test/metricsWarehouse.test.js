@@ -0,0 +1,135 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestEnv, createUser } from './helpers.js';
+import { normalizeSiteUrl, toDailyMetrics, upsertDailyMetrics, queryDailyTrend } from '../src/services/metricsWarehouse.js';
+
+const SITE = 'sc-domain:example.com';
+
+describe('normalizeSiteUrl', () => {
+    it('treats bare domains as domain properties', () => {
+        assert.equal(normalizeSiteUrl('example.com'), 'sc-domain:example.com');
+    });
+
+    it('keeps URL-prefix and domain properties as they are', () => {
+        for (const siteUrl of ['sc-domain:example.com', 'https://example.com/', 'http://example.com/blog/']) {
+            assert.equal(normalizeSiteUrl(siteUrl), siteUrl);
+        }
+    });
+});
+
+describe('toDailyMetrics', () => {
+    it('takes the date from the date dimension and blanks dimensions not requested', () => {
+        const records = toDailyMetrics(
+            [{ keys: ['2026-01-02', 'shoes', 'MOBILE'], clicks: 3, impressions: 40, ctr: 0.075, position: 2.5 }],
+            ['date', 'query', 'device']
+        );
+
+        assert.deepEqual(records, [{
+            date: '2026-01-02',
+            clicks: 3,
+            impressions: 40,
+            ctr: 0.075,
+            position: 2.5,
+            query: 'shoes',
+            page: '',
+            device: 'MOBILE',
+            country: ''
+        }]);
+    });
+
+    it('uses the fallback date for a single-day request without a date dimension', () => {
+        const [record] = toDailyMetrics([{ keys: ['https://example.com/a'], clicks: 1 }], ['page'], '2026-01-05');
+
+        assert.equal(record.date, '2026-01-05');
+        assert.equal(record.page, 'https://example.com/a');
+        assert.deepEqual([record.impressions, record.ctr, record.position], [0, 0, 0]);
+    });
+
+    it('stores totals of a request without dimensions', () => {
+        const records = toDailyMetrics([{ clicks: 9, impressions: 90, ctr: 0.1, position: 4 }], [], '2026-01-05');
+
+        assert.deepEqual(
+            [records[0].query, records[0].page, records[0].device, records[0].country],
+            ['', '', '', '']
+        );
+    });
+
+    it('refuses rows it cannot attribute to one day or store', () => {
+        assert.equal(toDailyMetrics([{ keys: ['shoes'] }], ['query']), null);
+        assert.equal(toDailyMetrics([{ keys: ['2026-01-02', 'image'] }], ['date', 'searchAppearance']), null);
+    });
+
+    it('returns no records for an empty response', () => {
+        assert.deepEqual(toDailyMetrics(undefined, ['date']), []);
+    });
+});
+
+describe('warehouse storage', () => {
+    let env;
+    let dispose;
+    let userId;
+
+    before(async () => {
+        ({ env, dispose } = await createTestEnv());
+        ({ id: userId } = await createUser(env));
+    });
+
+    after(() => dispose());
+
+    // Helper function to store rows the way a date-and-dimension request returns them
+    function store(siteUrl, rows, dimensions, options) {
+        return upsertDailyMetrics(env.DB, userId, siteUrl, toDailyMetrics(rows, dimensions), options);
+    }
+
+    it('sums fully broken-down rows per day and weights position by impressions', async () => {
+        await store(SITE, [
+            { keys: ['2026-02-01', 'shoes', 'https://example.com/a', 'MOBILE', 'usa'], clicks: 10, impressions: 100, position: 2 },
+            { keys: ['2026-02-01', 'boots', 'https://example.com/b', 'MOBILE', 'deu'], clicks: 5, impressions: 300, position: 6 },
+            { keys: ['2026-02-01', 'shoes', 'https://example.com/a', 'DESKTOP', 'usa'], clicks: 1, impressions: 100, position: 1 },
+            { keys: ['2026-02-02', 'shoes', 'https://example.com/a', 'MOBILE', 'usa'], clicks: 0, impressions: 0, position: 0 }
+        ], ['date', 'query', 'page', 'device', 'country']);
+
+        const trend = await queryDailyTrend(env.DB, {
+            userId,
+            siteUrl: SITE,
+            startDate: '2026-02-01',
+            endDate: '2026-02-28',
+            dimension: 'device',
+            value: 'MOBILE'
+        });
+
+        assert.deepEqual(trend, [
+            { date: '2026-02-01', clicks: 15, impressions: 400, ctr: 15 / 400, position: 5 },
+            { date: '2026-02-02', clicks: 0, impressions: 0, ctr: 0, position: 0 }
+        ]);
+    });
+
+    it('reads site totals only from rows aggregated over every dimension', async () => {
+        await store(SITE, [
+            { keys: ['2026-02-01'], clicks: 40, impressions: 800, ctr: 0.05, position: 3 }
+        ], ['date']);
+
+        const trend = await queryDailyTrend(env.DB, { userId, siteUrl: SITE, startDate: '2026-02-01', endDate: '2026-02-01' });
+
+        assert.deepEqual(trend, [{ date: '2026-02-01', clicks: 40, impressions: 800, ctr: 0.05, position: 3 }]);
+    });
+
+    it('replaces stored rows by default and keeps them when told not to overwrite', async () => {
+        const siteUrl = 'https://overwrite.example.com/';
+        const query = () => queryDailyTrend(env.DB, { userId, siteUrl, startDate: '2026-03-01', endDate: '2026-03-01' });
+
+        await store(siteUrl, [{ keys: ['2026-03-01'], clicks: 1, impressions: 10 }], ['date']);
+        await store(siteUrl, [{ keys: ['2026-03-01'], clicks: 2, impressions: 20 }], ['date']);
+        assert.equal((await query())[0].clicks, 2);
+
+        await store(siteUrl, [{ keys: ['2026-03-01'], clicks: 99, impressions: 990 }], ['date'], { overwrite: false });
+        assert.equal((await query())[0].clicks, 2);
+    });
+
+    it('rejects dimensions the warehouse does not store', async () => {
+        await assert.rejects(
+            queryDailyTrend(env.DB, { userId, siteUrl: SITE, startDate: '2026-02-01', endDate: '2026-02-01', dimension: 'date; DROP' }),
+            /Unsupported warehouse dimension/
+        );
+    });
+});
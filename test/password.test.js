@@ -0,0 +1,134 @@
+import { describe, it, before, after, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash, pbkdf2Sync, randomBytes } from 'node:crypto';
+import { createTestEnv, createUser } from './helpers.js';
+import { handleLogin } from '../src/auth.js';
+import { hashPassword, verifyPassword, DUMMY_PASSWORD_HASH, PBKDF2_ITERATIONS } from '../src/utils/password.js';
+
+const PASSWORD = 'correct horse battery staple';
+const LEGACY_SALT = 'legacy-global-salt';
+
+// Helper function to build a PBKDF2 hash the way an older release stored it
+function pbkdf2Hash(password, iterations) {
+    const salt = randomBytes(16);
+    const hash = pbkdf2Sync(password, salt, iterations, 32, 'sha256');
+    return `pbkdf2_sha256$${iterations}$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+describe('hashPassword', () => {
+    it('encodes the algorithm, iterations, salt and hash', async () => {
+        const [algorithm, iterations, salt, hash] = (await hashPassword(PASSWORD)).split('$');
+
+        assert.equal(algorithm, 'pbkdf2_sha256');
+        assert.equal(Number(iterations), PBKDF2_ITERATIONS);
+        assert.equal(Buffer.from(salt, 'base64').length, 16);
+        assert.equal(Buffer.from(hash, 'base64').length, 32);
+    });
+
+    it('salts every hash', async () => {
+        assert.notEqual(await hashPassword(PASSWORD), await hashPassword(PASSWORD));
+    });
+});
+
+describe('verifyPassword', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('accepts the password a current hash was made from', async () => {
+        const stored = await hashPassword(PASSWORD);
+
+        assert.deepEqual(await verifyPassword(PASSWORD, stored), { valid: true, needsRehash: false });
+        assert.deepEqual(await verifyPassword('wrong password', stored), { valid: false, needsRehash: false });
+    });
+
+    it('matches PBKDF2 hashes made elsewhere and asks to rehash fewer iterations', async () => {
+        const stored = pbkdf2Hash(PASSWORD, 1000);
+
+        assert.deepEqual(await verifyPassword(PASSWORD, stored), { valid: true, needsRehash: true });
+        assert.deepEqual(await verifyPassword('wrong password', stored), { valid: false, needsRehash: false });
+    });
+
+    it('accepts legacy SHA-256 hashes with the global salt and asks to rehash them', async () => {
+        const stored = createHash('sha256').update(PASSWORD + LEGACY_SALT).digest('hex');
+
+        assert.deepEqual(await verifyPassword(PASSWORD, stored, LEGACY_SALT), { valid: true, needsRehash: true });
+        assert.deepEqual(await verifyPassword('wrong password', stored, LEGACY_SALT), { valid: false, needsRehash: false });
+        assert.deepEqual(await verifyPassword(PASSWORD, stored, undefined), { valid: false, needsRehash: false });
+    });
+
+    it('rejects every password against the dummy hash', async () => {
+        for (const password of ['', 'password', PASSWORD]) {
+            assert.equal((await verifyPassword(password, DUMMY_PASSWORD_HASH)).valid, false);
+        }
+    });
+
+    it('rejects missing and unrecognized hashes', async () => {
+        const error = mock.method(console, 'error', () => {});
+
+        for (const stored of [null, '', 'bcrypt$10$salt$hash', 'pbkdf2_sha256$abc$salt$hash', 'pbkdf2_sha256$1000$salt']) {
+            assert.deepEqual(await verifyPassword(PASSWORD, stored, LEGACY_SALT), { valid: false, needsRehash: false }, `hash ${stored}`);
+        }
+        assert.equal(error.mock.callCount(), 3);
+    });
+});
+
+describe('login hash upgrade', () => {
+    let env;
+    let dispose;
+
+    before(async () => {
+        ({ env, dispose } = await createTestEnv({ PASSWORD_SALT: LEGACY_SALT }));
+    });
+
+    after(() => dispose());
+
+    // Helper function to log in with a password
+    function login(email, password) {
+        return handleLogin(new Request('https://api.example.com/auth/login', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ email, password })
+        }), env);
+    }
+
+    // Helper function to store a password hash for a user
+    async function setHash(userId, hash) {
+        await env.DB.prepare('UPDATE users SET password_hash = ? WHERE id = ?').bind(hash, userId).run();
+    }
+
+    // Helper function to read a user's stored password hash
+    async function storedHash(userId) {
+        const row = await env.DB.prepare('SELECT password_hash FROM users WHERE id = ?').bind(userId).first();
+        return row.password_hash;
+    }
+
+    it('replaces a legacy hash with a current PBKDF2 hash on login', async () => {
+        const user = await createUser(env);
+        await setHash(user.id, createHash('sha256').update(PASSWORD + LEGACY_SALT).digest('hex'));
+
+        assert.equal((await login(user.email, PASSWORD)).status, 200);
+
+        const upgraded = await storedHash(user.id);
+        assert.ok(upgraded.startsWith(`pbkdf2_sha256$${PBKDF2_ITERATIONS}$`));
+        assert.deepEqual(await verifyPassword(PASSWORD, upgraded), { valid: true, needsRehash: false });
+        assert.equal((await login(user.email, PASSWORD)).status, 200);
+    });
+
+    it('replaces a hash with fewer iterations on login', async () => {
+        const user = await createUser(env);
+        const weak = pbkdf2Hash(PASSWORD, 1000);
+        await setHash(user.id, weak);
+
+        assert.equal((await login(user.email, PASSWORD)).status, 200);
+        assert.notEqual(await storedHash(user.id), weak);
+        assert.equal((await verifyPassword(PASSWORD, await storedHash(user.id))).needsRehash, false);
+    });
+
+    it('leaves the legacy hash alone when the password is wrong', async () => {
+        const user = await createUser(env);
+        const legacy = createHash('sha256').update(PASSWORD + LEGACY_SALT).digest('hex');
+        await setHash(user.id, legacy);
+
+        assert.equal((await login(user.email, 'wrong password')).status, 401);
+        assert.equal(await storedHash(user.id), legacy);
+    });
+});
@@ -0,0 +1,153 @@
+import { describe, it, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+import { verifyWebhookSignature, getPaymentProvider } from '../src/services/payments.js';
+import { APIError, AuthError } from '../src/utils/errors.js';
+
+const SECRET = 'whsec_test';
+const PAYLOAD = JSON.stringify({ id: 'evt_1', type: 'checkout.completed', orderId: 'order_1' });
+
+// Helper function to sign a payload the way providers do: t=<unix seconds>,v1=<hex HMAC of "t.payload">
+function signature(payload, { secret = SECRET, timestamp = Math.floor(Date.now() / 1000) } = {}) {
+    const digest = createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+    return `t=${timestamp},v1=${digest}`;
+}
+
+// Helper function to build a webhook request carrying a signature header
+function webhookRequest(header, value) {
+    return new Request('https://api.example.com/billing/webhook', {
+        method: 'POST',
+        headers: { [header]: value }
+    });
+}
+
+describe('verifyWebhookSignature', () => {
+    it('accepts a fresh signature of the payload', async () => {
+        await verifyWebhookSignature(SECRET, signature(PAYLOAD), PAYLOAD);
+    });
+
+    it('accepts any matching v1 signature, so the secret can be rolled', async () => {
+        const timestamp = Math.floor(Date.now() / 1000);
+        const current = signature(PAYLOAD, { timestamp }).split(',')[1];
+        const old = signature(PAYLOAD, { secret: 'whsec_old', timestamp }).split(',')[1];
+
+        await verifyWebhookSignature(SECRET, `t=${timestamp}, ${current}, ${old}`, PAYLOAD);
+        await verifyWebhookSignature(SECRET, `t=${timestamp},${old},${current}`, PAYLOAD);
+    });
+
+    it('rejects a signature made with another secret', async () => {
+        await assert.rejects(
+            verifyWebhookSignature(SECRET, signature(PAYLOAD, { secret: 'whsec_other' }), PAYLOAD),
+            { name: 'AuthError', message: 'Invalid webhook signature' }
+        );
+    });
+
+    it('rejects a payload changed after signing', async () => {
+        const tampered = PAYLOAD.replace('order_1', 'order_2');
+
+        await assert.rejects(verifyWebhookSignature(SECRET, signature(PAYLOAD), tampered), AuthError);
+    });
+
+    it('rejects a signature whose timestamp was changed', async () => {
+        const timestamp = Math.floor(Date.now() / 1000);
+        const header = signature(PAYLOAD, { timestamp }).replace(`t=${timestamp}`, `t=${timestamp + 1}`);
+
+        await assert.rejects(verifyWebhookSignature(SECRET, header, PAYLOAD), AuthError);
+    });
+
+    it('rejects signatures outside the five minute tolerance', async () => {
+        const now = Math.floor(Date.now() / 1000);
+
+        for (const timestamp of [now - 301, now + 301]) {
+            await assert.rejects(
+                verifyWebhookSignature(SECRET, signature(PAYLOAD, { timestamp }), PAYLOAD),
+                { name: 'AuthError', message: 'Webhook signature has expired' }
+            );
+        }
+        await verifyWebhookSignature(SECRET, signature(PAYLOAD, { timestamp: now - 290 }), PAYLOAD);
+    });
+
+    it('rejects missing and malformed headers', async () => {
+        const timestamp = Math.floor(Date.now() / 1000);
+        const digest = signature(PAYLOAD, { timestamp }).split(',')[1];
+
+        for (const header of [null, '', 'garbage', `t=${timestamp}`, digest, `t=abc,${digest}`, `t=${timestamp},v1=`]) {
+            await assert.rejects(verifyWebhookSignature(SECRET, header, PAYLOAD), AuthError, `header ${header}`);
+        }
+    });
+
+    it('refuses to verify anything without a secret', async () => {
+        await assert.rejects(verifyWebhookSignature('', signature(PAYLOAD, { secret: '' }), PAYLOAD), error => {
+            assert.ok(error instanceof APIError);
+            assert.ok(!(error instanceof AuthError));
+            assert.equal(error.code, 'CONFIGURATION_ERROR');
+            return true;
+        });
+    });
+});
+
+describe('payment provider webhooks', () => {
+    it('fake provider checks X-Fake-Signature', async () => {
+        const provider = getPaymentProvider({ ENVIRONMENT: 'test', PAYMENT_WEBHOOK_SECRET: SECRET });
+
+        const event = await provider.parseWebhook(webhookRequest('X-Fake-Signature', signature(PAYLOAD)), PAYLOAD);
+        assert.deepEqual(event, JSON.parse(PAYLOAD));
+
+        await assert.rejects(
+            provider.parseWebhook(webhookRequest('Stripe-Signature', signature(PAYLOAD)), PAYLOAD),
+            AuthError
+        );
+    });
+
+    it('stripe provider checks Stripe-Signature', async () => {
+        const provider = getPaymentProvider({
+            ENVIRONMENT: 'production',
+            PAYMENT_PROVIDER: 'stripe',
+            PAYMENT_WEBHOOK_SECRET: SECRET
+        });
+        const payload = JSON.stringify({
+            id: 'evt_2',
+            type: 'customer.subscription.deleted',
+            data: { object: { id: 'sub_1' } }
+        });
+
+        const event = await provider.parseWebhook(webhookRequest('Stripe-Signature', signature(payload)), payload);
+        assert.deepEqual(event, { id: 'evt_2', type: 'subscription.canceled', subscriptionId: 'sub_1' });
+
+        await assert.rejects(
+            provider.parseWebhook(webhookRequest('X-Fake-Signature', signature(payload)), payload),
+            AuthError
+        );
+    });
+});
+
+describe('getPaymentProvider', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('defaults to the fake provider only in development and test', () => {
+        assert.equal(getPaymentProvider({ ENVIRONMENT: 'development' }).name, 'fake');
+        assert.equal(getPaymentProvider({ ENVIRONMENT: 'test' }).name, 'fake');
+    });
+
+    it('refuses the fake provider and a missing provider anywhere else', () => {
+        mock.method(console, 'error', () => {});
+
+        const environments = [
+            {},
+            { ENVIRONMENT: 'production' },
+            { PAYMENT_PROVIDER: 'fake' },
+            { ENVIRONMENT: 'staging', PAYMENT_PROVIDER: 'fake' }
+        ];
+        for (const env of environments) {
+            assert.throws(() => getPaymentProvider(env), { code: 'CONFIGURATION_ERROR', status: 500 });
+        }
+    });
+
+    it('refuses unknown providers', () => {
+        mock.method(console, 'error', () => {});
+
+        assert.throws(() => getPaymentProvider({ ENVIRONMENT: 'test', PAYMENT_PROVIDER: 'paypal' }), {
+            code: 'CONFIGURATION_ERROR'
+        });
+    });
+});
@@ -0,0 +1,170 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { verify } from '@tsndr/cloudflare-worker-jwt';
+import { createTestEnv, createUser } from './helpers.js';
+import {
+    ACCESS_TOKEN_TTL,
+    createSession,
+    rotateSession,
+    revokeSession,
+    revokeAllSessions,
+    isAccessTokenRevoked
+} from '../src/services/sessions.js';
+import { createOrganization } from '../src/services/organizations.js';
+import { AuthError } from '../src/utils/errors.js';
+
+describe('sessions', () => {
+    let env;
+    let dispose;
+
+    // Helper function to verify an access token and return its claims
+    async function claims(accessToken) {
+        const decoded = await verify(accessToken, env.JWT_SECRET);
+        assert.ok(decoded, 'access token should verify');
+        return decoded.payload;
+    }
+
+    before(async () => {
+        ({ env, dispose } = await createTestEnv());
+    });
+
+    after(() => dispose());
+
+    describe('rotateSession', () => {
+        it('issues a new refresh token for the same session', async () => {
+            const user = await createUser(env);
+            const first = await createSession(env, user);
+            const second = await rotateSession(env, first.refreshToken);
+
+            assert.notEqual(second.refreshToken, first.refreshToken);
+            assert.equal(second.expiresIn, ACCESS_TOKEN_TTL);
+
+            const original = await claims(first.accessToken);
+            const rotated = await claims(second.accessToken);
+            assert.equal(rotated.user_id, user.id);
+            assert.equal(rotated.email, user.email);
+            assert.equal(rotated.sid, original.sid);
+            assert.equal(rotated.exp - rotated.iat, ACCESS_TOKEN_TTL);
+            assert.equal(second.refreshToken.split('.')[1], original.sid);
+
+            // The new token rotates again
+            await rotateSession(env, second.refreshToken);
+        });
+
+        it('revokes the session when a rotated refresh token is presented again', async () => {
+            const user = await createUser(env);
+            const first = await createSession(env, user);
+            const second = await rotateSession(env, first.refreshToken);
+            const { sid } = await claims(second.accessToken);
+
+            await assert.rejects(rotateSession(env, first.refreshToken), {
+                name: 'AuthError',
+                message: 'Refresh token has already been used; the session was revoked'
+            });
+
+            // The thief's copy and the legitimate one both stop working
+            await assert.rejects(rotateSession(env, second.refreshToken), {
+                name: 'AuthError',
+                message: 'Session expired or revoked'
+            });
+            assert.equal(await isAccessTokenRevoked(env, await claims(second.accessToken)), true);
+            assert.equal(await env.AUTH_STORE.get(`session:${user.id}:${sid}`), null);
+        });
+
+        it('detects reuse of a token rotated several times ago', async () => {
+            const user = await createUser(env);
+            const first = await createSession(env, user);
+
+            let current = first;
+            for (let i = 0; i < 3; i++) {
+                current = await rotateSession(env, current.refreshToken);
+            }
+
+            await assert.rejects(rotateSession(env, first.refreshToken), /already been used/);
+            await assert.rejects(rotateSession(env, current.refreshToken), /expired or revoked/);
+        });
+
+        it('rejects an unknown secret without revoking the session', async () => {
+            const user = await createUser(env);
+            const session = await createSession(env, user);
+            const [userId, sessionId] = session.refreshToken.split('.');
+
+            await assert.rejects(rotateSession(env, `${userId}.${sessionId}.${'0'.repeat(64)}`), {
+                name: 'AuthError',
+                message: 'Invalid refresh token'
+            });
+            await rotateSession(env, session.refreshToken);
+        });
+
+        it('rejects malformed refresh tokens', async () => {
+            for (const token of [undefined, null, '', 'abc', '1.2', '1..secret', '1.2.3.4', 42]) {
+                await assert.rejects(rotateSession(env, token), AuthError, `token ${token}`);
+            }
+        });
+
+        it('drops an organization the user was removed from', async () => {
+            const user = await createUser(env);
+            const org = await createOrganization(env, user.id, 'Acme');
+            const session = await createSession(env, user, org);
+            assert.equal((await claims(session.accessToken)).org_id, org.id);
+
+            await env.DB.prepare('DELETE FROM organization_members WHERE org_id = ? AND user_id = ?')
+                .bind(org.id, user.id).run();
+            const rotated = await rotateSession(env, session.refreshToken);
+
+            const payload = await claims(rotated.accessToken);
+            assert.equal(payload.org_id, null);
+            assert.equal(payload.org_role, null);
+        });
+    });
+
+    describe('revocation', () => {
+        it('revokeSession stops the refresh token and access tokens of that session only', async () => {
+            const user = await createUser(env);
+            const revoked = await createSession(env, user);
+            const other = await createSession(env, user);
+            const payload = await claims(revoked.accessToken);
+
+            await revokeSession(env, user.id, payload.sid);
+
+            assert.equal(await isAccessTokenRevoked(env, payload), true);
+            await assert.rejects(rotateSession(env, revoked.refreshToken), AuthError);
+            assert.equal(await isAccessTokenRevoked(env, await claims(other.accessToken)), false);
+            await rotateSession(env, other.refreshToken);
+        });
+
+        it('revokeAllSessions ends every session but not ones started afterwards', async () => {
+            const user = await createUser(env);
+            const bystander = await createUser(env);
+            const sessions = [await createSession(env, user), await createSession(env, user)];
+            const unaffected = await createSession(env, bystander);
+
+            assert.equal(await revokeAllSessions(env, user.id), 2);
+
+            for (const session of sessions) {
+                assert.equal(await isAccessTokenRevoked(env, await claims(session.accessToken)), true);
+                await assert.rejects(rotateSession(env, session.refreshToken), AuthError);
+            }
+            assert.equal(await isAccessTokenRevoked(env, await claims(unaffected.accessToken)), false);
+
+            // Logging back in right away works, even within the same second
+            await sleep(2);
+            const fresh = await createSession(env, user);
+            assert.equal(await isAccessTokenRevoked(env, await claims(fresh.accessToken)), false);
+        });
+
+        it('treats tokens without iat_ms as issued at the start of their second', async () => {
+            const user = await createUser(env);
+            const cutoff = Date.now();
+            await env.AUTH_STORE.put(`sessions_revoked_before:${user.id}`, String(cutoff));
+
+            const iat = Math.floor(cutoff / 1000);
+            const legacy = { user_id: user.id, sid: crypto.randomUUID(), iat };
+            assert.equal(await isAccessTokenRevoked(env, legacy), true);
+            assert.equal(await isAccessTokenRevoked(env, { ...legacy, iat: iat + 1 }), false);
+            assert.equal(await isAccessTokenRevoked(env, { ...legacy, iat_ms: cutoff }), true);
+            assert.equal(await isAccessTokenRevoked(env, { ...legacy, iat_ms: cutoff + 1 }), false);
+        });
+    });
+});
@@ -0,0 +1,184 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { takeFromBuckets } from '../src/utils/tokenBucket.js';
+import { takeTokens, tighterRateLimit } from '../src/utils/rateLimiter.js';
+
+const START = Date.UTC(2026, 0, 1);
+
+// Helper function to hold bucket state between takes, as the Durable Object's storage does
+function bucketStore() {
+    const stored = new Map();
+    return {
+        take(buckets, now) {
+            const result = takeFromBuckets(stored, buckets, now);
+            for (const [key, entry] of Object.entries(result.entries)) {
+                stored.set(key, entry);
+            }
+            return result;
+        }
+    };
+}
+
+// 60 per minute refills one token a second; up to 5 at once
+const PER_SECOND = { key: 'route', limit: 60, window: 60, burst: 5 };
+
+describe('takeFromBuckets', () => {
+    it('starts a bucket full', () => {
+        const result = takeFromBuckets(new Map(), [PER_SECOND], START);
+
+        assert.equal(result.allowed, true);
+        assert.deepEqual(result.buckets, [{ key: 'route', limit: 60, remaining: 4, reset: START + 1000, retryAfter: 0 }]);
+        assert.deepEqual(result.entries, { route: { tokens: 4, updatedAt: START } });
+        assert.equal(result.fullAt, START + 1000);
+    });
+
+    it('allows a burst and then refuses until a token refills', () => {
+        const store = bucketStore();
+
+        for (let i = 0; i < 5; i++) {
+            assert.equal(store.take([PER_SECOND], START).allowed, true);
+        }
+
+        const refused = store.take([PER_SECOND], START);
+        assert.equal(refused.allowed, false);
+        assert.equal(refused.buckets[0].remaining, 0);
+        assert.equal(refused.buckets[0].retryAfter, 1);
+        assert.equal(refused.buckets[0].reset, START + 5000);
+
+        // A refused take costs nothing, so half a second later half a token has refilled
+        const early = store.take([PER_SECOND], START + 500);
+        assert.equal(early.allowed, false);
+        assert.equal(early.buckets[0].retryAfter, 1);
+        assert.equal(early.entries.route.tokens, 0.5);
+
+        assert.equal(store.take([PER_SECOND], START + 1000).allowed, true);
+        assert.equal(store.take([PER_SECOND], START + 1000).allowed, false);
+    });
+
+    it('refills at the sustained rate and never beyond the burst', () => {
+        const store = bucketStore();
+        for (let i = 0; i < 5; i++) {
+            store.take([PER_SECOND], START);
+        }
+
+        assert.equal(store.take([PER_SECOND], START + 3000).buckets[0].remaining, 2);
+        assert.equal(store.take([PER_SECOND], START + 60 * 60 * 1000).buckets[0].remaining, 4);
+    });
+
+    it('rounds retryAfter up to whole seconds for slow buckets', () => {
+        // 10 per hour: one token every six minutes
+        const hourly = { key: 'export', limit: 10, window: 3600, burst: 1 };
+        const store = bucketStore();
+
+        store.take([hourly], START);
+        const refused = store.take([hourly], START + 1);
+
+        assert.equal(refused.allowed, false);
+        assert.equal(refused.buckets[0].retryAfter, 360);
+        assert.equal(refused.buckets[0].reset, START + 360 * 1000);
+    });
+
+    it('takes from every bucket or none', () => {
+        const roomy = { key: 'user', limit: 300, window: 60, burst: 60 };
+        const tight = { key: 'route', limit: 60, window: 60, burst: 1 };
+        const store = bucketStore();
+
+        const first = store.take([roomy, tight], START);
+        assert.equal(first.allowed, true);
+        assert.deepEqual(first.buckets.map(bucket => bucket.remaining), [59, 0]);
+
+        const second = store.take([roomy, tight], START);
+        assert.equal(second.allowed, false);
+        assert.deepEqual(second.buckets.map(bucket => bucket.remaining), [59, 0]);
+        assert.deepEqual(second.buckets.map(bucket => bucket.retryAfter), [0, 1]);
+        assert.equal(second.fullAt, START + 1000);
+    });
+
+    it('reports when every bucket is full again', () => {
+        const slow = { key: 'slow', limit: 1, window: 10, burst: 2 };
+        const result = takeFromBuckets(new Map(), [PER_SECOND, slow], START);
+
+        assert.equal(result.fullAt, START + 10 * 1000);
+    });
+});
+
+describe('takeTokens', () => {
+    // Helper function to build an environment whose RATE_LIMITER keeps buckets in memory
+    function limiterEnv(now) {
+        const subjects = new Map();
+        return {
+            RATE_LIMITER: {
+                idFromName: name => name,
+                get(name) {
+                    if (!subjects.has(name)) {
+                        subjects.set(name, bucketStore());
+                    }
+                    const store = subjects.get(name);
+                    return { take: async buckets => store.take(buckets, now()) };
+                }
+            }
+        };
+    }
+
+    it('uses the limit as the burst when none is given', async () => {
+        const env = limiterEnv(() => START);
+        const bucket = { key: 'route', limit: 3, window: 60 };
+
+        const results = [];
+        for (let i = 0; i < 4; i++) {
+            results.push(await takeTokens(env, 'user:1', [bucket]));
+        }
+
+        assert.deepEqual(results.map(result => result.limited), [false, false, false, true]);
+        assert.deepEqual(results.map(result => result.remaining), [2, 1, 0, 0]);
+        assert.equal(results[3].retryAfter, 20);
+    });
+
+    it('reports the bucket closest to empty, or the one that refused', async () => {
+        const env = limiterEnv(() => START);
+        const buckets = [
+            { key: 'user', limit: 300, window: 60, burst: 60 },
+            { key: 'route', limit: 2, window: 60 }
+        ];
+
+        const allowed = await takeTokens(env, 'user:1', buckets);
+        assert.deepEqual(allowed, { limited: false, limit: 2, remaining: 1, reset: START + 30 * 1000, retryAfter: 0 });
+
+        await takeTokens(env, 'user:1', buckets);
+        const refused = await takeTokens(env, 'user:1', buckets);
+        assert.equal(refused.limited, true);
+        assert.equal(refused.limit, 2);
+        assert.equal(refused.retryAfter, 30);
+
+        // Other subjects have buckets of their own
+        assert.equal((await takeTokens(env, 'user:2', buckets)).limited, false);
+    });
+
+    it('refuses requests when the limiter is unreachable', async () => {
+        const env = {
+            RATE_LIMITER: {
+                idFromName: name => name,
+                get: () => ({ take: async () => { throw new Error('unreachable'); } })
+            }
+        };
+
+        await assert.rejects(takeTokens(env, 'user:1', [PER_SECOND]), { code: 'RATE_LIMIT_UNAVAILABLE', status: 503 });
+    });
+});
+
+describe('tighterRateLimit', () => {
+    const roomy = { limited: false, limit: 300, remaining: 200, reset: START, retryAfter: 0 };
+    const tight = { limited: false, limit: 60, remaining: 3, reset: START, retryAfter: 0 };
+    const refused = { limited: true, limit: 60, remaining: 0, reset: START, retryAfter: 5 };
+
+    it('keeps the result with fewer requests remaining', () => {
+        assert.equal(tighterRateLimit(null, roomy), roomy);
+        assert.equal(tighterRateLimit(roomy, tight), tight);
+        assert.equal(tighterRateLimit(tight, roomy), tight);
+    });
+
+    it('prefers a refusal over any allowed result', () => {
+        assert.equal(tighterRateLimit(tight, refused), refused);
+        assert.equal(tighterRateLimit(refused, tight), refused);
+    });
+});